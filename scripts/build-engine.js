@@ -0,0 +1,642 @@
+/**
+ * Build engine for the AltV project
+ * Shared by build.js and hot-reload.js. Keeps one incremental esbuild context
+ * per resource and side, so a change only rebuilds the side that changed.
+ * Plugin UIs in client/html that are Vite projects are built with Vite
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const esbuild = require('esbuild');
+const { readManifest } = require('./plugin-manifest');
+const { isViteProject, buildViteUI } = require('./vite-ui');
+
+// Configuration
+const config = {
+  // Source directories
+  srcDir: path.join(__dirname, '..', 'src'),
+  coreDir: path.join(__dirname, '..', 'src', 'core'),
+  pluginsDir: path.join(__dirname, '..', 'src', 'plugins'),
+
+  // Output directories
+  resourcesDir: path.join(__dirname, '..', 'resources'),
+  mainDir: path.join(__dirname, '..', 'resources', 'main'),
+  outputCoreDir: path.join(__dirname, '..', 'resources', 'main', 'core'),
+  outputPluginsDir: path.join(
+    __dirname,
+    '..',
+    'resources',
+    'main',
+    'core',
+    'plugins'
+  ),
+
+  // Packages server bundles import at runtime instead of bundling them:
+  // CommonJS packages, and the MongoDB driver with its optional native modules
+  serverPackages: ['dotenv', 'mongodb', 'node-cron'],
+
+  // Modules replaced in plugin bundles so the core can track what plugins register
+  pluginServerAlias: {
+    'alt-server': path.join(__dirname, 'shims', 'alt-server.js'),
+  },
+  pluginClientAlias: {
+    'alt-client': path.join(__dirname, 'shims', 'alt-client.js'),
+    'alt-shared': path.join(__dirname, 'shims', 'alt-client.js'),
+    natives: path.join(__dirname, 'shims', 'natives.js'),
+  },
+
+  // Files copied next to the client bundle, client/html is copied as a whole
+  assetExtensions: [
+    '.html',
+    '.css',
+    '.rml',
+    '.rcss',
+    '.png',
+    '.jpg',
+    '.jpeg',
+    '.gif',
+    '.svg',
+  ],
+
+  // Client assets only shipped in debug builds, e.g. client/html/debug.html
+  // or anything in a client/debug directory
+  debugAssetPattern: /(^|[\\/])debug(\.[^\\/]*)?([\\/]|$)/,
+
+  // Bundle sizes of the last production build, to report what changed
+  sizeReportFile: path.join(
+    __dirname,
+    '..',
+    'resources',
+    'main',
+    '.build-sizes.json'
+  ),
+};
+
+// Sides that have their own bundle, shared code is bundled into both
+const BUNDLED_SIDES = ['server', 'client'];
+
+// Output bundle of each side, relative to the resource's output directory
+const DEFAULT_ENTRIES = { server: 'server/index.js', client: 'client/index.js' };
+
+/**
+ * Create a build engine
+ * Production builds are minified, get external sourcemaps unless sourcemaps
+ * are turned off and leave out debug code unless debug is set. Vite UIs of
+ * plugins listed in uiDevServers are served from there instead of being built
+ * @param {{ production?: boolean, debug?: boolean, sourcemap?: boolean, uiDevServers?: Map<string, string>, outputDir?: string }} [options]
+ *   Build options, uiDevServers maps plugin names to the URL of their UI dev
+ *   server and outputDir replaces resources/main/core, plugins go in its
+ *   plugins directory
+ */
+function createBuildEngine(options = {}) {
+  const production = Boolean(options.production);
+  const debug = options.debug ?? !production;
+  const uiDevServers = options.uiDevServers ?? new Map();
+  const outputCoreDir = options.outputDir ?? config.outputCoreDir;
+  const outputPluginsDir = options.outputDir
+    ? path.join(options.outputDir, 'plugins')
+    : config.outputPluginsDir;
+
+  // Development builds keep their sourcemaps inline
+  let sourcemap = 'inline';
+  if (production) {
+    sourcemap = options.sourcemap === false ? false : 'external';
+  }
+
+  // Incremental esbuild contexts by "<resource>:<side>"
+  const contexts = new Map();
+
+  /**
+   * Get the source directory of a resource
+   * @param {string} resource 'core' or the name of a plugin
+   * @returns {string} The source directory
+   */
+  function getSourceDir(resource) {
+    return resource === 'core'
+      ? config.coreDir
+      : path.join(config.pluginsDir, resource);
+  }
+
+  /**
+   * Get the output directory of a resource
+   * @param {string} resource 'core' or the name of a plugin
+   * @returns {string} The output directory
+   */
+  function getOutputDir(resource) {
+    return resource === 'core'
+      ? outputCoreDir
+      : path.join(outputPluginsDir, resource);
+  }
+
+  /**
+   * Find the source of an output bundle, preferring TypeScript
+   * @param {string} resource 'core' or the name of a plugin
+   * @param {string} entry The output bundle, e.g. 'server/index.js'
+   * @returns {string|null} The entry point, or null if the side does not exist
+   */
+  function findEntryPoint(resource, entry) {
+    const basePath = path.join(
+      getSourceDir(resource),
+      entry.replace(/\.js$/, '')
+    );
+    for (const extension of ['.ts', '.js']) {
+      if (fs.existsSync(basePath + extension)) {
+        return basePath + extension;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the esbuild options for one side of a resource
+   * @param {string} resource 'core' or the name of a plugin
+   * @param {string} side 'server' or 'client'
+   * @param {string} entryPoint The entry point of the side
+   * @param {string} entry The output bundle of the side
+   * @returns {import('esbuild').BuildOptions} The build options
+   */
+  function getBuildOptions(resource, side, entryPoint, entry) {
+    const isPlugin = resource !== 'core';
+    const isClient = side === 'client';
+
+    let alias = {};
+    if (isPlugin) {
+      alias = isClient ? config.pluginClientAlias : config.pluginServerAlias;
+    }
+
+    return {
+      entryPoints: [entryPoint],
+      outfile: path.join(getOutputDir(resource), entry),
+      platform: isClient ? 'browser' : 'node',
+      target: 'es2020',
+      format: 'esm',
+      bundle: true,
+      minify: production,
+      sourcemap,
+      metafile: true,
+      logLevel: 'silent',
+      alias,
+      define: {
+        // Define globalThis for browser platform to ensure compatibility
+        ...(isClient ? { window: 'globalThis' } : {}),
+        'process.env.NODE_ENV': JSON.stringify(
+          production ? 'production' : 'development'
+        ),
+        // Debug-only code is wrapped in if (__DEBUG__) and dropped otherwise
+        __DEBUG__: String(debug),
+      },
+      // Mark AltV modules and the server packages as external
+      external: isClient
+        ? ['alt-client', 'alt-shared', 'natives']
+        : ['alt-server', 'alt-shared', 'natives', ...config.serverPackages],
+    };
+  }
+
+  /**
+   * Build one side of a resource, creating its context on first use
+   * @param {string} resource 'core' or the name of a plugin
+   * @param {string} side 'server' or 'client'
+   * @param {string} entry The output bundle of the side
+   * @returns {Promise<{ resource: string, side: string, success: boolean, duration: number, errors: string[], size?: { bytes: number, gzip: number } }|null>}
+   *   The result, or null if the resource has no such side
+   */
+  async function buildSide(resource, side, entry) {
+    const key = `${resource}:${side}`;
+    const entryPoint = findEntryPoint(resource, entry);
+
+    // The side was removed or renamed, forget its context
+    if (
+      contexts.has(key) &&
+      (contexts.get(key).entryPoint !== entryPoint ||
+        contexts.get(key).entry !== entry)
+    ) {
+      await contexts.get(key).context.dispose();
+      contexts.delete(key);
+    }
+
+    if (!entryPoint) {
+      return null;
+    }
+
+    const startTime = Date.now();
+
+    try {
+      if (!contexts.has(key)) {
+        const context = await esbuild.context(
+          getBuildOptions(resource, side, entryPoint, entry)
+        );
+        contexts.set(key, { context, entryPoint, entry });
+      }
+
+      await contexts.get(key).context.rebuild();
+
+      return {
+        resource,
+        side,
+        success: true,
+        duration: Date.now() - startTime,
+        errors: [],
+        size: measureBundle(path.join(getOutputDir(resource), entry)),
+      };
+    } catch (error) {
+      const errors = error.errors
+        ? esbuild.formatMessagesSync(error.errors, { kind: 'error' })
+        : [error.message];
+
+      return {
+        resource,
+        side,
+        success: false,
+        duration: Date.now() - startTime,
+        errors,
+      };
+    }
+  }
+
+  /**
+   * Get the UI directory of a plugin
+   * @param {string} resource The name of the plugin
+   * @returns {string} The client/html directory of the plugin
+   */
+  function getUiDir(resource) {
+    return path.join(getSourceDir(resource), 'client', 'html');
+  }
+
+  /**
+   * Copy the client assets of a plugin
+   * A Vite UI is left out, it is built or served by Vite
+   * @param {string} resource The name of the plugin
+   */
+  function copyClientAssets(resource) {
+    const clientSrcDir = path.join(getSourceDir(resource), 'client');
+    const clientOutDir = path.join(getOutputDir(resource), 'client');
+    if (!fs.existsSync(clientSrcDir)) {
+      return;
+    }
+
+    const viteUi = isViteProject(getUiDir(resource));
+
+    fs.copySync(clientSrcDir, clientOutDir, {
+      overwrite: true,
+      filter: (src) => {
+        const relativePath = path.relative(clientSrcDir, src);
+        if (!debug && config.debugAssetPattern.test(relativePath)) {
+          return false;
+        }
+
+        if (
+          viteUi &&
+          (relativePath === 'html' ||
+            relativePath.startsWith(`html${path.sep}`))
+        ) {
+          return false;
+        }
+
+        if (fs.statSync(src).isDirectory()) {
+          return true;
+        }
+
+        return (
+          relativePath.startsWith(`html${path.sep}`) ||
+          config.assetExtensions.includes(path.extname(src).toLowerCase())
+        );
+      },
+    });
+  }
+
+  /**
+   * Build the Vite UI of a plugin
+   * @param {string} resource The name of the plugin
+   * @returns {Promise<{ resource: string, side: string, success: boolean, duration: number, errors: string[] }|null>}
+   *   The result, or null if the plugin has no Vite UI or its dev server serves it
+   */
+  async function buildUi(resource) {
+    const uiDir = getUiDir(resource);
+    if (uiDevServers.has(resource) || !isViteProject(uiDir)) {
+      return null;
+    }
+
+    const startTime = Date.now();
+    const { success, errors } = await buildViteUI(
+      uiDir,
+      path.join(getOutputDir(resource), 'client', 'html'),
+      { production, debug, sourcemap }
+    );
+
+    return {
+      resource,
+      side: 'html',
+      success,
+      duration: Date.now() - startTime,
+      errors,
+    };
+  }
+
+  /**
+   * Copy the config file of a plugin, the core watches it for changes
+   * @param {string} resource The name of the plugin
+   */
+  function copyConfig(resource) {
+    const configFile = path.join(getSourceDir(resource), 'config.json');
+    if (fs.existsSync(configFile)) {
+      fs.copySync(
+        configFile,
+        path.join(getOutputDir(resource), 'config.json')
+      );
+    }
+  }
+
+  /**
+   * Write the metadata of a plugin for the core to use
+   * We don't need to copy resource.toml anymore as plugins are part of the core resource
+   * @param {string} resource The name of the plugin
+   * @param {object} metadata The metadata read from the plugin's manifest
+   */
+  function writeMetadata(resource, metadata) {
+    // WebViews of the plugin load its UI from the dev server if it has one
+    const uiDevServer = uiDevServers.get(resource);
+
+    fs.ensureDirSync(getOutputDir(resource));
+    fs.writeFileSync(
+      path.join(getOutputDir(resource), 'metadata.json'),
+      JSON.stringify(
+        uiDevServer ? { ...metadata, uiDevServer } : metadata,
+        null,
+        2
+      )
+    );
+  }
+
+  /**
+   * Build a resource
+   * @param {string} resource 'core' or the name of a plugin
+   * @param {string[]} [sides] The sides that changed, defaults to all of them
+   * @returns {Promise<{ resource: string, success: boolean, duration: number, sides: object[] }>}
+   *   The result with the timing of every side that was built
+   */
+  async function buildResource(resource, sides = ['shared']) {
+    const startTime = Date.now();
+
+    // Shared code is bundled into both sides
+    const sidesToBuild = sides.includes('shared')
+      ? BUNDLED_SIDES
+      : BUNDLED_SIDES.filter((side) => sides.includes(side));
+
+    // A plugin with an invalid manifest is not built at all
+    let metadata = null;
+    if (resource !== 'core') {
+      const manifest = readManifest(getSourceDir(resource), resource);
+      if (manifest.errors.length > 0) {
+        const result = {
+          resource,
+          success: false,
+          duration: Date.now() - startTime,
+          sides: [
+            {
+              resource,
+              side: 'manifest',
+              success: false,
+              duration: Date.now() - startTime,
+              errors: manifest.errors,
+            },
+          ],
+        };
+
+        reportResult(result);
+        return result;
+      }
+
+      metadata = manifest.metadata;
+    }
+
+    const entries = metadata
+      ? { server: metadata.main, client: metadata.clientMain }
+      : DEFAULT_ENTRIES;
+
+    const results = [];
+    for (const side of sidesToBuild) {
+      const result = await buildSide(resource, side, entries[side]);
+      if (result) {
+        results.push(result);
+      }
+    }
+
+    if (resource === 'core') {
+      // Copy resource.toml
+      fs.copyFileSync(
+        path.join(config.coreDir, 'resource.toml'),
+        path.join(outputCoreDir, 'resource.toml')
+      );
+    } else {
+      if (sidesToBuild.includes('client')) {
+        copyClientAssets(resource);
+
+        const uiResult = await buildUi(resource);
+        if (uiResult) {
+          results.push(uiResult);
+        }
+      }
+
+      writeMetadata(resource, metadata);
+      copyConfig(resource);
+    }
+
+    const result = {
+      resource,
+      success: results.every((sideResult) => sideResult.success),
+      duration: Date.now() - startTime,
+      sides: results,
+    };
+
+    reportResult(result);
+    return result;
+  }
+
+  /**
+   * Remove what earlier builds wrote for the core and the given plugins
+   * Config files and plugins built elsewhere, e.g. deployed ones, are kept
+   * @param {string[]} pluginNames The plugins being built
+   */
+  function cleanOutput(pluginNames) {
+    for (const resource of ['core', ...pluginNames]) {
+      const outputDir = getOutputDir(resource);
+      const outputs =
+        resource === 'core'
+          ? [...BUNDLED_SIDES, 'resource.toml']
+          : [...BUNDLED_SIDES, 'metadata.json'];
+
+      for (const output of outputs) {
+        fs.removeSync(path.join(outputDir, output));
+      }
+    }
+  }
+
+  /**
+   * Build the core resource and every plugin
+   * @returns {Promise<object[]>} The result of every resource
+   */
+  async function buildAll() {
+    console.log(
+      `Building for ${production ? 'production' : 'development'}` +
+        (production && debug ? ' with debug code' : '') +
+        '...'
+    );
+    const startTime = Date.now();
+
+    const pluginNames = listPlugins();
+
+    // Start from scratch so no development bundles or debug assets ship
+    if (production) {
+      cleanOutput(pluginNames);
+    }
+    fs.ensureDirSync(outputPluginsDir);
+
+    const results = [await buildResource('core')];
+    for (const pluginName of pluginNames) {
+      results.push(await buildResource(pluginName));
+    }
+
+    const failed = results.filter((result) => !result.success).length;
+    console.log(
+      `Built ${results.length} resources in ${Date.now() - startTime}ms` +
+        (failed > 0 ? ` (${failed} failed)` : '')
+    );
+
+    if (production) {
+      reportSizes(results);
+    }
+
+    return results;
+  }
+
+  /**
+   * Dispose every esbuild context
+   */
+  async function dispose() {
+    for (const { context } of contexts.values()) {
+      await context.dispose();
+    }
+    contexts.clear();
+  }
+
+  return { buildAll, buildResource, copyConfig, dispose, getUiDir };
+}
+
+/**
+ * Get the names of all plugins in the source directory
+ * @returns {string[]} The plugin names
+ */
+function listPlugins() {
+  if (!fs.existsSync(config.pluginsDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(config.pluginsDir, { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory())
+    .map((dirent) => dirent.name);
+}
+
+/**
+ * Measure the size of a bundle
+ * @param {string} file The bundle
+ * @returns {{ bytes: number, gzip: number }} The size on disk and gzipped
+ */
+function measureBundle(file) {
+  const contents = fs.readFileSync(file);
+  return {
+    bytes: contents.length,
+    gzip: zlib.gzipSync(contents).length,
+  };
+}
+
+/**
+ * Print the bundle size of every resource and side
+ * Sizes are compared with the previous production build
+ * @param {{ resource: string, sides: object[] }[]} results The build results
+ */
+function reportSizes(results) {
+  let previous = {};
+  try {
+    previous = fs.readJsonSync(config.sizeReportFile);
+  } catch {
+    // First production build, nothing to compare with
+  }
+
+  const current = {};
+  const rows = [];
+  for (const result of results) {
+    for (const side of result.sides) {
+      if (!side.size) {
+        continue;
+      }
+
+      const key = `${result.resource}:${side.side}`;
+      current[key] = side.size;
+
+      const change =
+        key in previous ? side.size.bytes - previous[key].bytes : null;
+      rows.push([
+        result.resource,
+        side.side,
+        formatSize(side.size.bytes),
+        `gzip ${formatSize(side.size.gzip)}`,
+        change === null || change === 0
+          ? ''
+          : `${change > 0 ? '+' : '-'}${formatSize(Math.abs(change))}`,
+      ]);
+    }
+  }
+
+  const widths = rows[0]?.map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+
+  console.log('Bundle sizes:');
+  for (const row of rows) {
+    const [resource, side, ...sizes] = row.map((cell, column) =>
+      column < 2 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+    );
+    console.log(`  ${resource}  ${side}  ${sizes.join('  ')}`.trimEnd());
+  }
+
+  fs.outputJsonSync(config.sizeReportFile, current, { spaces: 2 });
+}
+
+/**
+ * Format a number of bytes for the size report
+ * @param {number} bytes The number of bytes
+ * @returns {string} The formatted size
+ */
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+/**
+ * Print the result of building a resource
+ * @param {{ resource: string, success: boolean, duration: number, sides: object[] }} result
+ */
+function reportResult(result) {
+  const timings = result.sides
+    .map((side) => `${side.side} ${side.duration}ms`)
+    .join(', ');
+
+  if (result.success) {
+    console.log(
+      `Built ${result.resource} in ${result.duration}ms` +
+        (timings ? ` (${timings})` : '')
+    );
+    return;
+  }
+
+  console.error(`Failed to build ${result.resource} (${timings})`);
+  for (const side of result.sides) {
+    for (const error of side.errors) {
+      console.error(error);
+    }
+  }
+}
+
+module.exports = { config, createBuildEngine, listPlugins };
@@ -1,47 +1,62 @@
 /**
  * Hot reload script for the AltV project
- * Uses esbuild to watch for file changes and trigger resource reloads
+ * Watches for file changes, rebuilds what changed and triggers resource reloads.
+ * Plugin UIs that are Vite projects are served by Vite dev servers instead
  */
 
 const fs = require('fs-extra');
 const path = require('path');
-const { build } = require('./build');
+const http = require('http');
 const { spawn } = require('child_process');
-const esbuild = require('esbuild');
 const chokidar = require('chokidar');
-const glob = require('glob');
+const {
+  config: buildConfig,
+  createBuildEngine,
+  listPlugins,
+} = require('./build-engine');
+const { isViteProject, startViteDevServer } = require('./vite-ui');
 
 // Configuration
 const config = {
   // Source directories
-  srcDir: path.join(__dirname, '..', 'src'),
-  coreDir: path.join(__dirname, '..', 'src', 'core'),
-  pluginsDir: path.join(__dirname, '..', 'src', 'plugins'),
-
-  // Output directories
-  resourcesDir: path.join(__dirname, '..', 'resources'),
-  mainDir: path.join(__dirname, '..', 'resources', 'main'),
-  outputCoreDir: path.join(__dirname, '..', 'resources', 'main', 'core'),
-  outputPluginsDir: path.join(__dirname, '..', 'resources', 'main', 'plugins'),
+  srcDir: buildConfig.srcDir,
 
   // Server executable
   serverExe: process.platform === 'win32' ? 'altv-server.exe' : './altv-server',
+
+  // File the core writes the dev channel address and token to
+  devChannelFile: path.join(__dirname, '..', '.dev-channel.json'),
+
+  // How long to wait for the core to answer a reload request
+  reloadTimeout: 30000,
 };
 
-// Map to track which resources need to be reloaded
-const pendingReloads = new Set();
+// Map of resources that need to be reloaded to the sides that changed
+const pendingReloads = new Map();
 
 // Debounce timer for reloads
 let reloadTimer = null;
 
+// Whether a rebuild is running, changes made meanwhile are picked up afterwards
+let rebuilding = false;
+
+// URL of the Vite dev server of every plugin UI that has one, by plugin name
+const uiDevServers = new Map();
+
+// Incremental build engine, kept alive so rebuilds only redo what changed
+const engine = createBuildEngine({ production: false, uiDevServers });
+
 /**
  * Start the hot reload system
  */
 async function startHotReload() {
   console.log('Starting hot reload system...');
 
+  // Serve Vite UIs first, the build tells the core where they are served
+  await startUiDevServers();
+
   // Perform initial build
-  build(false);
+  await engine.buildAll();
 
   // Start file watcher
   startFileWatcher();
@@ -52,6 +67,29 @@ async function startHotReload() {
   console.log('Hot reload system started successfully!');
 }
 
+/**
+ * Start a Vite dev server for every plugin UI that is a Vite project
+ * A plugin whose dev server fails to start gets its UI built instead
+ */
+async function startUiDevServers() {
+  for (const pluginName of listPlugins()) {
+    const uiDir = engine.getUiDir(pluginName);
+    if (!isViteProject(uiDir)) {
+      continue;
+    }
+
+    try {
+      const server = await startViteDevServer(uiDir, { debug: true });
+      uiDevServers.set(pluginName, server.url);
+      console.log(`Serving the UI of ${pluginName} from ${server.url}`);
+    } catch (error) {
+      console.error(
+        `Could not start the UI dev server of ${pluginName}: ${error.message}`
+      );
+    }
+  }
+}
+
 /**
  * Start the file watcher
  */
@@ -60,7 +98,11 @@ function startFileWatcher() {
 
   // Create a watcher for the src directory
   const watcher = chokidar.watch(config.srcDir, {
-    ignored: /(^|[\/\\])\../, // Ignore dotfiles
+    ignored: [
+      /(^|[\/\\])\../, // Ignore dotfiles
+      /(^|[\/\\])node_modules([\/\\]|$)/, // Ignore dependencies of Vite UIs
+    ],
+    ignoreInitial: true, // Everything was just built
     persistent: true,
   });
 
@@ -85,33 +127,77 @@ function handleFileChange(filePath) {
     return;
   }
 
-  // Add the resource to the pending reloads
-  pendingReloads.add(resourceName);
+  // The UI's dev server picks up the change through hot module replacement
+  if (
+    uiDevServers.has(resourceName) &&
+    isInside(filePath, engine.getUiDir(resourceName))
+  ) {
+    return;
+  }
+
+  // The core applies config changes itself, the plugin keeps running
+  if (
+    resourceName !== 'core' &&
+    path.resolve(filePath) ===
+      path.join(buildConfig.pluginsDir, resourceName, 'config.json')
+  ) {
+    engine.copyConfig(resourceName);
+    return;
+  }
+
+  // Add the resource and the changed side to the pending reloads
+  if (!pendingReloads.has(resourceName)) {
+    pendingReloads.set(resourceName, new Set());
+  }
+  pendingReloads.get(resourceName).add(getSideFromPath(filePath));
 
   // Debounce the reload to avoid reloading too frequently
   if (reloadTimer) {
     clearTimeout(reloadTimer);
   }
 
-  reloadTimer = setTimeout(() => {
-    // Store the resources that need to be reloaded
-    const resourcesToReload = [...pendingReloads];
+  reloadTimer = setTimeout(rebuildPending, 500);
+}
+
+/**
+ * Rebuild the resources that changed and reload the ones that built
+ */
+async function rebuildPending() {
+  // Try again once the running rebuild has finished
+  if (rebuilding) {
+    reloadTimer = setTimeout(rebuildPending, 100);
+    return;
+  }
+
+  // Store the resources that need to be reloaded
+  const resourcesToReload = [...pendingReloads].map(([resource, sides]) => ({
+    resource,
+    sides: [...sides],
+  }));
+
+  // Clear the pending reloads
+  pendingReloads.clear();
 
-    // Rebuild the resources
-    for (const resource of pendingReloads) {
-      if (resource === 'core') {
-        buildCore();
+  rebuilding = true;
+  try {
+    // Rebuild only the sides of the resources that changed
+    const built = [];
+    for (const entry of resourcesToReload) {
+      const result = await engine.buildResource(entry.resource, entry.sides);
+      if (result.success) {
+        built.push(entry);
       } else {
-        buildPlugin(resource);
+        console.error(`Not reloading ${entry.resource}, fix the build errors`);
       }
     }
 
-    // Clear the pending reloads
-    pendingReloads.clear();
-
     // Trigger a reload in the server
-    triggerReload(resourcesToReload);
-  }, 500);
+    if (built.length > 0) {
+      await triggerReload(built);
+    }
+  } finally {
+    rebuilding = false;
+  }
 }
 
 /**
@@ -153,352 +239,28 @@ function getResourceNameFromPath(filePath) {
 }
 
 /**
- * Build the core resource
+ * Get the side of a resource a file belongs to
+ * @param {string} filePath The path of the file
+ * @returns {'server'|'client'|'shared'} The side, files outside a side count as shared
  */
-function buildCore() {
-  console.log('Building core resource...');
-
-  // Find all TypeScript files in the server directory
-  const serverFiles = glob.sync(
-    path.join(config.coreDir, 'server', '**', '*.ts')
-  );
-  console.log(
-    `Found ${serverFiles.length} TypeScript files in ${path.join(
-      config.coreDir,
-      'server'
-    )}`
-  );
-
-  // Build server-side files
-  esbuild.buildSync({
-    entryPoints: serverFiles,
-    outdir: path.join(config.outputCoreDir, 'server'),
-    platform: 'node',
-    target: 'es2020',
-    format: 'esm',
-    bundle: true,
-    sourcemap: true,
-    outExtension: { '.js': '.js' },
-    external: ['alt-server', 'alt-shared', 'natives'], // Mark AltV modules as external
-  });
-
-  // Build client-side files
-  const clientFiles = glob.sync(
-    path.join(config.coreDir, 'client', '**', '*.ts')
-  );
-  console.log(
-    `Found ${clientFiles.length} TypeScript files in ${path.join(
-      config.coreDir,
-      'client'
-    )}`
-  );
-
-  esbuild.buildSync({
-    entryPoints: clientFiles,
-    outdir: path.join(config.outputCoreDir, 'client'),
-    platform: 'browser',
-    target: 'es2020',
-    format: 'esm',
-    bundle: true,
-    sourcemap: true,
-    outExtension: { '.js': '.js' },
-    external: ['alt-client', 'alt-shared', 'natives'], // Mark AltV modules as external
-  });
-
-  // Copy shared directory if it exists
-  const sharedSrcDir = path.join(config.coreDir, 'shared');
-  if (fs.existsSync(sharedSrcDir)) {
-    const sharedFiles = glob.sync(path.join(sharedSrcDir, '**', '*.ts'));
-    console.log(
-      `Found ${sharedFiles.length} TypeScript files in ${sharedSrcDir}`
-    );
-
-    // Create shared directory if it doesn't exist
-    const sharedDir = path.join(config.outputCoreDir, 'shared');
-    if (!fs.existsSync(sharedDir)) {
-      fs.mkdirSync(sharedDir, { recursive: true });
-    }
-
-    // Build shared files
-    esbuild.buildSync({
-      entryPoints: sharedFiles,
-      outdir: sharedDir,
-      platform: 'neutral',
-      target: 'es2020',
-      format: 'esm',
-      bundle: true,
-      sourcemap: true,
-      outExtension: { '.js': '.js' },
-      external: ['alt-shared'], // Mark AltV modules as external
-    });
-  }
-
-  // Copy resource.toml
-  fs.copyFileSync(
-    path.join(config.coreDir, 'resource.toml'),
-    path.join(config.outputCoreDir, 'resource.toml')
+function getSideFromPath(filePath) {
+  const normalizedPath = filePath.replace(/\\/g, '/');
+  const match = normalizedPath.match(
+    /src\/(?:plugins\/[^\/]+|core)\/(server|client|shared)\//
   );
 
-  console.log('Core resource built successfully!');
-}
-
-/**
- * Build a specific plugin
- * @param {string} pluginName The name of the plugin to build
- */
-function buildPlugin(pluginName) {
-  console.log(`Building plugin: ${pluginName}...`);
-
-  const pluginSrcDir = path.join(config.pluginsDir, pluginName);
-  const pluginOutDir = path.join(config.outputCoreDir, 'plugins', pluginName);
-
-  // Create plugins directory in core if it doesn't exist
-  const pluginsDir = path.join(config.outputCoreDir, 'plugins');
-  if (!fs.existsSync(pluginsDir)) {
-    fs.mkdirSync(pluginsDir, { recursive: true });
-  }
-
-  // Create plugin output directory if it doesn't exist
-  if (!fs.existsSync(pluginOutDir)) {
-    fs.mkdirSync(pluginOutDir, { recursive: true });
-  }
-
-  // Check if the plugin has server-side code
-  const serverSrcDir = path.join(pluginSrcDir, 'server');
-  if (fs.existsSync(serverSrcDir)) {
-    // Find all TypeScript files in the server directory
-    const serverFiles = glob.sync(path.join(serverSrcDir, '**', '*.ts'));
-    console.log(
-      `Found ${serverFiles.length} TypeScript files in ${serverSrcDir}`
-    );
-
-    // Use esbuild to compile server-side code
-    esbuild.buildSync({
-      entryPoints:
-        serverFiles.length > 0
-          ? serverFiles
-          : [path.join(serverSrcDir, 'index.ts')],
-      outdir: path.join(pluginOutDir, 'server'),
-      platform: 'node',
-      target: 'es2020',
-      format: 'esm',
-      bundle: true,
-      sourcemap: true,
-      outExtension: { '.js': '.js' },
-      external: ['alt-server', 'alt-shared', 'natives'], // Mark AltV modules as external
-    });
-  }
-
-  // Check if the plugin has client-side code
-  const clientSrcDir = path.join(pluginSrcDir, 'client');
-  if (fs.existsSync(clientSrcDir)) {
-    // Find all TypeScript files in the client directory
-    const clientFiles = glob.sync(path.join(clientSrcDir, '**', '*.ts'));
-    console.log(
-      `Found ${clientFiles.length} TypeScript files in ${clientSrcDir}`
-    );
-
-    // Use esbuild to compile client-side code
-    esbuild.buildSync({
-      entryPoints:
-        clientFiles.length > 0
-          ? clientFiles
-          : [path.join(clientSrcDir, 'index.ts')],
-      outdir: path.join(pluginOutDir, 'client'),
-      platform: 'browser',
-      target: 'es2020',
-      format: 'esm',
-      bundle: true,
-      sourcemap: true,
-      outExtension: { '.js': '.js' },
-      external: ['alt-client', 'alt-shared', 'natives'], // Mark AltV modules as external
-    });
-
-    // Copy HTML, CSS, and other assets
-    copyFiles(
-      path.join(clientSrcDir, '**', '*.{html,css,png,jpg,jpeg,gif,svg}'),
-      path.join(pluginOutDir, 'client')
-    );
-
-    // Check if the plugin has client/html directory
-    const clientHtmlSrcDir = path.join(clientSrcDir, 'html');
-    if (fs.existsSync(clientHtmlSrcDir)) {
-      // Create client/html directory
-      const clientHtmlDir = path.join(pluginOutDir, 'client', 'html');
-      if (!fs.existsSync(clientHtmlDir)) {
-        fs.mkdirSync(clientHtmlDir, { recursive: true });
-      }
-
-      // Copy all files from client/html directory
-      copyDirectory(clientHtmlSrcDir, clientHtmlDir);
-    }
-  }
-
-  // Check if the plugin has shared code
-  const sharedSrcDir = path.join(pluginSrcDir, 'shared');
-  if (fs.existsSync(sharedSrcDir)) {
-    // Create shared directory if it doesn't exist
-    const sharedDir = path.join(pluginOutDir, 'shared');
-    if (!fs.existsSync(sharedDir)) {
-      fs.mkdirSync(sharedDir, { recursive: true });
-    }
-
-    // Find all TypeScript files in the shared directory
-    const sharedFiles = glob.sync(path.join(sharedSrcDir, '**', '*.ts'));
-    console.log(
-      `Found ${sharedFiles.length} TypeScript files in ${sharedSrcDir}`
-    );
-
-    // Use esbuild to compile shared code
-    if (sharedFiles.length > 0) {
-      esbuild.buildSync({
-        entryPoints: sharedFiles,
-        outdir: sharedDir,
-        platform: 'neutral',
-        target: 'es2020',
-        format: 'esm',
-        bundle: true,
-        sourcemap: true,
-        outExtension: { '.js': '.js' },
-        external: ['alt-shared'], // Mark AltV modules as external
-      });
-    } else {
-      console.log(
-        `No TypeScript files found in shared directory, skipping build`
-      );
-    }
-  }
-
-  // We don't need to copy resource.toml anymore as plugins are part of the core resource
-  // But we'll save the plugin metadata for the core to use
-  const pluginMetadataPath = path.join(pluginOutDir, 'metadata.json');
-  const metadata = {
-    id: pluginName,
-    name: pluginName,
-    version: '1.0.0',
-    dependencies: ['core'],
-  };
-
-  // Try to read metadata from resource.toml if it exists
-  const resourceToml = path.join(pluginSrcDir, 'resource.toml');
-  if (fs.existsSync(resourceToml)) {
-    try {
-      const tomlContent = fs.readFileSync(resourceToml, 'utf8');
-      // Extract basic metadata from TOML (simple approach)
-      const nameMatch = tomlContent.match(/name\s*=\s*"([^"]+)"/i);
-      const versionMatch = tomlContent.match(/version\s*=\s*"([^"]+)"/i);
-      const depsMatch = tomlContent.match(/deps\s*=\s*\[([^\]]+)\]/i);
-
-      if (nameMatch && nameMatch[1]) metadata.name = nameMatch[1];
-      if (versionMatch && versionMatch[1]) metadata.version = versionMatch[1];
-      if (depsMatch && depsMatch[1]) {
-        const deps = depsMatch[1]
-          .split(',')
-          .map((d) => d.trim().replace(/"/g, ''));
-        metadata.dependencies = deps;
-      }
-    } catch (error) {
-      console.error(
-        `Error parsing resource.toml for ${pluginName}: ${error.message}`
-      );
-    }
-  }
-
-  // Save the metadata
-  fs.writeFileSync(pluginMetadataPath, JSON.stringify(metadata, null, 2));
-
-  console.log(`Plugin ${pluginName} built successfully!`);
+  return match ? match[1] : 'shared';
 }
 
 /**
- * Copy files from source to destination
- * @param {string} srcGlob The glob pattern for source files
- * @param {string} outDir The output directory
- */
-function copyFiles(srcGlob, outDir) {
-  try {
-    // Convert Unix-style paths to Windows-style paths if needed
-    const normalizedSrcGlob = srcGlob.replace(/\//g, path.sep);
-
-    // Get the base directory and pattern from the glob
-    const parts = normalizedSrcGlob.split('**');
-    const baseDir = parts[0];
-    const pattern = parts.length > 1 ? parts[1].substring(1) : ''; // Remove leading path separator
-
-    // Check if the directory exists
-    if (!fs.existsSync(baseDir)) {
-      console.log(`Base directory not found: ${baseDir}`);
-      return;
-    }
-
-    // Find all matching files in the directory
-    const files = [];
-    const walkSync = (dir) => {
-      const entries = fs.readdirSync(dir, { withFileTypes: true });
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        if (entry.isDirectory()) {
-          walkSync(fullPath);
-        } else if (
-          pattern === '' ||
-          entry.name.match(pattern.replace(/\*\./g, '.*\\.'))
-        ) {
-          files.push(fullPath);
-        }
-      }
-    };
-
-    walkSync(baseDir);
-
-    if (files.length === 0) {
-      console.log(`No files found in: ${baseDir} matching pattern: ${pattern}`);
-      return;
-    }
-
-    console.log(`Found ${files.length} files to copy from ${baseDir}`);
-
-    // Copy each file
-    for (const file of files) {
-      const relativePath = path.relative(baseDir, file);
-      const destPath = path.join(outDir, relativePath);
-
-      // Ensure output directory exists
-      fs.ensureDirSync(path.dirname(destPath));
-
-      // Copy the file
-      fs.copySync(file, destPath);
-    }
-  } catch (error) {
-    console.error(`Error copying files: ${error.message}`);
-  }
-}
-
-/**
- * Copy an entire directory recursively
- * @param {string} srcDir The source directory
- * @param {string} destDir The destination directory
+ * Check whether a file is inside a directory
+ * @param {string} filePath The path of the file
+ * @param {string} dir The directory
+ * @returns {boolean} True if the file is inside the directory
  */
-function copyDirectory(srcDir, destDir) {
-  try {
-    // Check if the source directory exists
-    if (!fs.existsSync(srcDir)) {
-      console.log(`Source directory not found: ${srcDir}`);
-      return;
-    }
-
-    // Ensure the destination directory exists
-    fs.ensureDirSync(destDir);
-
-    // Copy the directory recursively
-    fs.copySync(srcDir, destDir, {
-      recursive: true,
-      overwrite: true,
-    });
-
-    console.log(`Copied directory from ${srcDir} to ${destDir}`);
-  } catch (error) {
-    console.error(`Error copying directory: ${error.message}`);
-  }
+function isInside(filePath, dir) {
+  const relativePath = path.relative(dir, path.resolve(filePath));
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
 }
 
 /**
@@ -507,10 +269,11 @@ function copyDirectory(srcDir, destDir) {
 function startServer() {
   console.log('Starting AltV server...');
 
-  // Start the server
+  // Start the server, with the dev channel the watcher sends reloads through
   const server = spawn(config.serverExe, [], {
     cwd: path.join(__dirname, '..'),
     stdio: 'inherit',
+    env: { ...process.env, CORE_DEV_CHANNEL: 'on' },
   });
 
   // Handle server exit
@@ -529,31 +292,117 @@ function startServer() {
 
 /**
  * Trigger a reload in the server
- * @param {string[]} resources The resources to reload
+ * Each resource is reloaded through the core's local dev channel and the
+ * result reported by the core is printed
+ * @param {{ resource: string, sides: string[] }[]} resources The resources to reload
  */
-function triggerReload(resources) {
-  console.log(`Triggering reload for resources: ${resources.join(', ')}`);
+async function triggerReload(resources) {
+  console.log(
+    `Triggering reload for resources: ${resources
+      .map(({ resource }) => resource)
+      .join(', ')}`
+  );
 
-  // Since all plugins are now part of the core resource,
-  // we only need to reload the core resource
-  // But we'll pass the plugin IDs to the core so it knows what to reload internally
+  const channel = readDevChannel();
+  if (!channel) {
+    console.log(
+      'Core dev channel not available, is the server running? Skipping reload'
+    );
+    return;
+  }
 
-  // TODO: Implement a way to communicate with the server to trigger reloads
-  // This could be done via a REST API, WebSocket, or other IPC mechanism
-  // For now, we'll just restart the core resource
+  for (const { resource, sides } of resources) {
+    try {
+      const result = await sendReloadRequest(channel, resource, sides);
+
+      if (result.restarted) {
+        console.log(
+          `${resource} does not support hot reloading, restarted the core`
+        );
+      } else if (result.success) {
+        console.log(
+          `Reloaded ${resource} (${sides.join('/')}) in ${result.duration}ms`
+        );
+      } else {
+        console.error(`Reload of ${resource} failed: ${result.error}`);
+      }
+    } catch (error) {
+      console.error(
+        `Could not reach the core to reload ${resource}: ${error.message}`
+      );
+    }
+  }
+}
 
-  console.log('Reloading core resource...');
+/**
+ * Read the dev channel address and token written by the core
+ * @returns {{ port: number, token: string }|null} The channel, or null if the core is not running
+ */
+function readDevChannel() {
+  try {
+    return JSON.parse(fs.readFileSync(config.devChannelFile, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
 
-  // In a real implementation, we would send a message to the server
-  // to reload the specific plugins within the core resource
+/**
+ * Ask the core to reload a resource
+ * @param {{ port: number, token: string }} channel The dev channel to use
+ * @param {string} pluginId The resource to reload
+ * @param {string[]} sides The sides that were rebuilt
+ * @returns {Promise<{ success: boolean, error?: string, restarted?: boolean, duration: number }>} The reload result
+ */
+function sendReloadRequest(channel, pluginId, sides) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify({ pluginId, sides });
+
+    const request = http.request(
+      {
+        host: '127.0.0.1',
+        port: channel.port,
+        path: '/reload',
+        method: 'POST',
+        timeout: config.reloadTimeout,
+        headers: {
+          Authorization: `Bearer ${channel.token}`,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+        },
+      },
+      (response) => {
+        let data = '';
+        response.on('data', (chunk) => (data += chunk));
+        response.on('end', () => {
+          try {
+            const result = JSON.parse(data);
+            if (response.statusCode !== 200 && !('success' in result)) {
+              reject(new Error(result.error || `HTTP ${response.statusCode}`));
+              return;
+            }
+            resolve(result);
+          } catch (error) {
+            reject(new Error(`Invalid response from core: ${error.message}`));
+          }
+        });
+      }
+    );
 
-  console.log('Reload triggered successfully!');
+    request.on('timeout', () => {
+      request.destroy(new Error('Timed out waiting for the core'));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
 }
 
 // Check if this script is being run directly
 if (require.main === module) {
   // Start the hot reload system
-  startHotReload();
+  startHotReload().catch((error) => {
+    console.error(`Hot reload system failed: ${error.message}`);
+    process.exit(1);
+  });
 }
 
 module.exports = { startHotReload };
@@ -0,0 +1,653 @@
+/**
+ * Plugin scaffolding for the AltV project
+ * Generates a plugin under src/plugins/<id> that builds right away
+ *
+ * Usage: pnpm plugin:new <id> [options]
+ *
+ *   --server-only            Only generate the server side
+ *   --ui <webview|rmlui|none> UI of the client side, defaults to webview
+ *   --shared, --no-shared    Whether to generate shared types, defaults to yes
+ *   --name <name>            Human-readable name, defaults to the ID in words
+ *   --author <author>        Author in the manifest
+ *   --description <text>     Description in the manifest
+ *   --yes                    Use the defaults instead of asking
+ *
+ * Options that are not given are asked for when run in a terminal.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline/promises');
+const { config, listPlugins } = require('./build-engine');
+const { PLUGIN_ID_PATTERN } = require('./plugin-manifest');
+
+// UIs the client side can have
+const UI_TYPES = ['webview', 'rmlui', 'none'];
+
+// Flags that take a value
+const VALUE_FLAGS = ['ui', 'name', 'author', 'description'];
+
+// IDs plugins cannot have
+const RESERVED_IDS = ['core'];
+
+/**
+ * Parse the command line
+ * @param {string[]} args The arguments after the script name
+ * @returns {{ id?: string, flags: Record<string, string|boolean> }} The
+ *   plugin ID and the flags
+ */
+function parseArgs(args) {
+  const flags = {};
+  let id;
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (!arg.startsWith('-')) {
+      if (id !== undefined) {
+        throw new Error(`Unexpected argument "${arg}"`);
+      }
+      id = arg;
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    if (VALUE_FLAGS.includes(flag)) {
+      const value = inlineValue ?? args[++index];
+      if (value === undefined) {
+        throw new Error(`--${flag} needs a value`);
+      }
+      flags[flag] = value;
+    } else if (flag === 'no-shared') {
+      flags.shared = false;
+    } else if (['server-only', 'shared', 'yes', 'y'].includes(flag)) {
+      flags[flag === 'y' ? 'yes' : flag] = true;
+    } else {
+      throw new Error(`Unknown option "${arg}"`);
+    }
+  }
+
+  return { id, flags };
+}
+
+/**
+ * Check that a plugin can be created with an ID
+ * @param {string|undefined} id The plugin ID
+ * @returns {string|null} The problem, or null if the ID is free
+ */
+function checkId(id) {
+  if (!id) {
+    return 'Missing plugin ID, usage: pnpm plugin:new <id> [options]';
+  }
+
+  if (!PLUGIN_ID_PATTERN.test(id)) {
+    return `"${id}" is not a valid plugin ID, use letters, digits, - and _`;
+  }
+
+  // Plugin directories may differ only in case on Windows and macOS
+  const clash = [...RESERVED_IDS, ...listPlugins()].find(
+    (existing) => existing.toLowerCase() === id.toLowerCase()
+  );
+  if (clash) {
+    return clash === 'core'
+      ? '"core" is the core resource, pick another ID'
+      : `A plugin named "${clash}" already exists in src/plugins`;
+  }
+
+  return null;
+}
+
+/**
+ * Decide the options of the plugin, asking for the ones not given as flags
+ * @param {string} id The plugin ID
+ * @param {Record<string, string|boolean>} flags The flags
+ * @returns {Promise<{ name: string, author: string, description: string, client: boolean, ui: string, shared: boolean }>}
+ *   The options
+ */
+async function resolveOptions(id, flags) {
+  const interactive = process.stdin.isTTY && !flags.yes;
+  const rl = interactive
+    ? readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      })
+    : null;
+
+  // Ask for a value, or use the default when not in a terminal
+  const ask = async (question, defaultValue, accept = () => true) => {
+    if (!rl) {
+      return defaultValue;
+    }
+
+    for (;;) {
+      const answer = (await rl.question(`${question} (${defaultValue}): `))
+        .trim();
+      if (!answer) {
+        return defaultValue;
+      }
+      if (accept(answer)) {
+        return answer;
+      }
+      console.log('  Please answer with one of the choices');
+    }
+  };
+
+  const askYesNo = async (question, defaultValue) => {
+    const answer = await ask(question, defaultValue ? 'Y/n' : 'y/N', (value) =>
+      /^(y|yes|n|no)$/i.test(value)
+    );
+    return answer.includes('/') ? defaultValue : /^y/i.test(answer);
+  };
+
+  try {
+    const name = flags.name ?? (await ask('Name', toTitle(id)));
+    const author = flags.author ?? (await ask('Author', 'Unknown'));
+    const description =
+      flags.description ?? (await ask('Description', `The ${name} plugin`));
+
+    const client = flags['server-only']
+      ? false
+      : flags.ui !== undefined || (await askYesNo('Client side?', true));
+
+    let ui = 'none';
+    if (client) {
+      ui =
+        flags.ui ??
+        (await ask(`UI, ${UI_TYPES.join(', ')}?`, 'webview', (value) =>
+          UI_TYPES.includes(value)
+        ));
+    } else if (flags.ui !== undefined && flags.ui !== 'none') {
+      throw new Error('--ui cannot be used with --server-only');
+    }
+    if (!UI_TYPES.includes(ui)) {
+      throw new Error(`--ui must be one of ${UI_TYPES.join(', ')}`);
+    }
+
+    const shared = flags.shared ?? (await askYesNo('Shared types?', true));
+
+    return { name, author, description, client, ui, shared };
+  } finally {
+    rl?.close();
+  }
+}
+
+/**
+ * Get the files of a new plugin
+ * @param {string} id The plugin ID
+ * @param {{ name: string, author: string, description: string, client: boolean, ui: string, shared: boolean }} options
+ *   The plugin options
+ * @returns {Record<string, string>} The contents of every file, by path
+ *   relative to the plugin directory
+ */
+function getPluginFiles(id, options) {
+  const files = {
+    'resource.toml': renderManifest(id, options),
+    'server/index.ts': renderServer(id, options),
+  };
+
+  if (options.client) {
+    files['client/index.ts'] = renderClient(id, options);
+  }
+  if (options.ui === 'webview') {
+    files['client/html/index.html'] = renderWebView(options);
+  }
+  if (options.ui === 'rmlui') {
+    files['client/rml/index.rml'] = renderRmlDocument(options);
+  }
+  if (options.shared) {
+    files['shared/events.ts'] = renderSharedEvents(id);
+  }
+
+  return files;
+}
+
+/**
+ * Render resource.toml
+ */
+function renderManifest(id, options) {
+  const lines = ['type = "js"', 'main = "server/index.js"'];
+  if (options.client) {
+    lines.push('client-main = "client/index.js"', 'client-files = ["client/*"]');
+  }
+
+  lines.push(
+    'deps = ["core"]',
+    '',
+    '# Plugin metadata, see scripts/plugin-manifest.js',
+    `name = ${JSON.stringify(options.name)}`,
+    'version = "1.0.0"',
+    `author = ${JSON.stringify(options.author)}`,
+    `description = ${JSON.stringify(options.description)}`,
+    'supports-hot-reload = true'
+  );
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render server/index.ts
+ */
+function renderServer(id, options) {
+  const hasUi = options.ui !== 'none';
+
+  return `/**
+ * ${options.name} server-side entry point
+ */
+
+import * as alt from 'alt-server';
+import {
+  PluginMetadata,
+  PluginLifecycle,
+  CoreAPI,
+} from '../../../core/shared/interfaces';
+${options.shared ? "import '../shared/events';\n" : ''}
+// Access the core API
+const core = (global as any).core as CoreAPI;
+
+// Plugin metadata, resource.toml takes precedence
+const metadata: PluginMetadata = {
+  id: ${quote(id)},
+  name: ${quote(options.name)},
+  version: '1.0.0',
+  author: ${quote(options.author)},
+  description: ${quote(options.description)},
+  dependencies: ['core'],
+  supportsHotReload: true,
+};
+
+// Plugin lifecycle hooks
+const lifecycle: PluginLifecycle = {
+  onLoad: () => {
+    core.log(${quote(`${options.name} loaded!`)});
+
+    // Register event handlers
+    core.sessions.onPlayerReady(handlePlayerReady);
+${
+  hasUi
+    ? `
+    // Register chat commands
+    registerChatCommands();
+`
+    : ''
+}${
+    options.shared
+      ? `
+    // Let other plugins know the plugin is ready
+    core.emit(${quote(`${id}:ready`)});
+`
+      : ''
+  }  },
+
+  onUnload: () => {
+    core.log(${quote(`${options.name} unloaded!`)});
+  },
+};
+
+/**
+ * Handle players whose client has loaded the plugins
+ * @param player The player
+ */
+function handlePlayerReady(player: alt.Player): void {
+  core.logger.info('Player ready', { player: player.name });
+}
+${
+  hasUi
+    ? `
+/**
+ * Register chat commands for the plugin
+ * They are removed by the core when the plugin unloads
+ */
+function registerChatCommands(): void {
+  core.commands.register({
+    name: ${quote(id)},
+    description: ${quote(`Toggle the ${options.name} UI`)},
+    sources: ['chat'],
+    handler: ({ player }) => {
+      alt.emitClient(player, ${quote(`${id}:toggleUi`)});
+    },
+  });
+}
+`
+    : ''
+}
+// Register the plugin with the core resource
+core.registerPlugin(metadata, lifecycle);
+`;
+}
+
+/**
+ * Render client/index.ts
+ */
+function renderClient(id, options) {
+  const tag = `[${id.toUpperCase()}]`;
+
+  let imports = 'import { ClientCoreAPI } from \'../../../core/shared/interfaces\';';
+  let state = '';
+  let handlers = '';
+  let functions = '';
+
+  if (options.ui === 'webview') {
+    imports = `import {
+  ClientCoreAPI,
+  ManagedWebView,
+} from '../../../core/shared/interfaces';`;
+    state = `
+// Messages between the client and the UI
+type UIToPage = { updatePlayerInfo: [playerName: string] };
+type UIFromPage = { closeUI: [] };
+
+// The UI, while it is open
+let webview: ManagedWebView<UIToPage, UIFromPage> | null = null;
+`;
+    functions = `
+/**
+ * Open the UI, or close it if it is open
+ */
+function toggleUI(): void {
+  if (webview) {
+    webview.destroy();
+    webview = null;
+    return;
+  }
+
+  // The core focuses the WebView and shows the cursor
+  webview = core.webviews.open<UIToPage, UIFromPage>(
+    'http://resource/client/html/index.html'
+  );
+  webview.on('closeUI', toggleUI);
+
+  // Queued until the page is ready
+  webview.emit('updatePlayerInfo', alt.Player.local.name);
+}
+`;
+  }
+
+  if (options.ui === 'rmlui') {
+    imports = `import {
+  ClientCoreAPI,
+  ManagedRmlDocument,
+} from '../../../core/shared/interfaces';`;
+    state = `
+// RmlUI documents are loaded by their path within the core resource
+const DOCUMENT_URL = ${quote(`/plugins/${id}/client/rml/index.rml`)};
+
+// The UI, while it is open
+let menu: ManagedRmlDocument | null = null;
+
+// Whether the fonts of the UI have been loaded
+let fontsLoaded = false;
+`;
+    functions = `
+/**
+ * Open the UI, or close it if it is open
+ */
+function toggleUI(): void {
+  if (menu) {
+    menu.destroy();
+    menu = null;
+    return;
+  }
+
+  // Fonts of the rmlui asset pack the core depends on
+  if (!fontsLoaded) {
+    alt.loadRmlFont('@rmlui/fonts/inter-regular.ttf', 'inter-regular');
+    alt.loadRmlFont('@rmlui/fonts/inter-bold.ttf', 'inter-bold');
+    fontsLoaded = true;
+  }
+
+  // The core focuses the document and shows the cursor
+  menu = core.ui.openDocument(DOCUMENT_URL);
+  menu.on('close', 'click', toggleUI);
+}
+`;
+  }
+
+  if (options.ui !== 'none') {
+    handlers = `
+  // The server toggles the UI when the player runs /${id}
+  alt.onServer(${quote(`${id}:toggleUi`)}, toggleUI);
+`;
+  }
+
+  return `/**
+ * ${options.name} client-side entry point
+ */
+
+import * as alt from 'alt-client';
+${imports}
+
+// Access the core API
+const core = (globalThis as any).core as ClientCoreAPI;
+${state}
+/**
+ * Initialize the client-side plugin
+ */
+function init(): void {
+  if (!core) {
+    alt.logError(${quote(`${tag} Core API not found!`)});
+    return;
+  }
+
+  core.log(${quote(`${options.name} client-side initialized!`)});
+${handlers}}
+${functions}
+// Initialize the plugin
+init();
+`;
+}
+
+/**
+ * Render client/html/index.html
+ */
+function renderWebView(options) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeMarkup(options.name)}</title>
+    <style>
+      html,
+      body {
+        margin: 0;
+        font-family: Arial, sans-serif;
+        color: white;
+        background-color: transparent;
+      }
+
+      .container {
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        width: 300px;
+        padding: 15px;
+        border-radius: 5px;
+        background-color: rgba(0, 0, 0, 0.7);
+      }
+
+      .title {
+        font-size: 18px;
+        font-weight: bold;
+        margin-bottom: 10px;
+      }
+    </style>
+  </head>
+  <body>
+    <div class="container">
+      <div class="title">${escapeMarkup(options.name)}</div>
+      <p id="player-info">Loading player info...</p>
+      <button id="close-btn">Close</button>
+    </div>
+
+    <script>
+      alt.on('updatePlayerInfo', (playerName) => {
+        document.getElementById('player-info').textContent =
+          \`Player: \${playerName}\`;
+      });
+
+      document.getElementById('close-btn').addEventListener('click', () => {
+        alt.emit('closeUI');
+      });
+
+      // Messages sent by the client before this are queued
+      alt.emit('core:webviewReady');
+    </script>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Render client/rml/index.rml
+ */
+function renderRmlDocument(options) {
+  return `<rml>
+    <head>
+        <title>${escapeMarkup(options.name)}</title>
+        <style>
+            body {
+                width: 100vw;
+                height: 100vh;
+                position: absolute;
+                font-family: inter-regular;
+                color: #ffffff;
+            }
+
+            .container {
+                position: absolute;
+                top: 20px;
+                right: 20px;
+                width: 300px;
+                padding: 15px;
+                background: #000000b3;
+            }
+
+            .title {
+                font-family: inter-bold;
+                font-size: 18px;
+                padding-bottom: 10px;
+            }
+
+            #close {
+                display: inline-block;
+                margin-top: 10px;
+                padding: 8px 12px;
+                background: #4caf50;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="title">${escapeMarkup(options.name)}</div>
+            <div>Welcome to ${escapeMarkup(options.name)}!</div>
+            <div id="close">Close</div>
+        </div>
+    </body>
+</rml>
+`;
+}
+
+/**
+ * Render shared/events.ts
+ */
+function renderSharedEvents(id) {
+  return `/**
+ * Events the plugin emits on the core event bus
+ * Other plugins import this module to get typed handlers for these events
+ */
+
+declare module '../../../core/shared/interfaces' {
+  interface CoreEventMap {
+    /** The plugin finished loading (server) */
+    ${quote(`${id}:ready`)}: [];
+  }
+}
+
+export {};
+`;
+}
+
+/**
+ * Turn a plugin ID into a name, e.g. my-plugin into My Plugin
+ * @param {string} id The plugin ID
+ * @returns {string} The name
+ */
+function toTitle(id) {
+  return id
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Quote a string for TypeScript source
+ * @param {string} value The string
+ * @returns {string} The string literal
+ */
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Escape text for HTML and RML markup
+ * @param {string} text The text
+ * @returns {string} The escaped text
+ */
+function escapeMarkup(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Create a plugin
+ * @param {string[]} args The command line arguments
+ * @returns {Promise<boolean>} Whether the plugin was created
+ */
+async function createPlugin(args) {
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    console.error(error.message);
+    return false;
+  }
+
+  const problem = checkId(parsed.id);
+  if (problem) {
+    console.error(problem);
+    return false;
+  }
+
+  let options;
+  try {
+    options = await resolveOptions(parsed.id, parsed.flags);
+  } catch (error) {
+    console.error(error.message);
+    return false;
+  }
+
+  const pluginDir = path.join(config.pluginsDir, parsed.id);
+  const files = getPluginFiles(parsed.id, options);
+  for (const [file, contents] of Object.entries(files)) {
+    fs.outputFileSync(path.join(pluginDir, file), contents);
+  }
+
+  console.log(
+    `Created ${path.relative(process.cwd(), pluginDir)}:\n` +
+      Object.keys(files)
+        .map((file) => `  ${file}`)
+        .join('\n')
+  );
+  console.log('Run pnpm build or pnpm dev to try it out');
+  return true;
+}
+
+// Check if this script is being run directly
+if (require.main === module) {
+  createPlugin(process.argv.slice(2)).then((success) => {
+    process.exitCode = success ? 0 : 1;
+  });
+}
+
+module.exports = { createPlugin };
@@ -0,0 +1,315 @@
+/**
+ * Plugin manifest parsing for the AltV project
+ * Reads a plugin's resource.toml, validates it and turns it into the
+ * metadata.json the core plugin manager loads plugins from
+ *
+ * Manifest format (every key is optional):
+ *
+ *   name = "Example Plugin"          # Human-readable name, defaults to the plugin ID
+ *   version = "1.0.0"                # Semantic version
+ *   author = "Your Name"
+ *   description = "What it does"
+ *   deps = ["core", "economy@^2.1"]  # Plugins this plugin requires, with an optional semver range
+ *   optional-deps = ["chat@>=1.0"]   # Plugins used if installed, the range applies if they are
+ *   load-after = ["logging"]         # Plugins to load first if installed, without a version check
+ *   supports-hot-reload = true       # Whether the plugin can be reloaded in place
+ *   hook-timeout = 10000             # Milliseconds lifecycle hooks may take
+ *   main = "server/index.js"         # Server entry point, built from server/index.ts
+ *   client-main = "client/index.js"  # Client entry point, built from client/index.ts
+ *
+ * The alt:V keys type and client-files are accepted as well.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const semver = require('semver');
+const { parse, TomlError } = require('smol-toml');
+
+// Plugin IDs are directory names used in paths and event names
+const PLUGIN_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Semantic version, optionally with a pre-release or build suffix
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?$/;
+
+// Dependency declared as "id" or "id@range", tested like a pattern
+const DEPENDENCY_PATTERN = {
+  test: (spec) => {
+    const [id, range, ...rest] = spec.split('@');
+    return (
+      rest.length === 0 &&
+      PLUGIN_ID_PATTERN.test(id.trim()) &&
+      (range === undefined || semver.validRange(range) !== null)
+    );
+  },
+};
+
+// Bundle path inside a directory of the plugin, without . or .. segments
+// that could point the loader outside the plugin
+const bundlePattern = (directory) =>
+  new RegExp(`^${directory}/(?:[\\w-][\\w.-]*/)*[\\w-][\\w.-]*\\.js$`);
+
+// Whole number above zero, tested like a pattern
+const POSITIVE_INTEGER = {
+  test: (value) => Number.isInteger(value) && value > 0,
+};
+
+/**
+ * Schema of the manifest keys
+ * type is one of 'string', 'number', 'boolean' or 'string[]', pattern is
+ * anything with a test method
+ */
+const MANIFEST_SCHEMA = {
+  type: { type: 'string', oneOf: ['js'] },
+  id: { type: 'string', pattern: PLUGIN_ID_PATTERN },
+  name: { type: 'string' },
+  version: {
+    type: 'string',
+    pattern: VERSION_PATTERN,
+    hint: 'a semantic version such as "1.0.0"',
+  },
+  author: { type: 'string' },
+  description: { type: 'string' },
+  deps: {
+    type: 'string[]',
+    pattern: DEPENDENCY_PATTERN,
+    hint: 'plugin IDs with an optional semver range, such as "economy@^2.1"',
+  },
+  'optional-deps': {
+    type: 'string[]',
+    pattern: DEPENDENCY_PATTERN,
+    hint: 'plugin IDs with an optional semver range, such as "economy@^2.1"',
+  },
+  'load-after': {
+    type: 'string[]',
+    pattern: PLUGIN_ID_PATTERN,
+    hint: 'plugin IDs',
+  },
+  'supports-hot-reload': { type: 'boolean' },
+  'hook-timeout': {
+    type: 'number',
+    pattern: POSITIVE_INTEGER,
+    hint: 'a whole number of milliseconds above 0',
+  },
+  main: {
+    type: 'string',
+    pattern: bundlePattern('server'),
+    hint: 'a .js file in server/',
+  },
+  'client-main': {
+    type: 'string',
+    pattern: bundlePattern('client'),
+    hint: 'a .js file in client/',
+  },
+  'client-files': { type: 'string[]' },
+};
+
+/**
+ * Read and validate the manifest of a plugin
+ * @param {string} pluginDir The source directory of the plugin
+ * @param {string} pluginId The ID of the plugin, its directory name
+ * @returns {{ metadata: object|null, errors: string[] }} The plugin metadata,
+ *   or null with the validation errors as "file:line: message"
+ */
+function readManifest(pluginDir, pluginId) {
+  const file = path.join(pluginDir, 'resource.toml');
+  const relativeFile = path.relative(process.cwd(), file);
+  const errors = [];
+
+  if (!PLUGIN_ID_PATTERN.test(pluginId)) {
+    errors.push(
+      `${pluginDir}: plugin directory name "${pluginId}" is not a valid plugin ID`
+    );
+  }
+
+  let source = '';
+  let manifest = {};
+  if (fs.existsSync(file)) {
+    source = fs.readFileSync(file, 'utf8');
+    try {
+      manifest = parse(source);
+    } catch (error) {
+      if (error instanceof TomlError) {
+        const message = error.message.split('\n')[0];
+        return {
+          metadata: null,
+          errors: [`${relativeFile}:${error.line}:${error.column}: ${message}`],
+        };
+      }
+      throw error;
+    }
+  }
+
+  for (const [key, value] of Object.entries(manifest)) {
+    const location = `${relativeFile}:${findKeyLine(source, key)}`;
+    const rule = MANIFEST_SCHEMA[key];
+
+    if (!rule) {
+      const suggestion = suggestKey(key);
+      errors.push(
+        `${location}: unknown key "${key}"` +
+          (suggestion ? `, did you mean "${suggestion}"?` : '')
+      );
+      continue;
+    }
+
+    const error = validateValue(value, rule);
+    if (error) {
+      errors.push(`${location}: "${key}" ${error}`);
+    }
+  }
+
+  if (manifest.id !== undefined && manifest.id !== pluginId) {
+    errors.push(
+      `${relativeFile}:${findKeyLine(source, 'id')}: "id" must match the plugin directory name "${pluginId}"`
+    );
+  }
+
+  if (errors.length > 0) {
+    return { metadata: null, errors };
+  }
+
+  return {
+    metadata: {
+      id: pluginId,
+      name: manifest.name ?? pluginId,
+      version: manifest.version ?? '1.0.0',
+      author: manifest.author ?? 'Unknown',
+      description: manifest.description ?? '',
+      dependencies: manifest.deps ?? ['core'],
+      optionalDependencies: manifest['optional-deps'] ?? [],
+      loadAfter: manifest['load-after'] ?? [],
+      supportsHotReload: manifest['supports-hot-reload'] ?? true,
+      hookTimeout: manifest['hook-timeout'],
+      main: manifest.main ?? 'server/index.js',
+      clientMain: manifest['client-main'] ?? 'client/index.js',
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Validate a manifest value against its schema rule
+ * @param {unknown} value The value from the manifest
+ * @param {{ type: string, pattern?: { test: (value: string) => boolean }, oneOf?: string[], hint?: string }} rule The schema rule
+ * @returns {string|null} The error, or null if the value is valid
+ */
+function validateValue(value, rule) {
+  if (rule.type === 'string[]') {
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+      return `must be an array of strings, got ${describe(value)}`;
+    }
+
+    const invalid = rule.pattern && value.find((item) => !rule.pattern.test(item));
+    return invalid !== undefined && invalid !== false
+      ? `must contain ${rule.hint}, got "${invalid}"`
+      : null;
+  }
+
+  if (typeof value !== rule.type) {
+    return `must be a ${rule.type}, got ${describe(value)}`;
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return `must be one of ${rule.oneOf.map((v) => `"${v}"`).join(', ')}, got "${value}"`;
+  }
+
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `must be ${rule.hint || `a string matching ${rule.pattern}`}, got "${value}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Describe the type of a manifest value for error messages
+ * @param {unknown} value The value
+ * @returns {string} The description
+ */
+function describe(value) {
+  if (Array.isArray(value)) {
+    return 'an array';
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return 'a table';
+  }
+
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Find the line a top-level key is defined on
+ * @param {string} source The manifest source
+ * @param {string} key The key
+ * @returns {number} The 1-based line number, or 1 if the key was not found
+ */
+function findKeyLine(source, key) {
+  const lines = source.split(/\r?\n/);
+  const keyPattern = new RegExp(
+    `^\\s*(?:${escapeRegExp(key)}|"${escapeRegExp(key)}"|'${escapeRegExp(key)}')\\s*=`
+  );
+  const tablePattern = new RegExp(`^\\s*\\[+\\s*${escapeRegExp(key)}\\s*\\]`);
+
+  for (let index = 0; index < lines.length; index++) {
+    if (keyPattern.test(lines[index]) || tablePattern.test(lines[index])) {
+      return index + 1;
+    }
+  }
+
+  return 1;
+}
+
+/**
+ * Suggest the known key closest to a misspelled one
+ * @param {string} key The unknown key
+ * @returns {string|null} The suggestion, or null if nothing is close
+ */
+function suggestKey(key) {
+  let best = null;
+  let bestDistance = 3;
+
+  for (const known of Object.keys(MANIFEST_SCHEMA)) {
+    const distance = editDistance(key.toLowerCase(), known);
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a The first string
+ * @param {string} b The second string
+ * @returns {number} The number of edits to turn a into b
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value The string
+ * @returns {string} The escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { PLUGIN_ID_PATTERN, readManifest };
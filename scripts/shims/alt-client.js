@@ -0,0 +1,20 @@
+/**
+ * alt-client shim for plugin bundles
+ * Plugin builds alias 'alt-client' and 'alt-shared' to this file so that every
+ * handler, key binding, timer and WebView a plugin creates goes through its
+ * plugin scope and can be removed when the plugin is reloaded
+ *
+ * This is CommonJS on purpose: the exports are only known at runtime, when the
+ * client core has made the plugin's scoped API available as the global core
+ * object. It also leaves client bundles without imports, so the client core
+ * can evaluate a bundle pushed by the server
+ */
+
+const core = globalThis.core;
+const scope = core && core[Symbol.for('core:pluginScope')];
+
+if (!scope) {
+  throw new Error('Plugin bundles must be loaded by the client core');
+}
+
+module.exports = scope.alt;
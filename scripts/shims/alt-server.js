@@ -0,0 +1,20 @@
+/**
+ * alt-server shim for plugin bundles
+ * Plugin builds alias 'alt-server' to this file so that every handler, timer
+ * and entity a plugin creates goes through its plugin scope and can be removed
+ * when the plugin is unloaded or reloaded
+ *
+ * This is CommonJS on purpose: the exports are only known at runtime, when the
+ * core has made the plugin's scoped API available as the global core object
+ */
+
+const core = globalThis.core;
+const scope = core && core[Symbol.for('core:pluginScope')];
+
+if (!scope) {
+  throw new Error(
+    'Plugin bundles must be loaded by the core resource plugin manager'
+  );
+}
+
+module.exports = scope.alt;
@@ -0,0 +1,13 @@
+/**
+ * natives shim for plugin bundles
+ * Hands plugins the natives module of the client core, see alt-client.js
+ */
+
+const core = globalThis.core;
+const scope = core && core[Symbol.for('core:pluginScope')];
+
+if (!scope) {
+  throw new Error('Plugin bundles must be loaded by the client core');
+}
+
+module.exports = scope.natives;
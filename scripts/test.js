@@ -0,0 +1,185 @@
+/**
+ * Test runner for plugins and the core
+ * Builds the project into a temporary directory, bundles the test files of
+ * plugins and the core against the in-memory alt:V modules in src/testing and
+ * runs them with the Node.js test runner.
+ * Usage: pnpm test [core|plugin...]
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const esbuild = require('esbuild');
+const { globSync } = require('glob');
+const { config, createBuildEngine } = require('./build-engine');
+
+// Where the bundled test files are written
+const outputDir = path.join(
+  __dirname,
+  '..',
+  'node_modules',
+  '.cache',
+  'altv-tests'
+);
+
+// The in-memory alt:V modules
+const testingDir = path.join(config.srcDir, 'testing');
+
+// Type declarations the natives module is generated from
+const nativesTypes = path.join(
+  __dirname,
+  '..',
+  'node_modules',
+  '@altv',
+  'types-natives',
+  'index.d.ts'
+);
+
+/**
+ * Find the test files of plugins and the core
+ * Core tests live in src/core/tests, plugin tests in the tests directory of
+ * the plugin
+ * @param {string[]} targets 'core' and the plugins to test, everything if empty
+ * @returns {string[]} Paths of the test files
+ */
+function findTestFiles(targets) {
+  const patterns = (targets.length > 0 ? targets : ['core', '*']).map(
+    (target) =>
+      target === 'core'
+        ? 'core/tests/**/*.test.ts'
+        : `plugins/${target}/tests/**/*.test.ts`
+  );
+
+  return globSync(patterns, { cwd: config.srcDir, absolute: true }).sort();
+}
+
+/**
+ * Create the esbuild plugin that provides the natives module
+ * Every native records its calls, tests can mock what natives return
+ * @returns {import('esbuild').Plugin}
+ */
+function nativesPlugin() {
+  return {
+    name: 'natives',
+    setup(build) {
+      build.onResolve({ filter: /^natives$/ }, () => ({
+        path: 'natives',
+        namespace: 'natives',
+      }));
+
+      build.onLoad({ filter: /.*/, namespace: 'natives' }, async () => {
+        const types = await fs.readFile(nativesTypes, 'utf8');
+        const names = new Set(
+          [...types.matchAll(/export function (\w+)/g)].map((match) => match[1])
+        );
+        const recorder = JSON.stringify(path.join(testingDir, 'natives.ts'));
+
+        let contents = `import { recordNative } from ${recorder};\n`;
+        for (const name of names) {
+          contents +=
+            `export function ${name}(...args) ` +
+            `{ return recordNative('${name}', args); }\n`;
+        }
+
+        return { contents, loader: 'js', resolveDir: testingDir };
+      });
+    },
+  };
+}
+
+/**
+ * Bundle test files so Node.js can run them
+ * @param {string[]} testFiles Paths of the test files
+ * @returns {Promise<string[]>} Paths of the bundled test files
+ */
+async function bundleTests(testFiles) {
+  await fs.emptyDir(outputDir);
+
+  await esbuild.build({
+    entryPoints: testFiles,
+    outdir: outputDir,
+    outbase: config.srcDir,
+    outExtension: { '.js': '.mjs' },
+    bundle: true,
+    platform: 'node',
+    format: 'esm',
+    target: 'node20',
+    sourcemap: 'inline',
+    logLevel: 'warning',
+    define: { __DEBUG__: 'true' },
+    alias: {
+      'alt-server': path.join(testingDir, 'alt-server.ts'),
+      'alt-client': path.join(testingDir, 'alt-client.ts'),
+      'alt-shared': path.join(testingDir, 'alt-shared.ts'),
+    },
+    external: config.serverPackages,
+    plugins: [nativesPlugin()],
+    // Bundled CommonJS dependencies need require in an ES module
+    banner: {
+      js: "import { createRequire } from 'module'; const require = createRequire(import.meta.url);",
+    },
+  });
+
+  return testFiles.map((file) =>
+    path
+      .join(outputDir, path.relative(config.srcDir, file))
+      .replace(/\.ts$/, '.mjs')
+  );
+}
+
+/**
+ * Build the project and run the tests of plugins and the core
+ * @param {string[]} targets 'core' and the plugins to test, everything if empty
+ * @returns {Promise<boolean>} Whether every test passed
+ */
+async function test(targets = []) {
+  const testFiles = findTestFiles(targets);
+  if (testFiles.length === 0) {
+    console.log('No test files found');
+    return true;
+  }
+
+  // Tests load the built plugins, like the server does. They are built into
+  // a temporary directory so the deployed core is left alone
+  const buildDir = await fs.mkdtemp(path.join(os.tmpdir(), 'altv-test-build-'));
+  try {
+    const engine = createBuildEngine({ outputDir: buildDir });
+    try {
+      const results = await engine.buildAll();
+      if (!results.every((result) => result.success)) {
+        console.error('Build failed, not running tests');
+        return false;
+      }
+    } finally {
+      await engine.dispose();
+    }
+
+    const bundles = await bundleTests(testFiles);
+    const result = spawnSync(
+      process.execPath,
+      ['--enable-source-maps', '--test', ...bundles],
+      {
+        stdio: 'inherit',
+        cwd: path.join(__dirname, '..'),
+        env: {
+          ...process.env,
+          CORE_TEST_PLUGINS_DIR: path.join(buildDir, 'plugins'),
+        },
+      }
+    );
+
+    return result.status === 0;
+  } finally {
+    await fs.remove(buildDir);
+  }
+}
+
+// Check if this script is being run directly
+if (require.main === module) {
+  test(process.argv.slice(2)).then((success) => {
+    process.exitCode = success ? 0 : 1;
+  });
+}
+
+module.exports = { test };
@@ -0,0 +1,124 @@
+/**
+ * Vite support for plugin WebView UIs
+ * A plugin's client/html directory is a Vite project if it has a Vite config
+ * or a package.json that depends on vite. Such UIs are built with Vite
+ * instead of being copied, and served by a Vite dev server during development
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Config files Vite picks up from the project root
+const VITE_CONFIG_FILES = [
+  'vite.config.js',
+  'vite.config.mjs',
+  'vite.config.cjs',
+  'vite.config.ts',
+  'vite.config.mts',
+  'vite.config.cts',
+];
+
+// First port tried for dev servers, the next free one is used if taken
+const DEV_SERVER_PORT = 5173;
+
+/**
+ * Check whether a directory is a Vite project
+ * @param {string} dir The directory, e.g. a plugin's client/html
+ * @returns {boolean} True if the directory has a Vite config or depends on vite
+ */
+function isViteProject(dir) {
+  if (!fs.existsSync(path.join(dir, 'index.html'))) {
+    return false;
+  }
+
+  if (VITE_CONFIG_FILES.some((file) => fs.existsSync(path.join(dir, file)))) {
+    return true;
+  }
+
+  try {
+    const packageJson = fs.readJsonSync(path.join(dir, 'package.json'));
+    return Boolean(
+      packageJson.dependencies?.vite || packageJson.devDependencies?.vite
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Load Vite, its CommonJS build is deprecated
+ * @returns {Promise<typeof import('vite')>} The Vite module
+ */
+function loadVite() {
+  return import('vite');
+}
+
+/**
+ * Build a Vite UI into a plugin's output
+ * @param {string} root The Vite project
+ * @param {string} outDir Where to write the built UI
+ * @param {{ production: boolean, debug: boolean, sourcemap: boolean|string }} options
+ *   The options of the build engine
+ * @returns {Promise<{ success: boolean, errors: string[] }>} The result
+ */
+async function buildViteUI(root, outDir, options) {
+  const { build } = await loadVite();
+
+  try {
+    await build({
+      root,
+      // WebViews load the UI from http://resource/..., so keep paths relative
+      base: './',
+      mode: options.production ? 'production' : 'development',
+      logLevel: 'warn',
+      clearScreen: false,
+      define: { __DEBUG__: String(options.debug) },
+      build: {
+        outDir,
+        emptyOutDir: true,
+        minify: options.production,
+        // esbuild's external sourcemaps are what Vite calls hidden
+        sourcemap:
+          options.sourcemap === 'external' ? 'hidden' : options.sourcemap,
+      },
+    });
+
+    return { success: true, errors: [] };
+  } catch (error) {
+    return { success: false, errors: [error.message] };
+  }
+}
+
+/**
+ * Start a Vite dev server for a UI
+ * WebViews pointed at the server get edits through hot module replacement
+ * @param {string} root The Vite project
+ * @param {{ debug: boolean }} options The options of the build engine
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>} The address
+ *   of the server, without a trailing slash, and a function that stops it
+ */
+async function startViteDevServer(root, options) {
+  const { createServer } = await loadVite();
+
+  const server = await createServer({
+    root,
+    base: '/',
+    mode: 'development',
+    logLevel: 'warn',
+    clearScreen: false,
+    define: { __DEBUG__: String(options.debug) },
+    server: {
+      host: '127.0.0.1',
+      port: DEV_SERVER_PORT,
+      strictPort: false,
+    },
+  });
+  await server.listen();
+
+  return {
+    url: server.resolvedUrls.local[0].replace(/\/$/, ''),
+    close: () => server.close(),
+  };
+}
+
+module.exports = { isViteProject, buildViteUI, startViteDevServer };
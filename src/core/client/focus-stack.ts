@@ -0,0 +1,92 @@
+/**
+ * Focus stack for the client-side core resource
+ * WebViews and RmlUI documents that take input share one stack, the last one
+ * focused has input and the cursor stays visible while any of them is open
+ */
+
+import * as alt from 'alt-client';
+import * as native from 'natives';
+
+/**
+ * Something that holds focus, e.g. a WebView
+ */
+export interface FocusHolder {
+  /** Give the holder input when it is at the top of the stack */
+  focus: () => void;
+
+  /** Hide the radar while the holder is on the stack */
+  hideRadar?: boolean;
+
+  /** Disable game controls while the holder is on the stack */
+  disableControls?: boolean;
+}
+
+// Holders that take input, the last one is focused
+const focusStack: FocusHolder[] = [];
+
+// What the focus stack currently applies
+let cursorShown = false;
+let radarHidden = false;
+let controlsDisabled = false;
+
+/**
+ * Move a holder to the top of the focus stack
+ * @param holder The holder to focus
+ */
+export function pushFocus(holder: FocusHolder): void {
+  removeFromStack(holder);
+  focusStack.push(holder);
+  applyFocus();
+}
+
+/**
+ * Remove a holder from the focus stack
+ * @param holder The holder that gives up focus
+ */
+export function removeFocus(holder: FocusHolder): void {
+  if (removeFromStack(holder)) {
+    applyFocus();
+  }
+}
+
+/**
+ * Remove a holder from the focus stack without applying the change
+ * @param holder The holder to remove
+ * @returns True if the holder was on the stack
+ */
+function removeFromStack(holder: FocusHolder): boolean {
+  const index = focusStack.indexOf(holder);
+  if (index === -1) {
+    return false;
+  }
+
+  focusStack.splice(index, 1);
+  return true;
+}
+
+/**
+ * Focus the top of the focus stack and apply what the stack asks for
+ * The cursor is shown once for the whole stack, so closing one of two open
+ * UIs does not hide the cursor of the other
+ */
+function applyFocus(): void {
+  focusStack[focusStack.length - 1]?.focus();
+
+  const showCursor = focusStack.length > 0;
+  if (showCursor !== cursorShown) {
+    alt.showCursor(showCursor);
+    cursorShown = showCursor;
+  }
+
+  const hideRadar = focusStack.some((holder) => holder.hideRadar);
+  if (hideRadar !== radarHidden) {
+    native.displayRadar(!hideRadar);
+    radarHidden = hideRadar;
+  }
+
+  const disableControls = focusStack.some((holder) => holder.disableControls);
+  if (disableControls !== controlsDisabled) {
+    alt.toggleGameControls(!disableControls);
+    controlsDisabled = disableControls;
+  }
+}
@@ -4,12 +4,37 @@
  */
 
 import * as alt from 'alt-client';
-
-// Core resource metadata
-const CORE_VERSION = '1.0.0';
+import * as native from 'natives';
+import { createEventBus } from '../shared/event-bus.js';
+import {
+  ClientCoreAPI,
+  ClientPluginInfo,
+  CoreEventArgs,
+  CoreEventHandler,
+  EventHandlerOptions,
+} from '../shared/interfaces.js';
+import {
+  CORE_VERSION,
+  SESSION_INIT_EVENT,
+  SESSION_READY_EVENT,
+} from '../shared/session.js';
+import {
+  initPluginLoader,
+  loadPlugins,
+  reloadPlugin,
+  unloadPlugin,
+} from './plugin-loader.js';
+import { PLUGIN_SCOPE_KEY, PluginScope } from './plugin-scope.js';
+import { createRpcAPI, initRpc } from './rpc.js';
+import { createUiAPI, initUi } from './ui.js';
+import { createWebViewAPI } from './webview-manager.js';
 
 // Event bus for client-side inter-plugin communication
-const eventHandlers = new Map<string, Array<(...args: any[]) => void>>();
+const eventBus = createEventBus((eventName, error) => {
+  alt.logError(
+    `[CORE:CLIENT] Error in event handler for ${eventName}: ${error}`
+  );
+});
 
 /**
  * Initialize the core resource on the client side
@@ -24,8 +49,18 @@ function initCore(): void {
   // Register event handlers
   registerEventHandlers();
 
+  // Initialize client-server RPC
+  initRpc();
+
+  // Let the server show the built-in dialogs
+  initUi();
+
   // Create the client-side core API
-  createClientAPI();
+  // Use global scope instead of window (which doesn't exist in alt:V client context)
+  (globalThis as any).core = createClientAPI();
+
+  // Plugins get a core API bound to their own scope
+  initPluginLoader(createClientAPI);
 
   alt.log(
     '~lg~[CORE:CLIENT]~w~ Client-side core resource initialized successfully'
@@ -37,51 +72,132 @@ function initCore(): void {
  */
 function registerEventHandlers(): void {
   // Listen for core initialization event from the server
-  alt.onServer('core:init', handleCoreInit);
+  alt.onServer(SESSION_INIT_EVENT, handleCoreInit);
 
   // Listen for hot reload events
   alt.onServer('core:hotReload', handleHotReload);
+
+  // Listen for plugins that were disabled
+  alt.onServer('core:unloadPlugin', handleUnloadPlugin);
 }
 
 /**
  * Handle core initialization event from the server
+ * @param clientPlugins The plugins whose client side should be loaded, in order
+ * @param revisions Revisions of the plugin bundles hot reloaded since the
+ *   server started
+ * @param serverVersion The core version the server runs
  */
-function handleCoreInit(): void {
+async function handleCoreInit(
+  clientPlugins: ClientPluginInfo[] = [],
+  revisions: Record<string, number> = {},
+  serverVersion?: string
+): Promise<void> {
   alt.log('~lb~[CORE:CLIENT]~w~ Core initialized by server');
 
-  // Notify the server that the client is ready
-  alt.emitServer('core:clientReady');
+  if (serverVersion && serverVersion !== CORE_VERSION) {
+    alt.log(
+      `~ly~[CORE:CLIENT]~w~ The server runs core v${serverVersion}, this client v${CORE_VERSION}`
+    );
+  }
+
+  // Load the client side of every plugin
+  const loaded = await loadPlugins(clientPlugins, revisions);
+
+  // Finish the handshake with the versions of the plugins that loaded
+  const versions: Record<string, string> = {};
+  for (const { id, version } of clientPlugins) {
+    if (loaded.includes(id)) {
+      versions[id] = version ?? '';
+    }
+  }
+  alt.emitServer(SESSION_READY_EVENT, CORE_VERSION, versions);
 }
 
 /**
  * Handle hot reload event from the server
  * @param pluginId The ID of the plugin that was reloaded
+ * @param revision The revision of the rebuilt client bundle
  */
-function handleHotReload(pluginId: string): void {
+async function handleHotReload(
+  pluginId: string,
+  revision: number
+): Promise<void> {
   alt.log(`~lb~[CORE:CLIENT]~w~ Hot reload triggered for plugin: ${pluginId}`);
 
+  const success = await reloadPlugin(pluginId, revision);
+  showNotice(
+    success
+      ? `~g~${pluginId}~w~ reloaded`
+      : `~r~${pluginId}~w~ failed to reload, check the console`
+  );
+
   // Emit the event to all registered handlers
   emitEvent('core:hotReload', pluginId);
 }
 
+/**
+ * Handle a plugin that was disabled on the server
+ * @param pluginId The ID of the plugin
+ */
+function handleUnloadPlugin(pluginId: string): void {
+  alt.log(`~lb~[CORE:CLIENT]~w~ Unloading plugin: ${pluginId}`);
+  unloadPlugin(pluginId);
+}
+
+/**
+ * Show a short notice above the minimap
+ * @param message The message to show
+ */
+function showNotice(message: string): void {
+  native.beginTextCommandThefeedPost('STRING');
+  native.addTextComponentSubstringPlayerName(message);
+  native.endTextCommandThefeedPostTicker(false, false);
+}
+
 /**
  * Create the client-side core API
  * This API is exposed to client-side plugin code
+ * @param scope The scope of the plugin the API is for, if any
+ * @returns The core API
  */
-function createClientAPI(): void {
+function createClientAPI(scope?: PluginScope): ClientCoreAPI {
   // Create the core API object
-  const coreAPI = {
-    // Register an event handler
-    on: (eventName: string, handler: (...args: any[]) => void) => {
-      if (!eventHandlers.has(eventName)) {
-        eventHandlers.set(eventName, []);
-      }
-      eventHandlers.get(eventName)?.push(handler);
-    },
+  const coreAPI: ClientCoreAPI = {
+    // Register an event handler, returns a function that unregisters it
+    on: <K extends string>(
+      eventName: K,
+      handler: CoreEventHandler<K>,
+      options?: EventHandlerOptions
+    ) => eventBus.on(eventName, handler, options, scope),
+
+    // Register an event handler that is unregistered after its first call
+    once: <K extends string>(
+      eventName: K,
+      handler: CoreEventHandler<K>,
+      options?: EventHandlerOptions
+    ) => eventBus.once(eventName, handler, options, scope),
+
+    // Unregister an event handler
+    off: <K extends string>(eventName: K, handler: CoreEventHandler<K>) =>
+      eventBus.off(eventName, handler),
 
     // Emit an event
     emit: emitEvent,
 
+    // Emit an event and wait for every handler, in priority order
+    emitAsync: <K extends string>(eventName: K, ...args: CoreEventArgs<K>) =>
+      eventBus.emitAsync(eventName, ...args),
+
+    // Call procedures on the server and register procedures it can call
+    rpc: createRpcAPI(scope),
+
+    // Open WebViews that are destroyed when the plugin unloads
+    webviews: createWebViewAPI(scope),
+
+    // Open RmlUI documents and show the built-in dialogs
+    ui: createUiAPI(scope),
+
     // Log a message to the console
     log: (message: string, level: 'info' | 'warn' | 'error' = 'info') => {
       switch (level) {
@@ -97,13 +213,24 @@ function createClientAPI(): void {
       }
     },
 
+    // Register a callback that runs before the plugin is unloaded or reloaded
+    onUnload: (handler: () => void) => {
+      scope?.addDisposer(handler);
+    },
+
     // Get the core version
     getVersion: () => CORE_VERSION,
   };
 
-  // Expose the core API globally
-  // Use global scope instead of window (which doesn't exist in alt:V client context)
-  (globalThis as any).core = coreAPI;
+  // Remove the plugin's event handlers when it unloads
+  scope?.addDisposer(() => eventBus.removeOwner(scope));
+
+  // Let the shims bundled into the plugin find its scope
+  if (scope) {
+    Object.defineProperty(coreAPI, PLUGIN_SCOPE_KEY, { value: scope });
+  }
+
+  return coreAPI;
 }
 
 /**
@@ -111,17 +238,11 @@ function createClientAPI(): void {
  * @param eventName The name of the event
  * @param args The arguments for the event
  */
-function emitEvent(eventName: string, ...args: any[]): void {
-  const handlers = eventHandlers.get(eventName) || [];
-  for (const handler of handlers) {
-    try {
-      handler(...args);
-    } catch (error) {
-      alt.logError(
-        `[CORE:CLIENT] Error in event handler for ${eventName}: ${error}`
-      );
-    }
-  }
+function emitEvent<K extends string>(
+  eventName: K,
+  ...args: CoreEventArgs<K>
+): void {
+  eventBus.emit(eventName, ...args);
 }
 
 // Initialize the client-side core resource
@@ -0,0 +1,151 @@
+/**
+ * Client-side plugin loader for the core resource
+ * Imports plugin client bundles from the resource and swaps them when the
+ * server pushes a reload
+ */
+
+import * as alt from 'alt-client';
+import { ClientPluginInfo } from '../shared/interfaces.js';
+import { PluginScope, createPluginScope } from './plugin-scope.js';
+
+// Scopes of the client plugins that are currently loaded, in load order
+const loadedPlugins = new Map<string, PluginScope>();
+
+// Client bundle of every plugin, relative to the plugin directory
+const bundlePaths = new Map<string, string>();
+
+// Vite dev servers plugin UIs are served from during development
+const uiDevServers = new Map<string, string>();
+
+// Creates the core API a plugin sees while it is evaluated
+let createPluginAPI: (scope: PluginScope) => unknown;
+
+/**
+ * Initialize the plugin loader
+ * @param createAPI Creates the core API for a plugin scope
+ */
+export function initPluginLoader(
+  createAPI: (scope: PluginScope) => unknown
+): void {
+  createPluginAPI = createAPI;
+}
+
+/**
+ * Load the client side of every plugin
+ * Plugins that are already loaded are unloaded first
+ * @param clientPlugins The plugins to load, in dependency order
+ * @param revisions Revisions of the bundles rebuilt since the resource
+ *   started, by plugin ID
+ * @returns The IDs of the plugins that loaded
+ */
+export async function loadPlugins(
+  clientPlugins: ClientPluginInfo[],
+  revisions: Record<string, number>
+): Promise<string[]> {
+  for (const pluginId of [...loadedPlugins.keys()].reverse()) {
+    unloadPlugin(pluginId);
+  }
+
+  const loaded: string[] = [];
+  uiDevServers.clear();
+  for (const { id, clientMain, uiDevServer } of clientPlugins) {
+    bundlePaths.set(id, `plugins/${id}/${clientMain}`);
+    if (uiDevServer) {
+      uiDevServers.set(id, uiDevServer);
+    }
+
+    if (await loadPlugin(id, revisions[id] ?? 0)) {
+      loaded.push(id);
+    }
+  }
+
+  alt.log(
+    `~lg~[CORE:CLIENT]~w~ Loaded ${loaded.length} of ${clientPlugins.length} client plugins`
+  );
+  return loaded;
+}
+
+/**
+ * Replace the client side of a plugin with a rebuilt bundle
+ * @param pluginId The ID of the plugin
+ * @param revision The revision of the rebuilt bundle
+ * @returns True if the new bundle was loaded
+ */
+export function reloadPlugin(
+  pluginId: string,
+  revision: number
+): Promise<boolean> {
+  unloadPlugin(pluginId);
+  return loadPlugin(pluginId, revision);
+}
+
+/**
+ * Import the client bundle of a plugin from the resource
+ * @param pluginId The ID of the plugin
+ * @param revision The revision of the bundle, 0 for the one the resource
+ *   started with
+ * @returns True if the bundle was imported without errors
+ */
+async function loadPlugin(
+  pluginId: string,
+  revision: number
+): Promise<boolean> {
+  const file = `/${getBundlePath(pluginId)}`;
+  if (!alt.File.exists(file)) {
+    alt.log(`~ly~[CORE:CLIENT]~w~ No client bundle found for ${pluginId}`);
+    return false;
+  }
+
+  const scope = createPluginScope(pluginId);
+
+  // The plugin reads the global core API while it is evaluated,
+  // so expose an API bound to the plugin's scope for the duration
+  const previousCore = (globalThis as any).core;
+  (globalThis as any).core = createPluginAPI(scope);
+
+  try {
+    // Modules are cached by path, so every revision gets its own
+    await import(revision > 0 ? `${file}?v=${revision}` : file);
+    loadedPlugins.set(pluginId, scope);
+    return true;
+  } catch (error) {
+    alt.logError(`[CORE:CLIENT] Error loading plugin ${pluginId}: ${error}`);
+    scope.dispose();
+    return false;
+  } finally {
+    (globalThis as any).core = previousCore;
+  }
+}
+
+/**
+ * Unload the client side of a plugin
+ * Removes every handler, key binding and WebView the plugin registered
+ * @param pluginId The ID of the plugin
+ */
+export function unloadPlugin(pluginId: string): void {
+  const scope = loadedPlugins.get(pluginId);
+  if (!scope) {
+    return;
+  }
+
+  scope.dispose();
+  loadedPlugins.delete(pluginId);
+}
+
+/**
+ * Get the Vite dev server a plugin's UI is served from
+ * @param pluginId The ID of the plugin
+ * @returns The address of the dev server, or null if the UI is served from the resource
+ */
+export function getUiDevServer(pluginId: string): string | null {
+  return uiDevServers.get(pluginId) ?? null;
+}
+
+/**
+ * Get the path of a plugin's client bundle within the core resource
+ * @param pluginId The ID of the plugin
+ * @returns The bundle path
+ */
+function getBundlePath(pluginId: string): string {
+  return bundlePaths.get(pluginId) ?? `plugins/${pluginId}/client/index.js`;
+}
@@ -0,0 +1,118 @@
+/**
+ * Client-side plugin scopes for the core resource
+ * Track everything a client plugin registers so it can be removed when the
+ * plugin is reloaded
+ */
+
+import * as alt from 'alt-client';
+import * as native from 'natives';
+import { createScopeTracker } from '../shared/plugin-scope.js';
+
+export { PLUGIN_SCOPE_KEY } from '../shared/plugin-scope.js';
+
+// Classes whose instances are destroyed when the plugin unloads
+const TRACKED_OBJECT_CLASSES = [
+  'WebView',
+  'RmlDocument',
+  'LocalVehicle',
+  'LocalPed',
+  'LocalObject',
+  'Checkpoint',
+  'Marker',
+  'TextLabel',
+  'PointBlip',
+  'AreaBlip',
+  'RadiusBlip',
+  'Audio',
+  'AudioOutputFrontend',
+  'AudioOutputWorld',
+  'AudioOutputAttached',
+  'VirtualEntity',
+  'VirtualEntityGroup',
+  'ColshapeCircle',
+  'ColshapeCuboid',
+  'ColshapeCylinder',
+  'ColshapePolygon',
+  'ColshapeRectangle',
+  'ColshapeSphere',
+] as const;
+
+type Listener = (...args: any[]) => void;
+
+/**
+ * Everything a client plugin has registered while it was loaded
+ */
+export interface PluginScope {
+  /** ID of the plugin the scope belongs to */
+  pluginId: string;
+
+  /** The alt-client module as seen by the plugin, with registrations tracked */
+  alt: typeof alt;
+
+  /** The natives module as seen by the plugin */
+  natives: typeof native;
+
+  /** Register a callback that runs when the scope is disposed */
+  addDisposer: (disposer: () => void) => void;
+
+  /** Remove every handler, timer and object the plugin registered */
+  dispose: () => void;
+}
+
+/**
+ * Create a scope for a client plugin
+ * @param pluginId The ID of the plugin
+ * @returns The plugin scope
+ */
+export function createPluginScope(pluginId: string): PluginScope {
+  const tracker = createScopeTracker(pluginId, '[CORE:CLIENT]');
+
+  // Number of times the plugin showed the cursor without hiding it again
+  let cursorCount = 0;
+
+  const events = tracker.trackEvents('listener', {
+    on: alt.on as Listener,
+    once: alt.once as Listener,
+    off: alt.off as Listener,
+  });
+  const serverEvents = tracker.trackEvents('server listener', {
+    on: alt.onServer as Listener,
+    once: alt.onceServer as Listener,
+    off: alt.offServer as Listener,
+  });
+
+  const trackedAlt: Record<string, unknown> = {
+    ...alt,
+    ...events,
+    onServer: serverEvents.on,
+    onceServer: serverEvents.once,
+    offServer: serverEvents.off,
+    ...tracker.timers,
+    showCursor: (state: boolean) => {
+      cursorCount += state ? 1 : -1;
+      alt.showCursor(state);
+    },
+  };
+
+  for (const className of TRACKED_OBJECT_CLASSES) {
+    if (alt[className]) {
+      trackedAlt[className] = tracker.trackObjects(alt[className] as any);
+    }
+  }
+
+  return {
+    pluginId,
+    alt: trackedAlt as unknown as typeof alt,
+    natives: native,
+    addDisposer: tracker.addDisposer,
+    dispose: () => {
+      tracker.dispose();
+
+      // Give back the cursor the plugin was still holding
+      for (; cursorCount > 0; cursorCount--) {
+        tracker.attempt('cursor', () => alt.showCursor(false));
+      }
+      cursorCount = 0;
+    },
+  };
+}
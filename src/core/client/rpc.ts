@@ -0,0 +1,115 @@
+/**
+ * Client-side RPC for the core resource
+ * Lets plugins register procedures the server can await, and await
+ * procedures registered on the server
+ */
+
+import * as alt from 'alt-client';
+import { ClientRpcAPI } from '../shared/interfaces.js';
+import {
+  RPC_CALL_EVENT,
+  RPC_RESULT_EVENT,
+  createPendingCalls,
+  parseTarget,
+  qualifyName,
+  qualifyOwnName,
+} from '../shared/rpc.js';
+import { PluginScope } from './plugin-scope.js';
+
+type ClientProcedure = (...args: any[]) => unknown;
+
+// The server is the only target of client calls
+const SERVER = 'server';
+
+// Procedures the server can call, by qualified name
+const procedures = new Map<string, ClientProcedure>();
+
+// Calls into the server that are waiting for their result
+const pendingCalls = createPendingCalls<typeof SERVER>();
+
+/**
+ * Initialize client-side RPC
+ */
+export function initRpc(): void {
+  alt.onServer(RPC_CALL_EVENT, handleCall);
+  alt.onServer(RPC_RESULT_EVENT, (id, ok, value, code) =>
+    pendingCalls.settle(id, SERVER, ok, value, code)
+  );
+
+  // Nothing answers once the connection is gone
+  alt.on('disconnect', () =>
+    pendingCalls.rejectWhere(
+      () => true,
+      'DISCONNECTED',
+      'disconnected from the server'
+    )
+  );
+}
+
+/**
+ * Create the RPC API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @returns The RPC API
+ */
+export function createRpcAPI(scope?: PluginScope): ClientRpcAPI {
+  return {
+    register: (name, handler) => {
+      const qualifiedName = qualifyOwnName(name, scope?.pluginId);
+      if (procedures.has(qualifiedName)) {
+        throw new Error(`RPC ${qualifiedName} is already registered`);
+      }
+
+      procedures.set(qualifiedName, handler);
+
+      const unregister = (): void => {
+        if (procedures.get(qualifiedName) === handler) {
+          procedures.delete(qualifiedName);
+        }
+      };
+      scope?.addDisposer(unregister);
+
+      return unregister;
+    },
+    callServer: (target, ...args) => {
+      const { name, timeout } = parseTarget(target);
+      const qualifiedName = qualifyName(name, scope?.pluginId);
+      const { id, promise } = pendingCalls.add(SERVER, qualifiedName, timeout);
+
+      alt.emitServer(RPC_CALL_EVENT, id, qualifiedName, args);
+      return promise;
+    },
+  };
+}
+
+/**
+ * Run a procedure the server called and send back the result
+ * @param id The ID of the call
+ * @param name The qualified name of the procedure
+ * @param args The arguments of the call
+ */
+async function handleCall(
+  id: number,
+  name: string,
+  args: unknown[]
+): Promise<void> {
+  const procedure = procedures.get(name);
+  if (!procedure) {
+    alt.emitServer(
+      RPC_RESULT_EVENT,
+      id,
+      false,
+      `RPC ${name} is not registered`,
+      'NOT_FOUND'
+    );
+    return;
+  }
+
+  try {
+    const value = await procedure(...(Array.isArray(args) ? args : []));
+    alt.emitServer(RPC_RESULT_EVENT, id, true, value);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    alt.logError(`[CORE:CLIENT] Error in RPC ${name}: ${message}`);
+    alt.emitServer(RPC_RESULT_EVENT, id, false, message, 'HANDLER_ERROR');
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * RmlUI support for the client-side core resource
+ * Opens RmlUI documents for plugins and shows the built-in dialogs of the
+ * rmlui asset pack, such as the input prompt
+ */
+
+import * as alt from 'alt-client';
+import {
+  ClientUiAPI,
+  ManagedRmlDocument,
+  PromptOptions,
+  RmlDocumentOptions,
+} from '../shared/interfaces.js';
+import { DEFAULT_PROMPT_TIMEOUT, PROMPT_RPC } from '../shared/ui.js';
+import { FocusHolder, pushFocus, removeFocus } from './focus-stack.js';
+import { PluginScope } from './plugin-scope.js';
+import { createRpcAPI } from './rpc.js';
+
+// Input dialog shipped in resources/rmlui
+const PROMPT_DOCUMENT = '@rmlui/input/index.rml';
+
+// Fonts the dialogs use, by font family
+const DIALOG_FONTS: Record<string, string> = {
+  'inter-regular': '@rmlui/fonts/inter-regular.ttf',
+  'inter-bold': '@rmlui/fonts/inter-bold.ttf',
+  'inter-black': '@rmlui/fonts/inter-black.ttf',
+};
+
+// Key codes that answer a prompt
+const KEY_ENTER = 13;
+const KEY_ESCAPE = 27;
+
+// Whether the dialog fonts have been loaded
+let fontsLoaded = false;
+
+// Prompts wait for the one before them to close
+let lastPrompt: Promise<unknown> = Promise.resolve();
+
+/**
+ * Initialize the built-in dialogs
+ * Lets the server ask players for text
+ */
+export function initUi(): void {
+  const ui = createUiAPI();
+  createRpcAPI().register(PROMPT_RPC, (options?: PromptOptions) =>
+    ui.prompt(options)
+  );
+}
+
+/**
+ * Create the RmlUI API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @returns The RmlUI API
+ */
+export function createUiAPI(scope?: PluginScope): ClientUiAPI {
+  const opened = new Set<ManagedRmlDocument>();
+
+  // Destroy every document the plugin left open
+  scope?.addDisposer(() => {
+    for (const document of opened) {
+      document.destroy();
+    }
+  });
+
+  const open = (
+    url: string,
+    options: RmlDocumentOptions = {},
+    onDestroy?: () => void
+  ): ManagedRmlDocument => {
+    const document = openDocument(url, options, () => {
+      opened.delete(document);
+      onDestroy?.();
+    });
+    opened.add(document);
+    return document;
+  };
+
+  return {
+    openDocument: (url, options) => open(url, options),
+    prompt: (options = {}) => {
+      const result = lastPrompt.then(() => showPrompt(open, options));
+      lastPrompt = result.catch(() => null);
+      return result;
+    },
+  };
+}
+
+/**
+ * Open and show a managed RmlUI document
+ * @param url The URL of the document
+ * @param options The document options
+ * @param onDestroy Called once the document is destroyed
+ * @returns The managed document
+ */
+function openDocument(
+  url: string,
+  options: RmlDocumentOptions,
+  onDestroy: () => void
+): ManagedRmlDocument {
+  const rmlDocument = new alt.RmlDocument(url);
+  const holder: FocusHolder = {
+    focus: () => rmlDocument.focus(),
+    hideRadar: options.hideRadar,
+    disableControls: options.disableControls,
+  };
+  let destroyed = false;
+
+  const document: ManagedRmlDocument = {
+    document: rmlDocument,
+    get destroyed() {
+      return destroyed;
+    },
+    getElement: (id) => rmlDocument.getElementByID(id),
+    on: (elementId, event, handler) => {
+      const element = rmlDocument.getElementByID(elementId);
+      if (!element) {
+        throw new Error(`Element #${elementId} not found in ${url}`);
+      }
+
+      element.on(event, handler);
+      return () => {
+        if (!destroyed) {
+          element.off(event, handler);
+        }
+      };
+    },
+    show: () => {
+      if (destroyed) {
+        return;
+      }
+      rmlDocument.show(false, options.focus ?? true);
+      if (options.focus ?? true) {
+        pushFocus(holder);
+      }
+    },
+    hide: () => {
+      if (destroyed) {
+        return;
+      }
+      removeFocus(holder);
+      rmlDocument.hide();
+    },
+    destroy: () => {
+      if (destroyed) {
+        return;
+      }
+      destroyed = true;
+
+      removeFocus(holder);
+      if (rmlDocument.valid) {
+        rmlDocument.destroy();
+      }
+
+      onDestroy();
+    },
+  };
+
+  document.show();
+  return document;
+}
+
+/**
+ * Show the input dialog and wait for the player's answer
+ * Enter answers with the text, Escape cancels
+ * @param open Opens a document for the caller
+ * @param options The prompt options
+ * @returns The text, or null if the player cancelled or the prompt timed out
+ */
+function showPrompt(
+  open: (
+    url: string,
+    options: RmlDocumentOptions,
+    onDestroy: () => void
+  ) => ManagedRmlDocument,
+  options: PromptOptions
+): Promise<string | null> {
+  loadDialogFonts();
+
+  return new Promise((resolve) => {
+    let answered = false;
+
+    const answer = (value: string | null): void => {
+      if (answered) {
+        return;
+      }
+      answered = true;
+
+      alt.off('keyup', onKeyUp);
+      alt.clearTimeout(timer);
+      document.destroy();
+      resolve(value);
+    };
+
+    const onKeyUp = (key: number): void => {
+      if (key === KEY_ENTER) {
+        answer(input?.getAttribute('value') ?? '');
+      } else if (key === KEY_ESCAPE) {
+        answer(null);
+      }
+    };
+
+    // Unloading the plugin that asked destroys the dialog, which cancels it
+    const document = open(PROMPT_DOCUMENT, { disableControls: true }, () =>
+      answer(null)
+    );
+
+    const placeholder = document.getElement('placeholder');
+    if (placeholder && options.placeholder) {
+      placeholder.innerRML = escapeRml(options.placeholder);
+    }
+
+    const input = document.getElement('input');
+    input?.focus();
+
+    alt.on('keyup', onKeyUp);
+    const timer = alt.setTimeout(
+      () => answer(null),
+      options.timeout ?? DEFAULT_PROMPT_TIMEOUT
+    );
+  });
+}
+
+/**
+ * Load the fonts the dialogs use, once
+ */
+function loadDialogFonts(): void {
+  if (fontsLoaded) {
+    return;
+  }
+
+  for (const [family, path] of Object.entries(DIALOG_FONTS)) {
+    alt.loadRmlFont(path, family);
+  }
+  fontsLoaded = true;
+}
+
+/**
+ * Escape text for use as RML markup
+ * @param text The text
+ * @returns The escaped text
+ */
+function escapeRml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
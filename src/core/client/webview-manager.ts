@@ -0,0 +1,193 @@
+/**
+ * WebView manager for the client-side core resource
+ * Opens WebViews for plugins, queues messages until their page is ready and
+ * puts them on the focus stack so UIs don't fight over the cursor
+ */
+
+import * as alt from 'alt-client';
+import {
+  ClientWebViewAPI,
+  ManagedWebView,
+  WebViewEventMap,
+  WebViewOptions,
+} from '../shared/interfaces.js';
+import { FocusHolder, pushFocus, removeFocus } from './focus-stack.js';
+import { getUiDevServer } from './plugin-loader.js';
+import { PluginScope } from './plugin-scope.js';
+
+/** Event a page emits once it can receive messages */
+export const WEBVIEW_READY_EVENT = 'core:webviewReady';
+
+/**
+ * Create the WebView API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @returns The WebView API
+ */
+export function createWebViewAPI(scope?: PluginScope): ClientWebViewAPI {
+  const opened = new Set<ManagedWebView<any, any>>();
+
+  // Destroy every WebView the plugin left open
+  scope?.addDisposer(() => {
+    for (const webview of opened) {
+      webview.destroy();
+    }
+  });
+
+  return {
+    open: <
+      ToPage extends WebViewEventMap = WebViewEventMap,
+      FromPage extends WebViewEventMap = WebViewEventMap,
+    >(
+      url: string,
+      options: WebViewOptions = {}
+    ) => {
+      const webview = openWebView<ToPage, FromPage>(
+        resolveUrl(url, scope?.pluginId),
+        options,
+        () => opened.delete(webview)
+      );
+      opened.add(webview);
+      return webview;
+    },
+  };
+}
+
+/**
+ * Point a URL of a plugin's UI at the plugin's dev server, if it has one
+ * Both http://resource/client/html/... and the full path within the core
+ * resource, http://resource/plugins/<id>/client/html/..., are served from it
+ * @param url The URL the plugin opened
+ * @param pluginId The ID of the plugin, if any
+ * @returns The URL to load
+ */
+function resolveUrl(url: string, pluginId?: string): string {
+  const devServer = pluginId ? getUiDevServer(pluginId) : null;
+  if (!pluginId || !devServer) {
+    return url;
+  }
+
+  const prefix = `http://resource/(?:plugins/${pluginId}/)?client/html/`;
+  return url.replace(new RegExp(`^${prefix}`), `${devServer}/`);
+}
+
+/**
+ * Open a managed WebView
+ * @param url The URL of the page
+ * @param options The WebView options
+ * @param onDestroy Called once the WebView is destroyed
+ * @returns The managed WebView
+ */
+function openWebView<
+  ToPage extends WebViewEventMap,
+  FromPage extends WebViewEventMap,
+>(
+  url: string,
+  options: WebViewOptions,
+  onDestroy: () => void
+): ManagedWebView<ToPage, FromPage> {
+  const view = new alt.WebView(url, options.overlay ?? false);
+  const holder: FocusHolder = {
+    focus: () => {
+      if (view.valid) {
+        view.focus();
+      }
+    },
+    hideRadar: options.hideRadar,
+    disableControls: options.disableControls,
+  };
+
+  // Messages sent before the page was ready
+  const queue: Array<[string, unknown[]]> = [];
+  const readyWaiters: Array<{
+    resolve: () => void;
+    reject: (error: Error) => void;
+  }> = [];
+  let ready = false;
+  let destroyed = false;
+
+  view.on(WEBVIEW_READY_EVENT, () => {
+    ready = true;
+    for (const [event, args] of queue.splice(0)) {
+      view.emit(event, ...args);
+    }
+    for (const { resolve } of readyWaiters.splice(0)) {
+      resolve();
+    }
+  });
+
+  const webview: ManagedWebView<ToPage, FromPage> = {
+    view,
+    get ready() {
+      return ready;
+    },
+    get destroyed() {
+      return destroyed;
+    },
+    whenReady: () => {
+      if (ready) {
+        return Promise.resolve();
+      }
+      if (destroyed) {
+        return Promise.reject(new Error(`WebView ${url} was destroyed`));
+      }
+      return new Promise((resolve, reject) =>
+        readyWaiters.push({ resolve, reject })
+      );
+    },
+    emit: (event, ...args) => {
+      if (destroyed) {
+        return;
+      }
+      if (ready) {
+        view.emit(event, ...args);
+      } else {
+        queue.push([event, args]);
+      }
+    },
+    on: (event, handler) => {
+      const listener = (...args: any[]) => (handler as any)(...args);
+      view.on(event, listener);
+      return () => {
+        if (!destroyed) {
+          view.off(event, listener);
+        }
+      };
+    },
+    focus: () => {
+      if (destroyed) {
+        return;
+      }
+      pushFocus(holder);
+    },
+    unfocus: () => {
+      removeFocus(holder);
+      if (view.valid) {
+        view.unfocus();
+      }
+    },
+    destroy: () => {
+      if (destroyed) {
+        return;
+      }
+      destroyed = true;
+      queue.length = 0;
+
+      removeFocus(holder);
+
+      if (view.valid) {
+        view.destroy();
+      }
+
+      for (const { reject } of readyWaiters.splice(0)) {
+        reject(new Error(`WebView ${url} was destroyed`));
+      }
+      onDestroy();
+    },
+  };
+
+  if (options.focus ?? true) {
+    webview.focus();
+  }
+
+  return webview;
+}
@@ -0,0 +1,490 @@
+/**
+ * Command registry for the core resource
+ * Plugins register chat and console commands with typed arguments, the core
+ * parses and validates the input and removes the commands when the plugin
+ * unloads
+ */
+
+import * as alt from 'alt-server';
+import {
+  CommandAPI,
+  CommandArgument,
+  CommandContext,
+  CommandDefinition,
+  CommandSource,
+} from '../shared/interfaces.js';
+import { hasPermission } from './permissions.js';
+import { PluginScope } from './plugin-scope.js';
+
+/**
+ * A command in the registry
+ */
+interface RegisteredCommand {
+  definition: CommandDefinition<readonly CommandArgument[]>;
+
+  /** ID of the plugin that registered the command, null for the core */
+  pluginId: string | null;
+
+  /** Where the command can be run from */
+  sources: CommandSource[];
+}
+
+/**
+ * A word of the command input and where it starts
+ */
+interface Token {
+  value: string;
+  index: number;
+}
+
+/**
+ * Input that does not match the arguments of a command
+ */
+class ArgumentError extends Error {}
+
+// Commands by lowercase name
+const commands = new Map<string, RegisteredCommand>();
+
+// Command names by lowercase alias
+const aliases = new Map<string, string>();
+
+// Whether players are told a chat command does not exist, off by default as
+// other resources may handle slash commands too
+const REPLY_UNKNOWN_COMMANDS = process.env.CORE_UNKNOWN_COMMAND_REPLY === 'on';
+
+// Words accepted by boolean arguments
+const TRUE_WORDS = ['true', 'yes', 'on', '1'];
+const FALSE_WORDS = ['false', 'no', 'off', '0'];
+
+/**
+ * Initialize the command registry
+ * Commands are read from the server console and from chat messages that
+ * start with a slash
+ */
+export function initCommands(): void {
+  alt.on('consoleCommand', (name: string, ...args: string[]) => {
+    void runCommand(name, args.join(' '), {
+      source: 'console',
+      player: null,
+      reply: (message) => alt.log(message),
+    });
+  });
+
+  alt.on('chat:message', (player: alt.Player, message: string) => {
+    if (typeof message !== 'string' || !message.startsWith('/')) {
+      return;
+    }
+
+    const [name, ...rest] = message.slice(1).split(' ');
+    void runCommand(name, rest.join(' '), {
+      source: 'chat',
+      player,
+      reply: (reply) => alt.emitClient(player, 'chat:message', null, reply),
+    });
+  });
+
+  registerHelpCommands();
+}
+
+/**
+ * Create the command API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @returns The command API
+ */
+export function createCommandAPI(scope?: PluginScope): CommandAPI {
+  return {
+    register: (definition) => {
+      const registered: RegisteredCommand = {
+        definition: definition as unknown as RegisteredCommand['definition'],
+        pluginId: scope?.pluginId ?? null,
+        sources: definition.sources ?? ['chat', 'console'],
+      };
+      const name = definition.name.toLowerCase();
+      const names = [
+        name,
+        ...(definition.aliases ?? []).map((alias) => alias.toLowerCase()),
+      ];
+
+      // Every name and alias must be free
+      for (const taken of names) {
+        const owner = findCommand(taken);
+        if (owner) {
+          throw new Error(
+            `Command ${taken} is already registered by ${owner.pluginId ?? 'the core'}`
+          );
+        }
+      }
+
+      validateArguments(definition.name, definition.args ?? []);
+
+      commands.set(name, registered);
+      for (const alias of names.slice(1)) {
+        aliases.set(alias, name);
+      }
+
+      const unregister = (): void => {
+        if (commands.get(name) !== registered) {
+          return;
+        }
+
+        commands.delete(name);
+        for (const alias of names.slice(1)) {
+          aliases.delete(alias);
+        }
+      };
+      scope?.addDisposer(unregister);
+
+      return unregister;
+    },
+  };
+}
+
+/**
+ * Check that the arguments of a command can be parsed unambiguously
+ * @param name The name of the command
+ * @param args The arguments of the command
+ */
+function validateArguments(
+  name: string,
+  args: readonly CommandArgument[]
+): void {
+  args.forEach((arg, index) => {
+    if (arg.type === 'text' && index !== args.length - 1) {
+      throw new Error(
+        `Command ${name}: text argument ${arg.name} must be the last argument`
+      );
+    }
+
+    if (arg.type === 'enum' && !arg.values?.length) {
+      throw new Error(
+        `Command ${name}: enum argument ${arg.name} needs a list of values`
+      );
+    }
+
+    const afterOptional = args
+      .slice(0, index)
+      .some((other) => other.optional);
+    if (!arg.optional && afterOptional) {
+      throw new Error(
+        `Command ${name}: required argument ${arg.name} follows an optional one`
+      );
+    }
+  });
+}
+
+/**
+ * Find a command by name or alias
+ * @param name The name or alias, in any case
+ * @returns The command, or undefined if there is none
+ */
+function findCommand(name: string): RegisteredCommand | undefined {
+  const lowerName = name.toLowerCase();
+  return commands.get(aliases.get(lowerName) ?? lowerName);
+}
+
+/**
+ * Run a command
+ * Unknown commands are ignored, other resources may handle them
+ * @param name The name the command was run by
+ * @param input Everything after the name
+ * @param context Who ran the command
+ */
+async function runCommand(
+  name: string,
+  input: string,
+  context: CommandContext
+): Promise<void> {
+  const command = findCommand(name);
+  if (!command || !command.sources.includes(context.source)) {
+    if (context.source === 'chat' && REPLY_UNKNOWN_COMMANDS) {
+      context.reply(`Unknown command /${name}, type /help for a list`);
+    }
+    return;
+  }
+
+  const { definition } = command;
+  if (!canRun(command, context)) {
+    context.reply(`You don't have permission to use /${name}`);
+    return;
+  }
+
+  try {
+    const args = parseArguments(definition.args ?? [], input);
+    await definition.handler(context, args as never);
+  } catch (error) {
+    // Only the core throws ArgumentErrors, handlers cannot
+    if (error instanceof ArgumentError) {
+      context.reply(error.message);
+      context.reply(`Usage: ${formatUsage(command, context.source)}`);
+      return;
+    }
+
+    alt.logError(`[CORE] Error in command ${definition.name}: ${error}`);
+    if (context.source === 'chat') {
+      context.reply(`Command /${name} failed`);
+    }
+  }
+}
+
+/**
+ * Check whether whoever ran a command may run it
+ * @param command The command
+ * @param context Who ran the command
+ * @returns True if the command needs no permission, was run from the console
+ *   or the player has the permission
+ */
+function canRun(command: RegisteredCommand, context: CommandContext): boolean {
+  const { permission } = command.definition;
+  return (
+    !permission ||
+    context.source === 'console' ||
+    hasPermission(context.player, permission)
+  );
+}
+
+/**
+ * Parse the input of a command into its arguments
+ * Double quotes group words into one argument
+ * @param args The arguments of the command
+ * @param input The input after the command name
+ * @returns The parsed arguments, by name
+ */
+function parseArguments(
+  args: readonly CommandArgument[],
+  input: string
+): Record<string, unknown> {
+  const tokens = tokenize(input);
+  const values: Record<string, unknown> = {};
+
+  for (const [index, arg] of args.entries()) {
+    const token = tokens[index];
+    if (!token) {
+      if (!arg.optional) {
+        throw new ArgumentError(`Missing argument ${arg.name}`);
+      }
+      values[arg.name] = undefined;
+      continue;
+    }
+
+    if (arg.type === 'text') {
+      // Text in quotes on its own is given without them
+      values[arg.name] =
+        tokens.length === index + 1
+          ? token.value
+          : input.slice(token.index).trim();
+      continue;
+    }
+
+    values[arg.name] = parseArgument(arg, token.value);
+  }
+
+  const last = args[args.length - 1];
+  if (tokens.length > args.length && last?.type !== 'text') {
+    throw new ArgumentError('Too many arguments');
+  }
+
+  return values;
+}
+
+/**
+ * Split command input into words
+ * @param input The input
+ * @returns The words and where they start
+ */
+function tokenize(input: string): Token[] {
+  const tokens: Token[] = [];
+  for (const match of input.matchAll(/"([^"]*)"|(\S+)/g)) {
+    tokens.push({ value: match[1] ?? match[2], index: match.index ?? 0 });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse one argument
+ * @param arg The argument
+ * @param value The word given for it
+ * @returns The parsed value
+ */
+function parseArgument(arg: CommandArgument, value: string): unknown {
+  switch (arg.type) {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (value === '' || !Number.isFinite(number)) {
+        throw new ArgumentError(`${arg.name} must be a number`);
+      }
+      if (arg.type === 'integer' && !Number.isInteger(number)) {
+        throw new ArgumentError(`${arg.name} must be a whole number`);
+      }
+      if (arg.min !== undefined && number < arg.min) {
+        throw new ArgumentError(`${arg.name} must be at least ${arg.min}`);
+      }
+      if (arg.max !== undefined && number > arg.max) {
+        throw new ArgumentError(`${arg.name} must be at most ${arg.max}`);
+      }
+      return number;
+    }
+
+    case 'boolean': {
+      const word = value.toLowerCase();
+      if (TRUE_WORDS.includes(word)) {
+        return true;
+      }
+      if (FALSE_WORDS.includes(word)) {
+        return false;
+      }
+      throw new ArgumentError(`${arg.name} must be true or false`);
+    }
+
+    case 'player':
+      return findPlayer(arg.name, value);
+
+    case 'enum': {
+      const match = arg.values?.find(
+        (candidate) => candidate.toLowerCase() === value.toLowerCase()
+      );
+      if (match === undefined) {
+        throw new ArgumentError(
+          `${arg.name} must be one of ${arg.values?.join(', ')}`
+        );
+      }
+      return match;
+    }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Find the player an argument refers to
+ * Players are matched by ID, then by name, then by the start of their name
+ * @param name The name of the argument
+ * @param value The player ID or (part of the) player name
+ * @returns The player
+ */
+function findPlayer(name: string, value: string): alt.Player {
+  const players = alt.Player.all;
+
+  if (/^\d+$/.test(value)) {
+    const player = players.find((candidate) => candidate.id === Number(value));
+    if (player) {
+      return player;
+    }
+  }
+
+  const lowerValue = value.toLowerCase();
+  const exact = players.find(
+    (candidate) => candidate.name.toLowerCase() === lowerValue
+  );
+  if (exact) {
+    return exact;
+  }
+
+  const matches = players.filter((candidate) =>
+    candidate.name.toLowerCase().startsWith(lowerValue)
+  );
+  if (matches.length === 1) {
+    return matches[0];
+  }
+
+  throw new ArgumentError(
+    matches.length === 0
+      ? `${name}: no player matches ${value}`
+      : `${name}: ${value} matches ${matches.length} players, be more specific`
+  );
+}
+
+/**
+ * Format the usage of a command
+ * @param command The command
+ * @param source Where the usage is shown
+ * @returns The usage, e.g. '/vehicle <model> [color]'
+ */
+function formatUsage(
+  command: RegisteredCommand,
+  source: CommandSource
+): string {
+  const { name, args = [] } = command.definition;
+  const prefix = source === 'chat' ? '/' : '';
+
+  const parts = args.map((arg) => {
+    let label = arg.type === 'enum' ? arg.values?.join('|') : arg.name;
+    if (arg.type === 'text') {
+      label += '...';
+    }
+    return arg.optional ? `[${label}]` : `<${label}>`;
+  });
+
+  return [`${prefix}${name}`, ...parts].join(' ');
+}
+
+/**
+ * Register the help commands
+ * Chat has /help, the console core:help, so the server's own help is untouched
+ */
+function registerHelpCommands(): void {
+  const api = createCommandAPI();
+  const args = [{ name: 'command', type: 'string', optional: true }] as const;
+
+  const showHelp = (
+    context: CommandContext,
+    { command: name }: { command: string | undefined }
+  ): void => {
+    if (name) {
+      const command = findCommand(name.replace(/^\//, ''));
+      if (
+        !command ||
+        !command.sources.includes(context.source) ||
+        !canRun(command, context)
+      ) {
+        context.reply(`Unknown command ${name}`);
+        return;
+      }
+
+      const { definition } = command;
+      context.reply(formatUsage(command, context.source));
+      if (definition.description) {
+        context.reply(`  ${definition.description}`);
+      }
+      if (definition.aliases?.length) {
+        context.reply(`  Aliases: ${definition.aliases.join(', ')}`);
+      }
+      return;
+    }
+
+    const available = [...commands.values()]
+      .filter(
+        (command) =>
+          command.sources.includes(context.source) &&
+          canRun(command, context)
+      )
+      .sort((a, b) => a.definition.name.localeCompare(b.definition.name));
+
+    context.reply('Commands:');
+    for (const command of available) {
+      const { description } = command.definition;
+      context.reply(
+        `  ${formatUsage(command, context.source)}` +
+          (description ? ` - ${description}` : '')
+      );
+    }
+  };
+
+  api.register({
+    name: 'help',
+    description: 'List commands or show how to use one',
+    args,
+    sources: ['chat'],
+    handler: showHelp,
+  });
+
+  api.register({
+    name: 'core:help',
+    description: 'List commands or show how to use one',
+    args,
+    sources: ['console'],
+    handler: showHelp,
+  });
+}
@@ -0,0 +1,326 @@
+/**
+ * Plugin configuration for the core resource
+ * Plugins declare their options with defaults, values are read from config
+ * files and environment variables and validated. Config files are watched, so
+ * changes apply without a restart
+ */
+
+import * as alt from 'alt-server';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  ConfigAPI,
+  ConfigOption,
+  ConfigSchema,
+} from '../shared/interfaces.js';
+import { PluginScope } from './plugin-scope.js';
+
+/**
+ * Where a plugin's config comes from and who is told about changes
+ */
+interface ConfigOptions {
+  /** Directory of the plugin, its config.json is read */
+  directory?: string;
+
+  /** Called with the names of the options whose value changed */
+  onChange?: (changed: string[]) => void;
+}
+
+/**
+ * A value that does not fit its option
+ */
+class ConfigError extends Error {}
+
+// Directory of the server's config files, overridable with CORE_CONFIG_DIR
+const CONFIG_DIR =
+  process.env.CORE_CONFIG_DIR || path.join(process.cwd(), 'config');
+
+// Name of the config file in a plugin directory
+const PLUGIN_CONFIG_FILE = 'config.json';
+
+// How often config files are checked for changes, in milliseconds
+const WATCH_INTERVAL = 1000;
+
+// Words accepted for boolean environment variables
+const TRUE_WORDS = ['true', 'yes', 'on', '1'];
+const FALSE_WORDS = ['false', 'no', 'off', '0'];
+
+/**
+ * Create the config API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @param options Where the config comes from and who is told about changes
+ * @returns The config API
+ */
+export function createConfigAPI(
+  scope?: PluginScope,
+  options: ConfigOptions = {}
+): ConfigAPI {
+  const owner = scope?.pluginId ?? 'core';
+  let defined = false;
+
+  return {
+    define: (schema) => {
+      if (defined) {
+        throw new Error(`The config of ${owner} is already defined`);
+      }
+      defined = true;
+
+      // A wrong default is a bug in the plugin, not in its config
+      for (const [name, option] of Object.entries(schema)) {
+        try {
+          checkValue(option, option.default);
+        } catch (error) {
+          throw new Error(
+            `Default of config option ${name} ${(error as Error).message}`
+          );
+        }
+      }
+
+      const files = [
+        ...(options.directory
+          ? [path.join(options.directory, PLUGIN_CONFIG_FILE)]
+          : []),
+        path.join(CONFIG_DIR, `${owner}.json`),
+      ];
+
+      const { values, problems } = readConfig(owner, schema, files);
+      reportProblems(owner, problems);
+
+      // Apply changed config files to the same values object
+      const onFileChange = (current: fs.Stats, previous: fs.Stats): void => {
+        if (current.mtimeMs === previous.mtimeMs) {
+          return;
+        }
+
+        const next = readConfig(owner, schema, files, values);
+        reportProblems(owner, next.problems);
+
+        const changed = Object.keys(schema).filter(
+          (name) =>
+            JSON.stringify(next.values[name]) !== JSON.stringify(values[name])
+        );
+        if (changed.length === 0) {
+          return;
+        }
+
+        Object.assign(values, next.values);
+        alt.log(
+          `~lb~[CORE]~w~ Config of ${owner} changed: ${changed.join(', ')}`
+        );
+        options.onChange?.(changed);
+      };
+
+      for (const file of files) {
+        fs.watchFile(file, { interval: WATCH_INTERVAL }, onFileChange);
+        scope?.addDisposer(() => fs.unwatchFile(file, onFileChange));
+      }
+
+      return values as any;
+    },
+  };
+}
+
+/**
+ * Read the values of a plugin's options
+ * Later sources override earlier ones, invalid values are skipped
+ * @param owner ID of the plugin, or 'core'
+ * @param schema The options of the plugin
+ * @param files The config files, in order
+ * @param current The values in use when a file changed. Options with an
+ *   invalid value keep them, all options do if a file cannot be read
+ * @returns The values and what was wrong with the sources
+ */
+function readConfig(
+  owner: string,
+  schema: ConfigSchema,
+  files: string[],
+  current?: Record<string, unknown>
+): { values: Record<string, unknown>; problems: string[] } {
+  const values: Record<string, unknown> = {};
+  const problems: string[] = [];
+
+  // Options whose new value was rejected
+  const rejected = new Set<string>();
+
+  for (const [name, option] of Object.entries(schema)) {
+    values[name] = structuredClone(option.default);
+  }
+
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      continue;
+    }
+
+    let data: unknown;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      problems.push(`${file}: ${error}`);
+      Object.keys(schema).forEach((name) => rejected.add(name));
+      continue;
+    }
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      problems.push(`${file}: expected an object of options`);
+      Object.keys(schema).forEach((name) => rejected.add(name));
+      continue;
+    }
+
+    for (const [name, value] of Object.entries(data)) {
+      const option = schema[name];
+      if (!option) {
+        problems.push(`${file}: unknown option ${name}`);
+        continue;
+      }
+
+      try {
+        values[name] = checkValue(option, value);
+        rejected.delete(name);
+      } catch (error) {
+        problems.push(`${file}: ${name} ${(error as Error).message}`);
+        rejected.add(name);
+      }
+    }
+  }
+
+  for (const [name, option] of Object.entries(schema)) {
+    const variable = getEnvName(owner, name);
+    const value = process.env[variable];
+    if (value === undefined) {
+      continue;
+    }
+
+    try {
+      values[name] = checkValue(option, parseEnvValue(option, value));
+      rejected.delete(name);
+    } catch (error) {
+      problems.push(`${variable}: ${(error as Error).message}`);
+      rejected.add(name);
+    }
+  }
+
+  // A broken edit of a config file does not undo what was in effect
+  if (current) {
+    for (const name of rejected) {
+      values[name] = current[name];
+    }
+  }
+
+  return { values, problems };
+}
+
+/**
+ * Check a value against its option
+ * @param option The option
+ * @param value The value
+ * @returns The value
+ */
+function checkValue(option: ConfigOption, value: unknown): unknown {
+  switch (option.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        throw new ConfigError('must be a string');
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ConfigError('must be a number');
+      }
+      if (option.type === 'integer' && !Number.isInteger(value)) {
+        throw new ConfigError('must be a whole number');
+      }
+      if (option.min !== undefined && value < option.min) {
+        throw new ConfigError(`must be at least ${option.min}`);
+      }
+      if (option.max !== undefined && value > option.max) {
+        throw new ConfigError(`must be at most ${option.max}`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw new ConfigError('must be true or false');
+      }
+      break;
+
+    case 'enum':
+      if (!option.values?.includes(value as string)) {
+        throw new ConfigError(`must be one of ${option.values?.join(', ')}`);
+      }
+      break;
+
+    case 'json':
+      if (value === undefined) {
+        throw new ConfigError('must be a JSON value');
+      }
+      break;
+  }
+
+  const problem = option.validate?.(value);
+  if (problem) {
+    throw new ConfigError(problem);
+  }
+
+  return value;
+}
+
+/**
+ * Convert an environment variable to the type of its option
+ * @param option The option
+ * @param value The text of the variable
+ * @returns The converted value, checked by checkValue afterwards
+ */
+function parseEnvValue(option: ConfigOption, value: string): unknown {
+  switch (option.type) {
+    case 'number':
+    case 'integer':
+      return value.trim() === '' ? NaN : Number(value);
+
+    case 'boolean': {
+      const word = value.trim().toLowerCase();
+      if (TRUE_WORDS.includes(word)) {
+        return true;
+      }
+      if (FALSE_WORDS.includes(word)) {
+        return false;
+      }
+      return value;
+    }
+
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch {
+        throw new ConfigError('must be valid JSON');
+      }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Get the environment variable that overrides an option
+ * @param owner ID of the plugin, or 'core'
+ * @param name Name of the option
+ * @returns The variable name, e.g. EXAMPLE_TS_DEFAULT_VEHICLE
+ */
+function getEnvName(owner: string, name: string): string {
+  return `${owner}_${name}`
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Log what is wrong with a plugin's config
+ * @param owner ID of the plugin, or 'core'
+ * @param problems The problems
+ */
+function reportProblems(owner: string, problems: string[]): void {
+  for (const problem of problems) {
+    alt.logError(`[CORE] Invalid config of ${owner}: ${problem}, ignored`);
+  }
+}
@@ -0,0 +1,364 @@
+/**
+ * In-memory database adapter for the core resource
+ * Implements the collection API of the MongoDB adapter on plain objects, so
+ * plugins run and can be tested without a MongoDB server. Data is lost when
+ * the server stops
+ */
+
+import { randomUUID } from 'crypto';
+import {
+  DatabaseCollection,
+  DatabaseFilter,
+  DatabaseFindOptions,
+  DatabaseUpdate,
+} from '../shared/interfaces.js';
+import { DatabaseAdapter } from './database.js';
+
+type Document = Record<string, any>;
+
+/**
+ * Create an in-memory database
+ * @returns The adapter
+ */
+export function createMemoryAdapter(): DatabaseAdapter {
+  // Documents by ID, by collection name
+  const collections = new Map<string, Map<string, Document>>();
+
+  const getDocuments = (name: string): Map<string, Document> => {
+    let documents = collections.get(name);
+    if (!documents) {
+      documents = new Map();
+      collections.set(name, documents);
+    }
+    return documents;
+  };
+
+  return {
+    collection: (name) => createMemoryCollection(getDocuments(name)),
+    close: async () => {},
+  };
+}
+
+/**
+ * Create a collection on top of a map of documents
+ * Documents are copied in and out, so callers never share them with the store
+ * @param documents The documents by ID
+ * @returns The collection
+ */
+function createMemoryCollection(
+  documents: Map<string, Document>
+): DatabaseCollection<any> {
+  const select = (filter: DatabaseFilter<any> = {}): Document[] =>
+    [...documents.values()].filter((document) => matches(document, filter));
+
+  const insert = (document: Document): string => {
+    const id = document._id ?? randomUUID();
+    if (documents.has(id)) {
+      throw new Error(`Duplicate key: a document with _id ${id} exists`);
+    }
+
+    documents.set(id, { _id: id, ...structuredClone(document) });
+    return id;
+  };
+
+  const update = (
+    filter: DatabaseFilter<any>,
+    changes: DatabaseUpdate<any>,
+    limit: number
+  ): { matched: number; modified: number } => {
+    const selected = select(filter).slice(0, limit);
+
+    // Update copies first, so an update that fails changes no document
+    const updated = selected.map((document) => applyUpdate(document, changes));
+
+    let modified = 0;
+    selected.forEach((document, index) => {
+      if (JSON.stringify(updated[index]) !== JSON.stringify(document)) {
+        documents.set(document._id, updated[index]);
+        modified++;
+      }
+    });
+
+    return { matched: selected.length, modified };
+  };
+
+  const remove = (filter: DatabaseFilter<any>, limit: number): number => {
+    const selected = select(filter).slice(0, limit);
+    for (const document of selected) {
+      documents.delete(document._id);
+    }
+    return selected.length;
+  };
+
+  return {
+    find: async (filter, options) =>
+      structuredClone(applyFindOptions(select(filter), options)),
+    findOne: async (filter) => structuredClone(select(filter)[0] ?? null),
+    insertOne: async (document) => insert(document),
+    insertMany: async (documentsToInsert) => documentsToInsert.map(insert),
+    updateOne: async (filter, changes, options = {}) => {
+      const result = update(filter, changes, 1);
+      if (result.matched > 0 || !options.upsert) {
+        return result;
+      }
+
+      // Start from the fields the filter asks for, as MongoDB does
+      const document: Document = {};
+      for (const [key, value] of Object.entries(filter)) {
+        if (!key.startsWith('$') && !isOperatorObject(value)) {
+          setPath(document, key, structuredClone(value));
+        }
+      }
+
+      return {
+        matched: 0,
+        modified: 0,
+        upsertedId: insert(applyUpdate(document, changes)),
+      };
+    },
+    updateMany: async (filter, changes) => update(filter, changes, Infinity),
+    deleteOne: async (filter) => remove(filter, 1),
+    deleteMany: async (filter = {}) => remove(filter, Infinity),
+    countDocuments: async (filter) => select(filter).length,
+  };
+}
+
+/**
+ * Check whether a document matches a filter
+ * @param document The document
+ * @param filter The filter
+ * @returns True if every condition of the filter holds
+ */
+function matches(document: Document, filter: DatabaseFilter<any>): boolean {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return (condition as DatabaseFilter<any>[]).every((part) =>
+        matches(document, part)
+      );
+    }
+    if (key === '$or') {
+      return (condition as DatabaseFilter<any>[]).some((part) =>
+        matches(document, part)
+      );
+    }
+
+    const value = getPath(document, key);
+    if (!isOperatorObject(condition)) {
+      return equals(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) =>
+      matchesOperator(value, operator, operand)
+    );
+  });
+}
+
+/**
+ * Check a value against one comparison operator
+ * @param value The value in the document
+ * @param operator The operator, e.g. '$gt'
+ * @param operand What the value is compared with
+ * @returns True if the comparison holds
+ */
+function matchesOperator(
+  value: unknown,
+  operator: string,
+  operand: any
+): boolean {
+  switch (operator) {
+    case '$eq':
+      return equals(value, operand);
+    case '$ne':
+      return !equals(value, operand);
+    case '$gt':
+      return value !== undefined && compare(value, operand) > 0;
+    case '$gte':
+      return value !== undefined && compare(value, operand) >= 0;
+    case '$lt':
+      return value !== undefined && compare(value, operand) < 0;
+    case '$lte':
+      return value !== undefined && compare(value, operand) <= 0;
+    case '$in':
+      return (operand as unknown[]).some((candidate) =>
+        equals(value, candidate)
+      );
+    case '$nin':
+      return !(operand as unknown[]).some((candidate) =>
+        equals(value, candidate)
+      );
+    case '$exists':
+      return (value !== undefined) === Boolean(operand);
+    default:
+      throw new Error(`Unsupported filter operator ${operator}`);
+  }
+}
+
+/**
+ * Check whether a value equals a filter value
+ * An array matches if it equals the filter value or contains it
+ * @param value The value in the document
+ * @param expected The filter value
+ * @returns True if they are equal
+ */
+function equals(value: unknown, expected: unknown): boolean {
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some((item) => equals(item, expected));
+  }
+
+  if (value instanceof Date && expected instanceof Date) {
+    return value.getTime() === expected.getTime();
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    return JSON.stringify(value) === JSON.stringify(expected);
+  }
+
+  // A missing field equals null, as in MongoDB
+  return (value ?? null) === (expected ?? null);
+}
+
+/**
+ * Compare two values for sorting and range operators
+ * @returns A negative number, zero or a positive number
+ */
+function compare(a: any, b: any): number {
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Sort and page documents
+ * @param documents The matching documents
+ * @param options The find options
+ * @returns The documents to return
+ */
+function applyFindOptions(
+  documents: Document[],
+  options: DatabaseFindOptions<any> = {}
+): Document[] {
+  const sort = Object.entries(options.sort ?? {});
+  if (sort.length > 0) {
+    documents.sort((a, b) => {
+      for (const [path, direction] of sort) {
+        const order = compare(getPath(a, path), getPath(b, path));
+        if (order !== 0) {
+          return order * (direction ?? 1);
+        }
+      }
+      return 0;
+    });
+  }
+
+  const skip = options.skip ?? 0;
+  return documents.slice(
+    skip,
+    options.limit === undefined ? undefined : skip + options.limit
+  );
+}
+
+/**
+ * Apply update operators to a copy of a document
+ * @param original The document, left as it is
+ * @param changes The update
+ * @returns The updated copy
+ */
+function applyUpdate(
+  original: Document,
+  changes: DatabaseUpdate<any>
+): Document {
+  const document = structuredClone(original);
+  for (const [operator, fields] of Object.entries(changes)) {
+    for (const [path, value] of Object.entries(fields ?? {})) {
+      if (path === '_id') {
+        throw new Error('The _id of a document cannot be changed');
+      }
+
+      switch (operator) {
+        case '$set':
+          setPath(document, path, structuredClone(value));
+          break;
+        case '$unset':
+          unsetPath(document, path);
+          break;
+        case '$inc':
+          setPath(document, path, (getPath(document, path) ?? 0) + value);
+          break;
+        case '$push': {
+          const list = getPath(document, path) ?? [];
+          if (!Array.isArray(list)) {
+            throw new Error(`Cannot $push to ${path}, it is not an array`);
+          }
+          setPath(document, path, [...list, structuredClone(value)]);
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Check whether a filter value is a set of operators like { $gt: 1 }
+ */
+function isOperatorObject(value: unknown): value is Record<string, unknown> {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every((key) => key.startsWith('$'))
+  );
+}
+
+/**
+ * Read a dotted path of a document
+ */
+function getPath(document: Document, path: string): any {
+  return path
+    .split('.')
+    .reduce<any>(
+      (value, key) => (value == null ? undefined : value[key]),
+      document
+    );
+}
+
+/**
+ * Write a dotted path of a document, creating the objects on the way
+ */
+function setPath(document: Document, path: string, value: unknown): void {
+  const keys = path.split('.');
+  const last = keys.pop() as string;
+
+  let target = document;
+  for (const key of keys) {
+    if (typeof target[key] !== 'object' || target[key] === null) {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+/**
+ * Remove a dotted path of a document
+ */
+function unsetPath(document: Document, path: string): void {
+  const keys = path.split('.');
+  const last = keys.pop() as string;
+  const parent = keys.length > 0 ? getPath(document, keys.join('.')) : document;
+  if (parent && typeof parent === 'object') {
+    delete parent[last];
+  }
+}
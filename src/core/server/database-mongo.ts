@@ -0,0 +1,120 @@
+/**
+ * MongoDB database adapter for the core resource
+ * The driver is imported when the first connection is made, so servers that
+ * use the in-memory database never load it
+ */
+
+import { randomUUID } from 'crypto';
+import type { Collection, Document, Filter, UpdateFilter } from 'mongodb';
+import { DatabaseCollection } from '../shared/interfaces.js';
+import { DatabaseAdapter } from './database.js';
+
+// How long the driver looks for a server before an operation fails
+const SERVER_SELECTION_TIMEOUT = 5000;
+
+/**
+ * Connect to a MongoDB server
+ * @param url The connection string
+ * @param databaseName The database the collections are in
+ * @returns The adapter
+ */
+export async function createMongoAdapter(
+  url: string,
+  databaseName: string
+): Promise<DatabaseAdapter> {
+  const { MongoClient } = await import('mongodb');
+  // The driver retries a write once after a network error, in a way the
+  // server applies only once
+  const client = new MongoClient(url, {
+    serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT,
+    retryWrites: true,
+  });
+
+  // Close the client if it cannot connect, so no sockets or timers stay open
+  try {
+    await client.connect();
+  } catch (error) {
+    await client.close().catch(() => undefined);
+    throw error;
+  }
+  const database = client.db(databaseName);
+
+  return {
+    collection: (name) => createMongoCollection(database.collection(name)),
+    close: () => client.close(),
+  };
+}
+
+/**
+ * Wrap a MongoDB collection
+ * Documents get string IDs instead of ObjectIds, so they are the same in
+ * every adapter
+ * @param collection The MongoDB collection
+ * @returns The collection
+ */
+function createMongoCollection(
+  collection: Collection<Document>
+): DatabaseCollection<any> {
+  const withId = (document: Document): Document => ({
+    ...document,
+    _id: document._id ?? randomUUID(),
+  });
+
+  return {
+    find: (filter = {}, options = {}) =>
+      collection
+        .find(filter as Filter<Document>, {
+          sort: options.sort as Record<string, 1 | -1> | undefined,
+          skip: options.skip,
+          limit: options.limit,
+        })
+        .toArray() as Promise<any[]>,
+    findOne: (filter) => collection.findOne(filter as Filter<Document>),
+    insertOne: async (document) => {
+      const result = await collection.insertOne(withId(document));
+      return String(result.insertedId);
+    },
+    insertMany: async (documents) => {
+      if (documents.length === 0) {
+        return [];
+      }
+
+      const result = await collection.insertMany(documents.map(withId));
+      return documents.map((_, index) => String(result.insertedIds[index]));
+    },
+    updateOne: async (filter, update, options = {}) => {
+      // Upserted documents get a string ID too, unless the filter has one
+      const changes: Document = { ...update };
+      if (options.upsert && filter._id === undefined) {
+        changes.$setOnInsert = { _id: randomUUID() };
+      }
+
+      const result = await collection.updateOne(
+        filter as Filter<Document>,
+        changes as UpdateFilter<Document>,
+        { upsert: options.upsert }
+      );
+
+      const counts = {
+        matched: result.matchedCount,
+        modified: result.modifiedCount,
+      };
+      return result.upsertedId
+        ? { ...counts, upsertedId: String(result.upsertedId) }
+        : counts;
+    },
+    updateMany: async (filter, update) => {
+      const result = await collection.updateMany(
+        filter as Filter<Document>,
+        update as UpdateFilter<Document>
+      );
+      return { matched: result.matchedCount, modified: result.modifiedCount };
+    },
+    deleteOne: async (filter) =>
+      (await collection.deleteOne(filter as Filter<Document>)).deletedCount,
+    deleteMany: async (filter = {}) =>
+      (await collection.deleteMany(filter as Filter<Document>)).deletedCount,
+    countDocuments: (filter = {}) =>
+      collection.countDocuments(filter as Filter<Document>),
+  };
+}
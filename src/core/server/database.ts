@@ -0,0 +1,343 @@
+/**
+ * Database service for the core resource
+ * The core owns one database connection, configured from the environment.
+ * Plugins get collections namespaced with their ID and run versioned
+ * migrations. Without CORE_DATABASE_URL an in-memory database is used
+ */
+
+import * as alt from 'alt-server';
+import { randomUUID } from 'crypto';
+import {
+  DatabaseAPI,
+  DatabaseCollection,
+  DatabaseMigration,
+} from '../shared/interfaces.js';
+import { createMemoryAdapter } from './database-memory.js';
+import { createMongoAdapter } from './database-mongo.js';
+import { PluginScope } from './plugin-scope.js';
+
+/**
+ * A database the core can connect to
+ */
+export interface DatabaseAdapter {
+  /** Get a collection by its full, namespaced name */
+  collection: (name: string) => DatabaseCollection<any>;
+
+  /** Close the connection */
+  close: () => Promise<void>;
+}
+
+// Connection string of the MongoDB server, 'memory' or unset for no server
+const DATABASE_URL = process.env.CORE_DATABASE_URL || 'memory';
+
+// Database the collections are stored in
+const DATABASE_NAME = process.env.CORE_DATABASE_NAME || 'altv';
+
+// How often connecting and failed reads are retried
+const MAX_RETRIES = Math.max(
+  0,
+  Number(process.env.CORE_DATABASE_RETRIES ?? 3) || 0
+);
+
+// Delay before the first retry, doubled for every further retry
+const RETRY_DELAY = 500;
+
+// How long shutting down waits for running operations
+const SHUTDOWN_TIMEOUT = 5000;
+
+// Collection the data version of every plugin is stored in
+const MIGRATIONS_COLLECTION = 'core.migrations';
+
+// Names of MongoDB errors worth retrying a read for
+const TRANSIENT_ERRORS = ['MongoNetworkError', 'MongoServerSelectionError'];
+
+// The connection, or the attempt to make it
+let connection: Promise<DatabaseAdapter> | null = null;
+
+// Operations that have not finished yet
+const running = new Set<Promise<unknown>>();
+
+let closed = false;
+
+/**
+ * Initialize the database
+ * Connects right away so configuration errors show up at startup, and closes
+ * the connection when the core stops
+ */
+export function initDatabase(): void {
+  if (DATABASE_URL === 'memory') {
+    alt.log(
+      '~ly~[CORE]~w~ CORE_DATABASE_URL is not set, using an in-memory database that is lost on restart'
+    );
+  }
+
+  // Failures are logged, and the next operation tries again
+  getAdapter().catch(() => {});
+
+  alt.on('resourceStop', () => void closeDatabase());
+}
+
+/**
+ * Create the database API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @returns The database API
+ */
+export function createDatabaseAPI(scope?: PluginScope): DatabaseAPI {
+  const owner = scope?.pluginId ?? 'core';
+
+  const api: DatabaseAPI = {
+    collection: <T extends object>(name: string) => {
+      if (!name || name.includes('$')) {
+        throw new Error(`Invalid collection name ${JSON.stringify(name)}`);
+      }
+
+      return createCollection(`${owner}.${name}`) as DatabaseCollection<T>;
+    },
+    migrate: (migrations) => migrate(owner, api, migrations),
+  };
+
+  return api;
+}
+
+/**
+ * Close the database connection
+ * Waits a while for running operations, later operations fail
+ */
+export async function closeDatabase(): Promise<void> {
+  if (closed) {
+    return;
+  }
+  closed = true;
+
+  if (running.size > 0) {
+    await Promise.race([
+      Promise.allSettled([...running]),
+      wait(SHUTDOWN_TIMEOUT),
+    ]);
+  }
+
+  try {
+    await (await connection)?.close();
+  } catch {
+    // The connection was never made, there is nothing to close
+  }
+}
+
+/**
+ * Get the database, connecting if there is no connection yet
+ * @returns The database adapter
+ */
+function getAdapter(): Promise<DatabaseAdapter> {
+  if (!connection) {
+    const attempt = connect();
+    connection = attempt;
+
+    // Connect again on the next operation
+    attempt.catch(() => {
+      if (connection === attempt) {
+        connection = null;
+      }
+    });
+  }
+
+  return connection;
+}
+
+/**
+ * Connect to the configured database
+ * @returns The database adapter
+ */
+async function connect(): Promise<DatabaseAdapter> {
+  if (DATABASE_URL === 'memory') {
+    return createMemoryAdapter();
+  }
+
+  try {
+    const adapter = await withRetry('connect', () =>
+      createMongoAdapter(DATABASE_URL, DATABASE_NAME)
+    );
+    alt.log(`~lg~[CORE]~w~ Connected to database ${DATABASE_NAME}`);
+    return adapter;
+  } catch (error) {
+    alt.logError(`[CORE] Could not connect to the database: ${error}`);
+    throw error;
+  }
+}
+
+/**
+ * Create a collection that runs its operations on the current connection
+ * Reads are retried, writes are not: a write that failed with a network error
+ * may still have been applied, the MongoDB driver retries writes where that
+ * is safe
+ * @param name The full, namespaced name of the collection
+ * @returns The collection
+ */
+function createCollection(name: string): DatabaseCollection<any> {
+  const operation =
+    <K extends keyof DatabaseCollection<any>>(method: K, retry = false) =>
+    (...args: Parameters<DatabaseCollection<any>[K]>) =>
+      run(
+        `${method} on ${name}`,
+        async (adapter) => {
+          const collection = adapter.collection(name);
+          return (collection[method] as (...args: unknown[]) => unknown)(
+            ...args
+          );
+        },
+        retry
+      ) as ReturnType<DatabaseCollection<any>[K]>;
+
+  const insertOne = operation('insertOne');
+  const insertMany = operation('insertMany');
+
+  return {
+    find: operation('find', true),
+    findOne: operation('findOne', true),
+    // Documents get their ID once, so an insert the driver retries cannot
+    // add a second copy
+    insertOne: (document) => insertOne(withId(document)),
+    insertMany: (documents) => insertMany(documents.map(withId)),
+    updateOne: operation('updateOne'),
+    updateMany: operation('updateMany'),
+    deleteOne: operation('deleteOne'),
+    deleteMany: operation('deleteMany'),
+    countDocuments: operation('countDocuments', true),
+  };
+}
+
+/**
+ * Give a document to insert an ID, unless it has one
+ * @param document The document
+ * @returns A copy with an _id
+ */
+function withId<T extends { _id?: string }>(document: T): T {
+  return { ...document, _id: document._id ?? randomUUID() };
+}
+
+/**
+ * Run a database operation, tracking it for shutdown
+ * @param description What the operation does, for the log
+ * @param operation The operation, run on the current connection
+ * @param retry Whether to retry the operation after a transient error
+ * @returns What the operation returns
+ */
+function run<T>(
+  description: string,
+  operation: (adapter: DatabaseAdapter) => Promise<T>,
+  retry: boolean
+): Promise<T> {
+  if (closed) {
+    return Promise.reject(new Error('The database is closed'));
+  }
+
+  const result = getAdapter().then((adapter) =>
+    retry
+      ? withRetry(description, () => operation(adapter))
+      : operation(adapter)
+  );
+  running.add(result);
+  void result.finally(() => running.delete(result)).catch(() => {});
+
+  return result;
+}
+
+/**
+ * Run an operation, retrying it with a growing delay while it fails with a
+ * transient error
+ * @param description What the operation does, for the log
+ * @param operation The operation
+ * @returns What the operation returns
+ */
+async function withRetry<T>(
+  description: string,
+  operation: () => Promise<T>
+): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || closed || !isTransient(error)) {
+        throw error;
+      }
+
+      const delay = RETRY_DELAY * 2 ** attempt;
+      alt.log(
+        `~ly~[CORE]~w~ Database ${description} failed, retrying in ${delay}ms: ${error}`
+      );
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Check whether an error may go away by retrying
+ * @param error The error
+ * @returns True for network errors and failing to find a server
+ */
+function isTransient(error: unknown): boolean {
+  return error instanceof Error && TRANSIENT_ERRORS.includes(error.name);
+}
+
+/**
+ * Run the migrations a plugin's data has not had yet
+ * Each migration is recorded as soon as it succeeds, so a failed migration
+ * is retried the next time the plugin loads
+ * @param owner ID of the plugin, or 'core'
+ * @param api The database API passed to the migrations
+ * @param migrations The migrations
+ */
+async function migrate(
+  owner: string,
+  api: DatabaseAPI,
+  migrations: DatabaseMigration[]
+): Promise<void> {
+  const sorted = [...migrations].sort((a, b) => a.version - b.version);
+  sorted.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || migration.version < 1) {
+      throw new Error(
+        `Migration versions must be whole numbers from 1, got ${migration.version}`
+      );
+    }
+    if (index > 0 && sorted[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  const versions = createCollection(MIGRATIONS_COLLECTION);
+  const stored = await versions.findOne({ _id: owner });
+  const current: number = stored?.version ?? 0;
+
+  for (const migration of sorted) {
+    if (migration.version <= current) {
+      continue;
+    }
+
+    alt.log(
+      `~lb~[CORE]~w~ Migrating ${owner} to version ${migration.version}` +
+        (migration.description ? `: ${migration.description}` : '')
+    );
+
+    try {
+      await migration.up(api);
+    } catch (error) {
+      alt.logError(
+        `[CORE] Migration ${migration.version} of ${owner} failed: ${error}`
+      );
+      throw error;
+    }
+
+    await versions.updateOne(
+      { _id: owner },
+      { $set: { version: migration.version } },
+      { upsert: true }
+    );
+  }
+}
+
+/**
+ * Wait for a while
+ * @param ms How long to wait, in milliseconds
+ */
+function wait(ms: number): Promise<void> {
+  return new Promise((resolve) => alt.setTimeout(resolve, ms));
+}
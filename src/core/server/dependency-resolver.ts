@@ -0,0 +1,256 @@
+/**
+ * Dependency resolver for the core resource
+ * Orders plugins so that every plugin loads after the plugins it depends on
+ * and checks that the installed versions satisfy the declared ranges
+ */
+
+import { satisfies, validRange } from 'semver';
+import { PluginMetadata } from '../shared/interfaces.js';
+import { CORE_VERSION } from '../shared/session.js';
+
+/** ID under which the core resource itself can be listed as a dependency */
+export const CORE_PLUGIN_ID = 'core';
+
+/**
+ * A dependency declared as "id" or "id@range", e.g. "economy@^2.1"
+ */
+export interface DependencySpec {
+  /** ID of the plugin that is depended on */
+  id: string;
+
+  /** Semver range the installed version must satisfy, '*' if none was given */
+  range: string;
+}
+
+/**
+ * Result of resolving the load order of a set of plugins
+ */
+export interface LoadOrder {
+  /** Plugin IDs in the order they should be loaded */
+  order: string[];
+
+  /** Plugins that cannot be loaded, mapped to the reason why */
+  failed: Map<string, string>;
+
+  /** Plugins that are skipped because a dependency cannot be loaded */
+  skipped: Map<string, string>;
+
+  /** Every problem found, one line each, for a single diagnostic */
+  problems: string[];
+
+  /** Problems that do not keep any plugin from loading */
+  warnings: string[];
+}
+
+/**
+ * Parse a dependency declaration
+ * @param spec The declaration, "id" or "id@range"
+ * @returns The parsed dependency
+ */
+export function parseDependency(spec: string): DependencySpec {
+  const separator = spec.indexOf('@');
+  if (separator === -1) {
+    return { id: spec.trim(), range: '*' };
+  }
+
+  return {
+    id: spec.slice(0, separator).trim(),
+    range: spec.slice(separator + 1).trim() || '*',
+  };
+}
+
+/**
+ * Get the IDs of every plugin a plugin depends on, required or optional
+ * @param metadata Metadata of the plugin
+ * @returns The dependency IDs
+ */
+export function getDependencyIds(metadata: PluginMetadata): string[] {
+  return [
+    ...metadata.dependencies,
+    ...(metadata.optionalDependencies ?? []),
+  ].map((spec) => parseDependency(spec).id);
+}
+
+/**
+ * Topologically sort plugins by their dependencies
+ * Required dependencies must be installed in a matching version. Optional
+ * dependencies must match if they are installed, and "load after" entries
+ * only affect the order. Every problem is collected instead of stopping at
+ * the first one
+ * @param plugins Metadata of every plugin that was found
+ * @returns The load order and the plugins that cannot be loaded
+ */
+export function resolveLoadOrder(plugins: PluginMetadata[]): LoadOrder {
+  const byId = new Map(plugins.map((plugin) => [plugin.id, plugin]));
+  const order: string[] = [];
+  const failed = new Map<string, string>();
+  const skipped = new Map<string, string>();
+  const problems: string[] = [];
+  const warnings: string[] = [];
+
+  // Record why a plugin cannot load, keeping the first reason per plugin
+  const fail = (id: string, reason: string): void => {
+    problems.push(reason);
+    if (!failed.has(id)) {
+      failed.set(id, reason);
+    }
+  };
+
+  // Check a declared dependency, returning whether it can be ordered on
+  // The core is checked against its version but always loads first
+  const check = (
+    plugin: PluginMetadata,
+    spec: string,
+    optional: boolean
+  ): boolean => {
+    const { id, range } = parseDependency(spec);
+    if (id === plugin.id) {
+      return false;
+    }
+
+    const version =
+      id === CORE_PLUGIN_ID ? CORE_VERSION : byId.get(id)?.version;
+    if (version === undefined) {
+      if (!optional) {
+        fail(
+          plugin.id,
+          `${plugin.id} requires ${spec}, which is not installed`
+        );
+      }
+      return false;
+    }
+
+    if (!validRange(range)) {
+      fail(
+        plugin.id,
+        `${plugin.id} declares an invalid version range: ${spec}`
+      );
+      return false;
+    }
+
+    if (!satisfies(version, range, { includePrerelease: true })) {
+      fail(
+        plugin.id,
+        `${plugin.id} requires ${spec}, but ${id} ${version} is installed`
+      );
+      return false;
+    }
+
+    return id !== CORE_PLUGIN_ID;
+  };
+
+  // Plugins each plugin must load after, with whether the edge is required
+  const edges = new Map<string, Array<{ id: string; required: boolean }>>();
+  for (const plugin of plugins) {
+    const pluginEdges: Array<{ id: string; required: boolean }> = [];
+
+    for (const spec of plugin.dependencies) {
+      if (check(plugin, spec, false)) {
+        pluginEdges.push({ id: parseDependency(spec).id, required: true });
+      }
+    }
+
+    for (const spec of plugin.optionalDependencies ?? []) {
+      if (check(plugin, spec, true)) {
+        pluginEdges.push({ id: parseDependency(spec).id, required: false });
+      }
+    }
+
+    for (const id of plugin.loadAfter ?? []) {
+      if (byId.has(id) && id !== plugin.id) {
+        pluginEdges.push({ id, required: false });
+      }
+    }
+
+    edges.set(plugin.id, pluginEdges);
+  }
+
+  // Depth-first visit state: 'visiting' while on the stack, 'done' afterwards
+  const state = new Map<string, 'visiting' | 'done'>();
+  const stack: string[] = [];
+
+  const visit = (id: string): void => {
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const edge of edges.get(id) ?? []) {
+      if (state.get(edge.id) === 'done') {
+        continue;
+      }
+
+      if (state.get(edge.id) === 'visiting') {
+        // Everything on the stack from the first occurrence is part of the cycle
+        const cycle = [...stack.slice(stack.indexOf(edge.id)), edge.id];
+
+        // An ordering preference that closes a cycle is dropped
+        if (!edge.required) {
+          warnings.push(
+            `Ignoring load order ${id} after ${edge.id}, it would create a cycle: ${cycle.join(' -> ')}`
+          );
+          continue;
+        }
+
+        const reason = `Dependency cycle detected: ${cycle.join(' -> ')}`;
+        problems.push(reason);
+        for (const member of cycle) {
+          if (!failed.has(member)) {
+            failed.set(member, reason);
+          }
+        }
+        continue;
+      }
+
+      visit(edge.id);
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+    order.push(id);
+  };
+
+  for (const plugin of plugins) {
+    if (!state.has(plugin.id)) {
+      visit(plugin.id);
+    }
+  }
+
+  // Skip everything that (transitively) requires a plugin that cannot load
+  for (const id of order) {
+    if (failed.has(id)) {
+      continue;
+    }
+
+    const blocker = (edges.get(id) ?? []).find(
+      (edge) => edge.required && (failed.has(edge.id) || skipped.has(edge.id))
+    );
+    if (blocker) {
+      const reason = `${id} is skipped, its dependency ${blocker.id} cannot be loaded`;
+      skipped.set(id, reason);
+      problems.push(reason);
+    }
+  }
+
+  return {
+    order: order.filter((id) => !failed.has(id) && !skipped.has(id)),
+    failed,
+    skipped,
+    problems,
+    warnings,
+  };
+}
+
+/**
+ * Format the problems of a load order as a single diagnostic
+ * @param loadOrder The resolved load order
+ * @returns The diagnostic, or null if every plugin can be loaded
+ */
+export function formatDiagnostic(loadOrder: LoadOrder): string | null {
+  if (loadOrder.problems.length === 0) {
+    return null;
+  }
+
+  return [
+    `Plugin dependencies could not be resolved, ${loadOrder.failed.size + loadOrder.skipped.size} plugins will not be loaded:`,
+    ...loadOrder.problems.map((problem) => `  - ${problem}`),
+  ].join('\n');
+}
@@ -0,0 +1,204 @@
+/**
+ * Local control channel for the core resource
+ * A loopback HTTP endpoint the build tooling uses to request plugin reloads
+ */
+
+import * as alt from 'alt-server';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as path from 'path';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { HotReloadEvent, HotReloadResult } from '../shared/interfaces.js';
+
+// Default port of the channel, overridable with CORE_DEV_CHANNEL_PORT
+const DEFAULT_PORT = 7789;
+
+// File the channel address and token are written to for the build tooling
+const CHANNEL_FILE = path.join(process.cwd(), '.dev-channel.json');
+
+// Maximum accepted request body size in bytes
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * Handler invoked for every authenticated reload request
+ */
+export type ReloadRequestHandler = (
+  pluginId: string,
+  type: HotReloadEvent['type']
+) => Promise<HotReloadResult>;
+
+let server: http.Server | null = null;
+
+/**
+ * Start the local control channel
+ * Only starts when CORE_DEV_CHANNEL is set to "on", as pnpm dev does for the
+ * server it starts, so production servers never open it
+ * @param onReload Handler that performs the requested reload
+ */
+export function startDevChannel(onReload: ReloadRequestHandler): void {
+  if (process.env.CORE_DEV_CHANNEL !== 'on') {
+    return;
+  }
+
+  const port = Number(process.env.CORE_DEV_CHANNEL_PORT) || DEFAULT_PORT;
+  const token =
+    process.env.CORE_DEV_CHANNEL_TOKEN || randomBytes(24).toString('hex');
+
+  server = http.createServer((request, response) => {
+    void handleRequest(request, response, token, onReload);
+  });
+
+  server.on('error', (error) => {
+    alt.logError(`[CORE] Dev channel error: ${error}`);
+  });
+
+  // Only listen on loopback, the channel must never be reachable remotely
+  server.listen(port, '127.0.0.1', () => {
+    try {
+      fs.writeFileSync(CHANNEL_FILE, JSON.stringify({ port, token }, null, 2));
+    } catch (error) {
+      alt.logError(`[CORE] Could not write ${CHANNEL_FILE}: ${error}`);
+    }
+
+    alt.log(`~lg~[CORE]~w~ Dev channel listening on 127.0.0.1:${port}`);
+  });
+
+  // Free the port so a restarted core resource can listen again
+  alt.on('resourceStop', stopDevChannel);
+}
+
+/**
+ * Stop the local control channel
+ */
+export function stopDevChannel(): void {
+  if (!server) {
+    return;
+  }
+
+  server.close();
+  server = null;
+
+  try {
+    fs.rmSync(CHANNEL_FILE, { force: true });
+  } catch (error) {
+    alt.logError(`[CORE] Could not remove ${CHANNEL_FILE}: ${error}`);
+  }
+}
+
+/**
+ * Handle a request on the control channel
+ * @param request The incoming request
+ * @param response The response to write to
+ * @param token The token clients have to present
+ * @param onReload Handler that performs the requested reload
+ */
+async function handleRequest(
+  request: http.IncomingMessage,
+  response: http.ServerResponse,
+  token: string,
+  onReload: ReloadRequestHandler
+): Promise<void> {
+  if (!isAuthorized(request, token)) {
+    sendJson(response, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  if (request.method !== 'POST' || request.url !== '/reload') {
+    sendJson(response, 404, { error: 'Not found' });
+    return;
+  }
+
+  let body: { pluginId?: unknown; sides?: unknown };
+  try {
+    body = JSON.parse(await readBody(request));
+  } catch (error) {
+    sendJson(response, 400, { error: `Invalid request body: ${error}` });
+    return;
+  }
+
+  if (typeof body.pluginId !== 'string' || !Array.isArray(body.sides)) {
+    sendJson(response, 400, { error: 'Expected { pluginId, sides }' });
+    return;
+  }
+
+  try {
+    const result = await onReload(body.pluginId, getReloadType(body.sides));
+    sendJson(response, 200, result);
+  } catch (error) {
+    sendJson(response, 500, {
+      pluginId: body.pluginId,
+      success: false,
+      error: String(error),
+      duration: 0,
+    });
+  }
+}
+
+/**
+ * Check the bearer token of a request
+ * @param request The incoming request
+ * @param token The expected token
+ * @returns True if the request presented the right token
+ */
+function isAuthorized(request: http.IncomingMessage, token: string): boolean {
+  const header = request.headers.authorization || '';
+  const presented = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+
+  return (
+    presented.length === expected.length && timingSafeEqual(presented, expected)
+  );
+}
+
+/**
+ * Map the sides that were rebuilt to the type of reload
+ * Shared code is bundled into both sides, so it reloads both
+ * @param sides The sides reported by the build tooling
+ * @returns The type of reload to perform
+ */
+function getReloadType(sides: unknown[]): HotReloadEvent['type'] {
+  const server = sides.includes('server');
+  const client = sides.includes('client');
+
+  if (sides.includes('shared') || (server && client)) {
+    return 'both';
+  }
+
+  return client ? 'client' : 'server';
+}
+
+/**
+ * Read the body of a request
+ * @param request The incoming request
+ * @returns The body as a string
+ */
+function readBody(request: http.IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let body = '';
+
+    request.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Write a JSON response
+ * @param response The response to write to
+ * @param status The HTTP status code
+ * @param payload The payload to serialize
+ */
+function sendJson(
+  response: http.ServerResponse,
+  status: number,
+  payload: unknown
+): void {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(payload));
+}
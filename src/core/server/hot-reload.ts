@@ -1,18 +1,33 @@
 /**
  * Hot reload system for the core resource
- * Uses esbuild to watch for file changes and trigger resource reloads
+ * Reloads plugins on request of the build tooling or the console
  */
 
 import * as alt from 'alt-server';
-import { HotReloadEvent } from '../shared/interfaces.js';
-
-// Map to track resources that are currently being reloaded
-const reloadingResources = new Map<string, number>();
+import { HotReloadEvent, HotReloadResult } from '../shared/interfaces.js';
+import { createCommandAPI } from './commands.js';
+import { startDevChannel } from './dev-channel.js';
+import {
+  emitCoreEvent,
+  handlePluginReload,
+  hasClientBundle,
+  isPluginDisabled,
+  supportsHotReload,
+} from './plugin-manager.js';
+
+// Resources that are currently being reloaded
+const reloadingResources = new Set<string>();
 
 // Event names
 const RELOAD_START_EVENT = 'core:hotReload:start';
 const RELOAD_COMPLETE_EVENT = 'core:hotReload:complete';
 const RELOAD_FAILED_EVENT = 'core:hotReload:failed';
+const CLIENT_RELOAD_EVENT = 'core:hotReload';
+const CLIENT_UNLOAD_EVENT = 'core:unloadPlugin';
+
+// How often each client bundle was rebuilt since the core started, clients
+// import the bundle under a new path for every revision
+const clientBundleRevisions = new Map<string, number>();
 
 /**
  * Initialize the hot reload system
@@ -21,148 +36,171 @@ const RELOAD_FAILED_EVENT = 'core:hotReload:failed';
 export function initHotReload(): void {
   alt.log('~lb~[CORE]~w~ Initializing hot reload system');
 
-  // Listen for file change events from the build process
-  alt.onClient('core:fileChanged', handleFileChanged);
+  // Listen for reload requests from the build tooling
+  startDevChannel(reloadPlugin);
 
   // Register command to manually trigger a reload
-  alt.on('consoleCommand', (command: string, ...args: string[]) => {
-    if (command === 'reload') {
-      const resourceName = args[0] || 'all';
-      if (resourceName === 'all') {
+  createCommandAPI().register({
+    name: 'reload',
+    description: 'Reload a plugin, or every plugin if none is given',
+    args: [{ name: 'pluginId', type: 'string', optional: true }],
+    sources: ['console'],
+    handler: (_, { pluginId = 'all' }) => {
+      if (pluginId === 'all') {
         reloadAllPlugins();
       } else {
-        reloadPlugin(resourceName);
+        void reloadPlugin(pluginId);
       }
-    }
+    },
   });
 
   alt.log('~lg~[CORE]~w~ Hot reload system initialized');
 }
 
-/**
- * Handle a file change event
- * @param player The player that sent the event (should be null for system events)
- * @param filePath The path of the file that changed
- */
-function handleFileChanged(player: alt.Player | null, filePath: string): void {
-  if (player !== null) {
-    // Only accept system events
-    return;
-  }
-
-  alt.log(`~lb~[CORE]~w~ File changed: ${filePath}`);
-
-  // Determine which resource needs to be reloaded based on the file path
-  const resourceName = getResourceNameFromPath(filePath);
-  if (!resourceName) {
-    alt.log(`~lr~[CORE]~w~ Could not determine resource for file: ${filePath}`);
-    return;
-  }
-
-  // Reload the resource
-  reloadPlugin(resourceName);
-}
-
-/**
- * Get the resource name from a file path
- * @param filePath The path of the file
- * @returns The name of the resource, or null if it couldn't be determined
- */
-function getResourceNameFromPath(filePath: string): string | null {
-  // Extract resource name from path
-  // This will depend on your project structure
-  // For example: src/plugins/example/server/index.ts -> example
-
-  // Normalize path separators to forward slashes for consistent matching
-  const normalizedPath = filePath.replace(/\\/g, '/');
-
-  // Match both patterns: src/plugins/name and src\plugins\name
-  const match = normalizedPath.match(/src\/plugins\/([^\/]+)/);
-  if (match && match[1]) {
-    return match[1];
-  }
-
-  // Check if it's the core resource
-  if (normalizedPath.includes('src/core/')) {
-    return 'core';
-  }
-
-  return null;
-}
-
 /**
  * Reload a specific plugin
  * @param pluginId The ID of the plugin to reload
+ * @param type Which side of the plugin was rebuilt
+ * @returns The result of the reload
  */
-export function reloadPlugin(pluginId: string): void {
-  // Check if the resource is already being reloaded
+export async function reloadPlugin(
+  pluginId: string,
+  type: HotReloadEvent['type'] = 'both'
+): Promise<HotReloadResult> {
+  const startTime = Date.now();
+
+  // Refuse a second reload until the first finished, hooks may take a while
   if (reloadingResources.has(pluginId)) {
-    const lastReload = reloadingResources.get(pluginId) || 0;
-    const now = Date.now();
-
-    // Prevent reloading the same resource too frequently (debounce)
-    if (now - lastReload < 1000) {
-      alt.log(
-        `~ly~[CORE]~w~ Plugin ${pluginId} is already being reloaded, skipping`
-      );
-      return;
-    }
+    alt.log(
+      `~ly~[CORE]~w~ Plugin ${pluginId} is already being reloaded, skipping`
+    );
+    return {
+      pluginId,
+      success: false,
+      error: 'Plugin is already being reloaded',
+      duration: 0,
+    };
+  }
+
+  // A disabled plugin stays unloaded until it is enabled
+  if (isPluginDisabled(pluginId)) {
+    alt.log(`~ly~[CORE]~w~ Plugin ${pluginId} is disabled, not reloading`);
+    return {
+      pluginId,
+      success: false,
+      error: 'Plugin is disabled, enable it with core:enable',
+      duration: 0,
+    };
   }
 
   // Mark the resource as being reloaded
-  reloadingResources.set(pluginId, Date.now());
+  reloadingResources.add(pluginId);
 
   // Emit reload start event
   alt.emit(RELOAD_START_EVENT, pluginId);
+  emitCoreEvent(RELOAD_START_EVENT, pluginId);
   alt.log(`~lb~[CORE]~w~ Reloading plugin: ${pluginId}`);
 
   try {
-    // Since all plugins are now part of the core resource,
-    // we don't need to check if the resource exists or is running
-    // Instead, we'll just trigger the plugin reload within the core resource
+    // Create hot reload event
+    const reloadEvent: HotReloadEvent = {
+      pluginId,
+      type,
+      timestamp: Date.now(),
+    };
+
+    // Plugins that cannot be reloaded in place are reloaded with the core
+    const restart = pluginId === 'core' || !supportsHotReload(pluginId);
 
-    // If it's the core itself that needs to be reloaded, restart the core resource
-    if (pluginId === 'core') {
+    // Restart the core resource, which loads every plugin again
+    if (restart) {
+      if (pluginId !== 'core') {
+        alt.log(
+          `~ly~[CORE]~w~ Plugin ${pluginId} does not support hot reloading, restarting the core resource`
+        );
+      }
       alt.log(`~lb~[CORE]~w~ Reloading core resource`);
 
-      // Restart the core resource
-      alt.restartResource('core');
-
-      // Create hot reload event
-      const reloadEvent: HotReloadEvent = {
-        pluginId,
-        type: 'both', // Assuming both client and server are reloaded
-        timestamp: Date.now(),
-      };
+      // Restart on the next tick so the result can still be reported
+      alt.nextTick(() => alt.restartResource('core'));
 
       // Emit reload complete event
       alt.emit(RELOAD_COMPLETE_EVENT, reloadEvent);
+      emitCoreEvent(RELOAD_COMPLETE_EVENT, reloadEvent);
 
-      return;
+      return {
+        pluginId,
+        success: true,
+        restarted: true,
+        duration: Date.now() - startTime,
+      };
     }
 
-    // For plugins, we'll just trigger the plugin reload event
-    // The plugin manager will handle reloading the plugin
+    // Since all plugins are now part of the core resource,
+    // we don't need to check if the resource exists or is running
+    // The plugin manager swaps the plugin's server bundle in place
+    if (type !== 'client') {
+      await handlePluginReload(pluginId);
+    }
 
-    // Create hot reload event
-    const reloadEvent: HotReloadEvent = {
-      pluginId,
-      type: 'both', // Assuming both client and server are reloaded
-      timestamp: Date.now(),
-    };
+    // Connected players swap the plugin's client bundle without reconnecting
+    if (type !== 'server') {
+      pushClientReload(pluginId);
+    }
 
     // Emit reload complete event
     alt.emit(RELOAD_COMPLETE_EVENT, reloadEvent);
+    emitCoreEvent(RELOAD_COMPLETE_EVENT, reloadEvent);
     alt.log(`~lg~[CORE]~w~ Resource ${pluginId} reloaded successfully`);
+
+    return { pluginId, success: true, duration: Date.now() - startTime };
   } catch (error) {
     alt.logError(`[CORE] Failed to reload resource ${pluginId}: ${error}`);
     alt.emit(RELOAD_FAILED_EVENT, pluginId, error);
+    emitCoreEvent(RELOAD_FAILED_EVENT, pluginId, String(error));
+
+    return {
+      pluginId,
+      success: false,
+      error: String(error),
+      duration: Date.now() - startTime,
+    };
   } finally {
     // Remove the resource from the reloading map
     reloadingResources.delete(pluginId);
   }
 }
 
+/**
+ * Tell every connected player to import the rebuilt client bundle of a plugin
+ * @param pluginId The ID of the plugin
+ */
+export function pushClientReload(pluginId: string): void {
+  if (!hasClientBundle(pluginId)) {
+    return;
+  }
+
+  const revision = (clientBundleRevisions.get(pluginId) ?? 0) + 1;
+  clientBundleRevisions.set(pluginId, revision);
+  alt.emitAllClients(CLIENT_RELOAD_EVENT, pluginId, revision);
+}
+
+/**
+ * Unload the client side of a plugin for every connected player
+ * @param pluginId The ID of the plugin
+ */
+export function pushClientUnload(pluginId: string): void {
+  alt.emitAllClients(CLIENT_UNLOAD_EVENT, pluginId);
+}
+
+/**
+ * Get the revisions of the client bundles hot reloaded since the core started
+ * @returns The revisions by plugin ID
+ */
+export function getClientBundleRevisions(): Record<string, number> {
+  return Object.fromEntries(clientBundleRevisions);
+}
+
 /**
  * Reload all plugins
  */
@@ -174,5 +212,5 @@ export function reloadAllPlugins(): void {
   // For now, we'll just reload the core resource
 
   alt.log('~lb~[CORE]~w~ Reloading core resource');
-  reloadPlugin('core');
+  void reloadPlugin('core');
 }
@@ -3,12 +3,37 @@
  * This is the main entry point for the core resource on the server side
  */
 
+// Load the server's .env file before any module reads the environment
+import 'dotenv/config';
 import * as alt from 'alt-server';
-import { initPluginManager, handlePluginReload } from './plugin-manager.js';
-import { initHotReload, reloadPlugin } from './hot-reload.js';
-
-// Core resource metadata
-const CORE_VERSION = '1.0.0';
+import { CORE_VERSION } from '../shared/session.js';
+import { createCommandAPI, initCommands } from './commands.js';
+import { initDatabase } from './database.js';
+import { initLogger } from './logger.js';
+import {
+  PluginStateChange,
+  disablePlugin,
+  enablePlugin,
+  getClientPlugins,
+  getPluginStatuses,
+  initPluginManager,
+} from './plugin-manager.js';
+import {
+  getClientBundleRevisions,
+  initHotReload,
+  pushClientReload,
+  pushClientUnload,
+  reloadPlugin,
+} from './hot-reload.js';
+import {
+  getRoles,
+  grantRole,
+  initPermissions,
+  revokeRole,
+} from './permissions.js';
+import { initRpc } from './rpc.js';
+import { initScheduler } from './scheduler.js';
+import { initSessions } from './sessions.js';
 
 /**
  * Initialize the core resource
@@ -18,8 +43,33 @@ function initCore(): void {
   alt.log('~lb~=================================~w~');
   alt.log('~lb~[CORE]~w~ Initializing core resource v' + CORE_VERSION);
 
-  // Initialize the plugin manager
-  initPluginManager();
+  // Initialize client-server RPC before plugins register procedures
+  initRpc();
+
+  // Connect to the database before plugins use it
+  initDatabase();
+
+  // Load roles and grants before commands check them
+  initPermissions();
+
+  // Initialize the command registry before plugins register commands
+  initCommands();
+  registerCoreCommands();
+
+  // Initialize the scheduler before plugins schedule jobs
+  initScheduler();
+
+  // Initialize logging before plugins log
+  initLogger();
+
+  // Track player sessions before plugins wait for players to be ready
+  initSessions(() => ({
+    clientPlugins: getClientPlugins(),
+    revisions: getClientBundleRevisions(),
+  }));
+
+  // Initialize the plugin manager, plugins load in the background
+  void initPluginManager();
 
   // Initialize the hot reload system
   initHotReload();
@@ -35,35 +85,9 @@ function initCore(): void {
  * Register event handlers for the core resource
  */
 function registerEventHandlers(): void {
-  // Listen for player connect events
-  alt.on('playerConnect', handlePlayerConnect);
-
   // Listen for resource start/stop events
   alt.on('resourceStart', handleResourceStart);
   alt.on('resourceStop', handleResourceStop);
-
-  // Listen for hot reload events
-  alt.on('core:hotReload:complete', (event) => {
-    if (typeof event === 'string') {
-      handlePluginReload(event);
-    } else if (event && event.pluginId) {
-      handlePluginReload(event.pluginId);
-    }
-  });
-
-  // Register console commands
-  alt.on('consoleCommand', handleConsoleCommand);
-}
-
-/**
- * Handle player connect events
- * @param player The player that connected
- */
-function handlePlayerConnect(player: alt.Player): void {
-  alt.log(`~lg~[CORE]~w~ Player connected: ${player.name}`);
-
-  // Emit client-side event to initialize the core
-  alt.emitClient(player, 'core:init');
 }
 
 /**
@@ -93,30 +117,173 @@ function handleResourceStop(resourceName: string): void {
 }
 
 /**
- * Handle console commands
- * @param command The command that was entered
- * @param args The arguments for the command
+ * Register the console commands of the core resource
  */
-function handleConsoleCommand(command: string, ...args: string[]): void {
-  // Handle core-specific commands
-  switch (command.toLowerCase()) {
-    case 'core:version':
-      alt.log(`~lb~[CORE]~w~ Version: ${CORE_VERSION}`);
-      break;
-
-    case 'core:plugins':
-      // This would list all registered plugins
-      alt.log(`~lb~[CORE]~w~ Plugins: TODO`);
-      break;
-
-    case 'core:reload':
-      if (args.length > 0) {
-        reloadPlugin(args[0]);
+function registerCoreCommands(): void {
+  const commands = createCommandAPI();
+
+  commands.register({
+    name: 'core:version',
+    description: 'Show the core version',
+    sources: ['console'],
+    handler: () => alt.log(`~lb~[CORE]~w~ Version: ${CORE_VERSION}`),
+  });
+
+  commands.register({
+    name: 'core:plugins',
+    description: 'List every plugin and where it is in its lifecycle',
+    sources: ['console'],
+    handler: () => {
+      const statuses = getPluginStatuses();
+      alt.log(`~lb~[CORE]~w~ Plugins (${statuses.length}):`);
+
+      for (const { id, version, status, reason } of statuses) {
+        let color = '~ly~';
+        if (status === 'active') {
+          color = '~lg~';
+        } else if (status === 'failed') {
+          color = '~lr~';
+        }
+        alt.log(
+          `  ${id} v${version}: ${color}${status}~w~` +
+            (reason ? ` (${reason})` : '')
+        );
+      }
+    },
+  });
+
+  commands.register({
+    name: 'core:enable',
+    description: 'Turn a disabled plugin back on',
+    args: [{ name: 'pluginId', type: 'string' }],
+    sources: ['console'],
+    handler: async (_, { pluginId }) => {
+      try {
+        const change = await enablePlugin(pluginId);
+
+        // Players load the client side of the plugins that came back
+        const clientPlugins = getClientPlugins().map(({ id }) => id);
+        for (const id of [pluginId, ...change.affected]) {
+          if (clientPlugins.includes(id)) {
+            pushClientReload(id);
+          }
+        }
+
+        logStateChange(pluginId, 'enabled', change);
+      } catch (error) {
+        alt.logError(`[CORE] ${error instanceof Error ? error.message : error}`);
+      }
+    },
+  });
+
+  commands.register({
+    name: 'core:disable',
+    description: 'Turn a plugin off, also after restarts',
+    args: [{ name: 'pluginId', type: 'string' }],
+    sources: ['console'],
+    handler: async (_, { pluginId }) => {
+      try {
+        const change = await disablePlugin(pluginId);
+
+        // Players unload the client side of the plugins that went away,
+        // plugins that only stop after a restart keep running until then
+        if (!change.restartRequired) {
+          const clientPlugins = getClientPlugins().map(({ id }) => id);
+          for (const id of new Set([pluginId, ...change.affected])) {
+            if (!clientPlugins.includes(id)) {
+              pushClientUnload(id);
+            }
+          }
+        }
+
+        logStateChange(pluginId, 'disabled', change);
+      } catch (error) {
+        alt.logError(`[CORE] ${error instanceof Error ? error.message : error}`);
+      }
+    },
+  });
+
+  commands.register({
+    name: 'core:grant',
+    description: 'Give a player a role',
+    args: [
+      { name: 'player', type: 'player' },
+      { name: 'role', type: 'string' },
+    ],
+    sources: ['console'],
+    handler: (_, { player, role }) => {
+      try {
+        grantRole(player, role);
+        alt.log(`~lg~[CORE]~w~ ${player.name} now has role ${role}`);
+      } catch (error) {
+        alt.logError(`[CORE] ${error instanceof Error ? error.message : error}`);
+      }
+    },
+  });
+
+  commands.register({
+    name: 'core:revoke',
+    description: 'Take a role from a player',
+    args: [
+      { name: 'player', type: 'player' },
+      { name: 'role', type: 'string' },
+    ],
+    sources: ['console'],
+    handler: (_, { player, role }) => {
+      if (revokeRole(player, role)) {
+        alt.log(`~lg~[CORE]~w~ ${player.name} no longer has role ${role}`);
       } else {
-        alt.log('~lr~[CORE]~w~ Usage: core:reload <pluginId>');
+        alt.log(`~ly~[CORE]~w~ ${player.name} does not have role ${role}`);
       }
-      break;
+    },
+  });
+
+  commands.register({
+    name: 'core:roles',
+    description: 'Show the roles of a player',
+    args: [{ name: 'player', type: 'player' }],
+    sources: ['console'],
+    handler: (_, { player }) => {
+      alt.log(
+        `~lb~[CORE]~w~ Roles of ${player.name}: ${getRoles(player).join(', ')}`
+      );
+    },
+  });
+
+  commands.register({
+    name: 'core:reload',
+    description: 'Reload a plugin',
+    args: [{ name: 'pluginId', type: 'string' }],
+    sources: ['console'],
+    handler: (_, { pluginId }) => reloadPlugin(pluginId),
+  });
+}
+
+/**
+ * Log the outcome of enabling or disabling a plugin
+ * @param pluginId The ID of the plugin
+ * @param state What the plugin was turned into
+ * @param change The outcome
+ */
+function logStateChange(
+  pluginId: string,
+  state: 'enabled' | 'disabled',
+  { affected, restartRequired }: PluginStateChange
+): void {
+  if (restartRequired) {
+    alt.log(
+      `~ly~[CORE]~w~ Plugin ${pluginId} is ${state} after the next restart, it or a dependent does not support hot reloading`
+    );
+    return;
   }
+
+  const others = affected.filter((id) => id !== pluginId);
+  alt.log(
+    `~lg~[CORE]~w~ Plugin ${pluginId} is ${state}` +
+      (others.length > 0
+        ? `, along with its dependents: ${others.join(', ')}`
+        : '')
+  );
 }
 
 // Initialize the core resource
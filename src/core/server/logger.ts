@@ -0,0 +1,428 @@
+/**
+ * Logging for the core resource
+ * Every plugin gets a logger tagged with its ID. Entries have a level and
+ * context fields, go to the console and optionally to rotating JSON-lines
+ * files, and can be filtered per plugin at runtime
+ */
+
+import * as alt from 'alt-server';
+import * as fs from 'fs';
+import { once } from 'events';
+import * as path from 'path';
+import { LogContext, LogLevel, Logger } from '../shared/interfaces.js';
+import { createCommandAPI } from './commands.js';
+
+// Levels from least to most severe
+const LOG_LEVELS: readonly LogLevel[] = ['debug', 'info', 'warn', 'error'];
+
+// Console color of each level
+const LEVEL_COLORS: Record<LogLevel, string> = {
+  debug: '~lc~',
+  info: '~lg~',
+  warn: '~ly~',
+  error: '~lr~',
+};
+
+// Level of every plugin without its own, overridable with CORE_LOG_LEVEL
+let defaultLevel: LogLevel = isLogLevel(process.env.CORE_LOG_LEVEL)
+  ? process.env.CORE_LOG_LEVEL
+  : 'info';
+
+// Levels set with core:loglevel, by plugin ID
+const levels = new Map<string, LogLevel>();
+
+// Directory of the log files, files are only written if it is set
+const LOG_DIR = process.env.CORE_LOG_DIR
+  ? path.resolve(process.cwd(), process.env.CORE_LOG_DIR)
+  : null;
+
+// File entries are written to, rotated files get a number
+const LOG_FILE = 'server.jsonl';
+
+// Size at which the log file is rotated, in megabytes
+const MAX_FILE_SIZE =
+  (Number(process.env.CORE_LOG_MAX_SIZE_MB) || 10) * 1024 * 1024;
+
+// How many rotated files are kept
+const MAX_FILES = Number(process.env.CORE_LOG_MAX_FILES) || 5;
+
+// Size of the current log file, read when the file is opened
+let fileSize = 0;
+
+// Append stream of the current log file, opened by the first entry written
+let fileStream: fs.WriteStream | null = null;
+
+// Lines waiting for the stream, written in order by writePendingLines
+const pendingLines: string[] = [];
+
+// Whether pending lines are being written
+let writing = false;
+
+// Whether writing failed, files are not written again until a restart
+let fileFailed = false;
+
+/**
+ * Initialize logging
+ * Registers the console command that changes log levels
+ */
+export function initLogger(): void {
+  if (process.env.CORE_LOG_LEVEL && !isLogLevel(process.env.CORE_LOG_LEVEL)) {
+    alt.logError(
+      `[CORE] Unknown CORE_LOG_LEVEL ${process.env.CORE_LOG_LEVEL}, using ${defaultLevel}`
+    );
+  }
+
+  if (LOG_DIR) {
+    alt.log(`~lb~[CORE]~w~ Writing plugin logs to ${LOG_DIR}`);
+    alt.on('resourceStop', () => void closeLogFile());
+  }
+
+  const commands = createCommandAPI();
+  commands.register({
+    name: 'core:loglevel',
+    description: 'Show or change the log level of a plugin',
+    args: [
+      { name: 'plugin', type: 'string', optional: true },
+      {
+        name: 'level',
+        type: 'enum',
+        values: [...LOG_LEVELS, 'reset'],
+        optional: true,
+      },
+    ],
+    sources: ['console'],
+    handler: (context, { plugin, level }) => {
+      if (!plugin) {
+        context.reply(`~lb~[CORE]~w~ Default log level: ${defaultLevel}`);
+        for (const [id, pluginLevel] of levels) {
+          context.reply(`  ${id}: ${pluginLevel}`);
+        }
+        return;
+      }
+
+      if (!level) {
+        context.reply(
+          `~lb~[CORE]~w~ Log level of ${plugin}: ${getLevel(plugin)}`
+        );
+        return;
+      }
+
+      if (plugin === '*') {
+        if (level !== 'reset') {
+          defaultLevel = level;
+        }
+        context.reply(`~lb~[CORE]~w~ Default log level: ${defaultLevel}`);
+      } else if (level === 'reset') {
+        levels.delete(plugin);
+        context.reply(
+          `~lb~[CORE]~w~ Log level of ${plugin} reset to ${defaultLevel}`
+        );
+      } else {
+        levels.set(plugin, level);
+        context.reply(`~lb~[CORE]~w~ Log level of ${plugin}: ${level}`);
+      }
+    },
+  });
+}
+
+/**
+ * Create the logger of a plugin
+ * @param owner ID of the plugin, or 'core'
+ * @param context Fields added to every entry
+ * @returns The logger
+ */
+export function createLogger(owner: string, context: LogContext = {}): Logger {
+  const write =
+    (level: LogLevel) =>
+    (message: string, entryContext?: LogContext): void =>
+      writeEntry(owner, level, message, { ...context, ...entryContext });
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error'),
+    child: (childContext) =>
+      createLogger(owner, { ...context, ...childContext }),
+  };
+}
+
+/**
+ * Write a log entry, unless it is below the level of its plugin
+ * @param owner ID of the plugin, or 'core'
+ * @param level The level of the entry
+ * @param message The message
+ * @param context The context fields
+ */
+function writeEntry(
+  owner: string,
+  level: LogLevel,
+  message: string,
+  context: LogContext
+): void {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(getLevel(owner))) {
+    return;
+  }
+
+  const fields = Object.entries(context)
+    .map(([key, value]) => ` ${key}=${formatValue(value)}`)
+    .join('');
+
+  if (level === 'error') {
+    alt.logError(`[${owner}] ${message}${fields}`);
+  } else {
+    alt.log(`${LEVEL_COLORS[level]}[${owner}]~w~ ${message}${fields}`);
+  }
+
+  if (LOG_DIR && !fileFailed) {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      plugin: owner,
+      message,
+    };
+
+    // Context that cannot be written as JSON is written as console text
+    const line =
+      safeStringify(fields ? { ...entry, context } : entry) ??
+      (JSON.stringify({
+        ...entry,
+        context: Object.fromEntries(
+          Object.entries(context).map(([key, value]) => [
+            key,
+            formatValue(value),
+          ])
+        ),
+      }) as string);
+    writeToFile(line + '\n');
+  }
+}
+
+/**
+ * Get the level of a plugin
+ * @param owner ID of the plugin, or 'core'
+ * @returns The level set for the plugin, or the default level
+ */
+function getLevel(owner: string): LogLevel {
+  return levels.get(owner) ?? defaultLevel;
+}
+
+/**
+ * Queue a line for the log file
+ * Lines are written in the background so logging never waits for the disk
+ * @param line The line
+ */
+function writeToFile(line: string): void {
+  pendingLines.push(line);
+  if (!writing) {
+    writing = true;
+    void writePendingLines().finally(() => {
+      writing = false;
+    });
+  }
+}
+
+/**
+ * Write the queued lines to the log file, rotating it when it is full
+ */
+async function writePendingLines(): Promise<void> {
+  if (!LOG_DIR) {
+    return;
+  }
+
+  const file = path.join(LOG_DIR, LOG_FILE);
+
+  try {
+    while (pendingLines.length > 0 && !fileFailed) {
+      const line = pendingLines.shift() as string;
+      const size = Buffer.byteLength(line);
+
+      if (fileStream && fileSize > 0 && fileSize + size > MAX_FILE_SIZE) {
+        await closeStream(fileStream);
+        fileStream = null;
+        await rotateFiles(LOG_DIR);
+      }
+
+      if (!fileStream) {
+        fileStream = await openStream(file);
+      }
+
+      // Wait only when the stream asks to, it buffers the lines in between
+      if (!fileStream.write(line)) {
+        await once(fileStream, 'drain');
+      }
+      fileSize += size;
+    }
+  } catch (error) {
+    stopWritingFiles(file, error);
+  }
+}
+
+/**
+ * Open an append stream to the log file
+ * @param file Path of the log file
+ * @returns The stream
+ */
+async function openStream(file: string): Promise<fs.WriteStream> {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  fileSize = await fs.promises.stat(file).then(
+    (stats) => stats.size,
+    () => 0
+  );
+
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  stream.on('error', (error) => stopWritingFiles(file, error));
+  return stream;
+}
+
+/**
+ * Close a stream once the lines it holds are written
+ * @param stream The stream
+ */
+async function closeStream(stream: fs.WriteStream): Promise<void> {
+  if (!stream.closed) {
+    stream.end();
+    await once(stream, 'close');
+  }
+}
+
+/**
+ * Write the queued lines and close the log file
+ */
+async function closeLogFile(): Promise<void> {
+  while (writing) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  if (fileStream) {
+    const stream = fileStream;
+    fileStream = null;
+    await closeStream(stream).catch(() => undefined);
+  }
+}
+
+/**
+ * Give up on the log file after an error, until a restart
+ * @param file Path of the log file
+ * @param error The error
+ */
+function stopWritingFiles(file: string, error: unknown): void {
+  if (fileFailed) {
+    return;
+  }
+  fileFailed = true;
+  pendingLines.length = 0;
+  fileStream?.destroy();
+  fileStream = null;
+  alt.logError(
+    `[CORE] Could not write to ${file}, logging to files stops: ${error}`
+  );
+}
+
+/**
+ * Rotate the log files
+ * server.jsonl becomes server.1.jsonl, server.1.jsonl becomes
+ * server.2.jsonl and so on, the oldest file is removed
+ * @param directory The directory of the log files
+ */
+async function rotateFiles(directory: string): Promise<void> {
+  const { name, ext } = path.parse(LOG_FILE);
+  const rotated = (index: number): string =>
+    path.join(directory, `${name}.${index}${ext}`);
+
+  await fs.promises.rm(rotated(MAX_FILES), { force: true });
+  for (let index = MAX_FILES - 1; index >= 1; index--) {
+    await fs.promises
+      .rename(rotated(index), rotated(index + 1))
+      .catch((error: NodeJS.ErrnoException) => {
+        // Fewer files than kept so far
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      });
+  }
+  await fs.promises.rename(path.join(directory, LOG_FILE), rotated(1));
+}
+
+/**
+ * Format a context value for the console
+ * @param value The value
+ * @returns Strings as they are, BigInts and errors as text, the rest as JSON
+ */
+function formatValue(value: unknown): string {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (typeof value === 'bigint' || value instanceof Error) {
+    return safeString(value);
+  }
+  return safeStringify(value) ?? safeString(value);
+}
+
+/**
+ * Convert a value to JSON without throwing, logging must never fail
+ * @param value The value
+ * @returns The JSON, or undefined if the value cannot be converted
+ */
+function safeStringify(value: unknown): string | undefined {
+  try {
+    return JSON.stringify(value, createReplacer());
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Convert a value to a string without throwing
+ * @param value The value
+ * @returns The string, or the value's type tag if it cannot be converted
+ */
+function safeString(value: unknown): string {
+  try {
+    return String(value);
+  } catch {
+    return Object.prototype.toString.call(value);
+  }
+}
+
+/**
+ * Create a JSON replacer for log values
+ * Keeps the message and stack of errors, writes BigInts as strings and
+ * circular references as [Circular]
+ */
+function createReplacer(): (
+  this: unknown,
+  key: string,
+  value: unknown
+) => unknown {
+  // Objects from the root down to the one being converted
+  const ancestors: unknown[] = [];
+
+  return function (this: unknown, _key: string, value: unknown): unknown {
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    if (value instanceof Error) {
+      value = { name: value.name, message: value.message, stack: value.stack };
+    }
+    if (typeof value !== 'object' || value === null) {
+      return value;
+    }
+
+    // The replacer is called with the object holding the value as this
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+      ancestors.pop();
+    }
+    if (ancestors.includes(value)) {
+      return '[Circular]';
+    }
+    ancestors.push(value);
+    return value;
+  };
+}
+
+/**
+ * Check whether a string is a log level
+ */
+function isLogLevel(value: unknown): value is LogLevel {
+  return LOG_LEVELS.includes(value as LogLevel);
+}
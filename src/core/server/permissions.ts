@@ -0,0 +1,304 @@
+/**
+ * Permissions for the core resource
+ * Players have roles, roles have permissions and can inherit other roles, and
+ * players can be granted single permissions. Roles and grants are stored in a
+ * JSON file so they survive restarts
+ */
+
+import * as alt from 'alt-server';
+import * as fs from 'fs';
+import * as path from 'path';
+import { PermissionAPI, PermissionRole } from '../shared/interfaces.js';
+import { PluginScope } from './plugin-scope.js';
+
+/**
+ * Roles and permissions granted to one player
+ */
+interface PlayerGrants {
+  /** Name of the player when they were last granted something, for reading the file */
+  name: string;
+  roles: string[];
+  permissions: string[];
+}
+
+/**
+ * Contents of the permissions file
+ */
+interface PermissionData {
+  /** Role every player has */
+  defaultRole: string;
+
+  /** Roles by name */
+  roles: Record<string, PermissionRole>;
+
+  /** Grants by alt:V Cloud ID */
+  players: Record<string, PlayerGrants>;
+}
+
+// File the roles and grants are stored in, overridable with CORE_PERMISSIONS_FILE
+const PERMISSIONS_FILE =
+  process.env.CORE_PERMISSIONS_FILE ||
+  path.join(process.cwd(), 'data', 'permissions.json');
+
+// Roles written to a new permissions file
+const DEFAULT_DATA: PermissionData = {
+  defaultRole: 'user',
+  roles: {
+    user: { permissions: [] },
+    moderator: { inherits: ['user'], permissions: [] },
+    admin: { inherits: ['moderator'], permissions: ['*'] },
+  },
+  players: {},
+};
+
+let data: PermissionData = structuredClone(DEFAULT_DATA);
+
+// Whether the file could not be read, it is not overwritten until it is fixed
+let readOnly = false;
+
+/**
+ * Initialize permissions
+ * Reads the permissions file, or creates it with the default roles
+ */
+export function initPermissions(): void {
+  if (!fs.existsSync(PERMISSIONS_FILE)) {
+    save();
+    alt.log(`~lb~[CORE]~w~ Created ${PERMISSIONS_FILE} with the default roles`);
+    return;
+  }
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(PERMISSIONS_FILE, 'utf8'));
+    data = {
+      defaultRole: stored.defaultRole ?? DEFAULT_DATA.defaultRole,
+      roles: stored.roles ?? {},
+      players: stored.players ?? {},
+    };
+  } catch (error) {
+    readOnly = true;
+    alt.logError(
+      `[CORE] Could not read ${PERMISSIONS_FILE}, using the default roles and not saving changes: ${error}`
+    );
+  }
+}
+
+/**
+ * Create the permission API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @returns The permission API
+ */
+export function createPermissionAPI(scope?: PluginScope): PermissionAPI {
+  return {
+    has: hasPermission,
+    getRoles,
+    grantRole,
+    revokeRole,
+    grantPermission: (player, permission) => {
+      const grants = getGrants(player, true);
+      if (!grants.permissions.includes(permission)) {
+        grants.permissions.push(permission);
+        save();
+      }
+    },
+    revokePermission: (player, permission) => {
+      const grants = getGrants(player, false);
+      const index = grants?.permissions.indexOf(permission) ?? -1;
+      if (!grants || index === -1) {
+        return false;
+      }
+
+      grants.permissions.splice(index, 1);
+      save();
+      return true;
+    },
+    onClient: (eventName, permission, handler) => {
+      const listener = (player: alt.Player, ...args: any[]): void => {
+        if (!hasPermission(player, permission)) {
+          alt.log(
+            `~ly~[CORE]~w~ ${player.name} sent ${eventName} without permission ${permission}`
+          );
+          return;
+        }
+
+        handler(player, ...args);
+      };
+      alt.onClient(eventName, listener);
+
+      const remove = (): void => alt.offClient(eventName, listener);
+      scope?.addDisposer(remove);
+
+      return remove;
+    },
+  };
+}
+
+/**
+ * Check whether a player has a permission
+ * @param player The player
+ * @param permission The permission, e.g. 'example.vehicle'
+ * @returns True if a role or a direct grant of the player covers the permission
+ */
+export function hasPermission(player: alt.Player, permission: string): boolean {
+  const granted = [
+    ...(getGrants(player, false)?.permissions ?? []),
+    ...getRoles(player).flatMap((role) => getRolePermissions(role)),
+  ];
+
+  return granted.some((pattern) => matchesPermission(pattern, permission));
+}
+
+/**
+ * Get the roles of a player
+ * @param player The player
+ * @returns The default role followed by the roles the player was granted
+ */
+export function getRoles(player: alt.Player): string[] {
+  const roles = getGrants(player, false)?.roles ?? [];
+  return [...new Set([data.defaultRole, ...roles])];
+}
+
+/**
+ * Give a player a role
+ * @param player The player
+ * @param role The name of the role
+ */
+export function grantRole(player: alt.Player, role: string): void {
+  if (!data.roles[role]) {
+    throw new Error(
+      `Role ${role} does not exist, roles are ${Object.keys(data.roles).join(', ')}`
+    );
+  }
+
+  const grants = getGrants(player, true);
+  if (!grants.roles.includes(role)) {
+    grants.roles.push(role);
+    save();
+  }
+}
+
+/**
+ * Take a role from a player
+ * @param player The player
+ * @param role The name of the role
+ * @returns False if the player did not have the role
+ */
+export function revokeRole(player: alt.Player, role: string): boolean {
+  const grants = getGrants(player, false);
+  const index = grants?.roles.indexOf(role) ?? -1;
+  if (!grants || index === -1) {
+    return false;
+  }
+
+  grants.roles.splice(index, 1);
+  save();
+  return true;
+}
+
+/**
+ * Get the grants of a player, stored by their alt:V Cloud ID
+ * Players that are not signed in to alt:V Cloud have none and cannot get any
+ * @param player The player
+ * @param create Whether to add an entry for a player that has none, throws
+ *   if the player is not signed in
+ * @returns The grants, or undefined if the player has none and create is false
+ */
+function getGrants(player: alt.Player, create: true): PlayerGrants;
+function getGrants(
+  player: alt.Player,
+  create: false
+): PlayerGrants | undefined;
+function getGrants(
+  player: alt.Player,
+  create: boolean
+): PlayerGrants | undefined {
+  // Social IDs are reported by the client and can be faked, cloud IDs are
+  // verified by alt:V
+  const key =
+    player.cloudAuthResult === alt.CloudAuthResult.Success
+      ? player.cloudID
+      : null;
+  if (!key) {
+    if (create) {
+      throw new Error(
+        `${player.name} is not signed in to alt:V Cloud, only signed in players can be granted roles and permissions`
+      );
+    }
+    return undefined;
+  }
+
+  if (!data.players[key] && create) {
+    data.players[key] = { name: player.name, roles: [], permissions: [] };
+  }
+
+  const grants = data.players[key];
+  if (grants && create) {
+    grants.name = player.name;
+  }
+
+  return grants;
+}
+
+/**
+ * Get every permission of a role, including inherited ones
+ * @param role The name of the role
+ * @param visited Roles already followed, to stop at inheritance cycles
+ * @returns The permissions
+ */
+function getRolePermissions(
+  role: string,
+  visited = new Set<string>()
+): string[] {
+  const definition = data.roles[role];
+  if (!definition || visited.has(role)) {
+    return [];
+  }
+  visited.add(role);
+
+  return [
+    ...(definition.permissions ?? []),
+    ...(definition.inherits ?? []).flatMap((parent) =>
+      getRolePermissions(parent, visited)
+    ),
+  ];
+}
+
+/**
+ * Check whether a granted permission covers a permission
+ * '*' covers everything, 'example.*' covers 'example.vehicle' and everything
+ * else under 'example'
+ * @param pattern The granted permission
+ * @param permission The permission that is checked
+ * @returns True if the pattern covers the permission
+ */
+function matchesPermission(pattern: string, permission: string): boolean {
+  if (pattern === '*' || pattern === permission) {
+    return true;
+  }
+
+  return (
+    pattern.endsWith('.*') && permission.startsWith(pattern.slice(0, -1))
+  );
+}
+
+/**
+ * Write the roles and grants to the permissions file
+ */
+function save(): void {
+  if (readOnly) {
+    alt.logError(
+      `[CORE] Not saving permissions, fix ${PERMISSIONS_FILE} and restart the server`
+    );
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(PERMISSIONS_FILE), { recursive: true });
+
+    // Write a temporary file first so a crash never leaves half a file behind
+    const temporaryFile = `${PERMISSIONS_FILE}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify(data, null, 2));
+    fs.renameSync(temporaryFile, PERMISSIONS_FILE);
+  } catch (error) {
+    alt.logError(`[CORE] Could not save permissions: ${error}`);
+  }
+}
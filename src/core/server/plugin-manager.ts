@@ -6,95 +6,237 @@
 import * as alt from 'alt-server';
 import * as fs from 'fs';
 import * as path from 'path';
+import { pathToFileURL } from 'url';
 import {
   PluginMetadata,
   PluginLifecycle,
   CoreAPI,
+  ClientPluginInfo,
+  CoreEventArgs,
+  CoreService,
+  PluginServices,
 } from '../shared/interfaces.js';
+import { createEventBus } from '../shared/event-bus.js';
+import {
+  CORE_PLUGIN_ID,
+  formatDiagnostic,
+  getDependencyIds,
+  parseDependency,
+  resolveLoadOrder,
+} from './dependency-resolver.js';
+
+import {
+  PLUGIN_SCOPE_KEY,
+  PluginScope,
+  createPluginScope,
+} from './plugin-scope.js';
+import { createCommandAPI } from './commands.js';
+import { createConfigAPI } from './config.js';
+import { createDatabaseAPI } from './database.js';
+import { createLogger } from './logger.js';
+import { createPermissionAPI } from './permissions.js';
+import { createRpcAPI } from './rpc.js';
+import { createSchedulerAPI } from './scheduler.js';
+import { createSessionAPI } from './sessions.js';
+import {
+  getPluginServices,
+  getService,
+  provideServices,
+  removeServices,
+  waitForService,
+} from './service-registry.js';
+import { prompt } from './ui.js';
+
+/**
+ * Where a registered plugin is in its lifecycle
+ * A plugin is loading until its onLoad hook finished, and unloading until its
+ * onUnload hook finished
+ */
+type PluginState = 'loading' | 'active' | 'failed' | 'unloading';
+
+/**
+ * A plugin that registered itself with the core
+ */
+interface RegisteredPlugin {
+  metadata: PluginMetadata;
+  lifecycle: PluginLifecycle;
+  scope: PluginScope;
+  state: PluginState;
+
+  /** Resolves once the onLoad hook finished, with whether it succeeded */
+  ready: Promise<LoadResult>;
+}
 
 // Map of registered plugins
-const plugins = new Map<
-  string,
-  {
-    metadata: PluginMetadata;
-    lifecycle: PluginLifecycle;
-    api: any; // Plugin-specific API
-  }
->();
+const plugins = new Map<string, RegisteredPlugin>();
+
+// Registration made in each plugin scope, kept when a failed plugin is removed
+const registrations = new WeakMap<PluginScope, RegisteredPlugin>();
 
 // Event bus for inter-plugin communication
-const eventHandlers = new Map<string, Array<(...args: any[]) => void>>();
+const eventBus = createEventBus((eventName, error) => {
+  alt.logError(`[CORE] Error in event handler for ${eventName}: ${error}`);
+});
+
+// Core API used by code that is not running inside a plugin
+let rootAPI: CoreAPI;
+
+// IDs of the plugins that can be loaded, in dependency order
+const loadOrder: string[] = [];
+
+// Metadata of every plugin as written by the build from its resource.toml
+const manifests = new Map<string, PluginMetadata>();
+
+// Outcome of the last attempt to load every plugin
+const loadResults = new Map<string, LoadResult>();
+
+// Bundles used when the manifest does not name them
+const DEFAULT_MAIN = 'server/index.js';
+const DEFAULT_CLIENT_MAIN = 'client/index.js';
+
+// File the IDs of disabled plugins are stored in, overridable with
+// CORE_PLUGIN_STATE_FILE
+const PLUGIN_STATE_FILE =
+  process.env.CORE_PLUGIN_STATE_FILE ||
+  path.join(process.cwd(), 'data', 'plugins.json');
+
+// Plugins turned off with core:disable, they are not loaded until enabled
+const disabledPlugins = new Set<string>();
+
+// Tail of the queue that loads, unloads and reloads run on one at a time.
+// A plugin reads the global core API while its module is evaluated, so two
+// imports must never overlap
+let pluginQueue: Promise<unknown> = Promise.resolve();
+
+// How long lifecycle hooks may take, overridable with CORE_HOOK_TIMEOUT and
+// per plugin with hook-timeout in its resource.toml
+const HOOK_TIMEOUT = Number(process.env.CORE_HOOK_TIMEOUT) || 10000;
+
+// Directory the compiled plugins are deployed to, overridable with
+// CORE_PLUGINS_DIR. We need to use a relative path since
+// alt.getResourcePath is not available
+const PLUGINS_DIR = process.env.CORE_PLUGINS_DIR
+  ? path.resolve(process.cwd(), process.env.CORE_PLUGINS_DIR)
+  : path.join(process.cwd(), 'resources', 'main', 'core', 'plugins');
 
 /**
  * Initialize the plugin manager
  * This is called when the core resource starts
+ * @returns A promise that resolves once every plugin has been loaded
  */
-export function initPluginManager(): void {
+export function initPluginManager(): Promise<void> {
   alt.log('~lb~[CORE]~w~ Initializing plugin manager');
 
   // Create the core API that will be exposed to plugins
+  rootAPI = createCoreAPI();
+
+  // Expose the core API globally so plugins can access it
+  (global as any).core = rootAPI;
+
+  // Read which plugins are disabled before loading any
+  readPluginState();
+
+  // Auto-load all plugins from the plugins directory
+  const loading = runExclusive(loadAllPlugins);
+
+  alt.log('~lg~[CORE]~w~ Plugin manager initialized');
+  return loading;
+}
+
+/**
+ * Create a core API object
+ * Plugins get an API bound to their scope so everything they register through
+ * it is removed when they unload
+ * @param scope The scope of the plugin the API is for, if any
+ * @returns The core API
+ */
+function createCoreAPI(scope?: PluginScope): CoreAPI {
+  const logger = createLogger(scope?.pluginId ?? 'core');
   const coreAPI: CoreAPI = {
-    registerPlugin,
+    registerPlugin: (metadata, lifecycle, services) =>
+      registerPlugin(metadata, lifecycle, services, scope),
     getPlugin,
+    getService: <K extends string>(name: K) =>
+      getService(name) as CoreService<K> | null,
+    waitForService: <K extends string>(name: K, timeoutMs?: number) =>
+      waitForService(name, timeoutMs) as Promise<CoreService<K>>,
     isPluginLoaded,
-    log: (message: string, level: 'info' | 'warn' | 'error' = 'info') => {
-      switch (level) {
-        case 'info':
-          alt.log(`~lg~[PLUGIN]~w~ ${message}`);
-          break;
-        case 'warn':
-          alt.log(`~ly~[PLUGIN]~w~ ${message}`);
-          break;
-        case 'error':
-          alt.logError(`[PLUGIN] ${message}`);
-          break;
-      }
-    },
-    on: (eventName: string, handler: (...args: any[]) => void) => {
-      if (!eventHandlers.has(eventName)) {
-        eventHandlers.set(eventName, []);
-      }
-      eventHandlers.get(eventName)?.push(handler);
-    },
-    emit: (eventName: string, ...args: any[]) => {
-      const handlers = eventHandlers.get(eventName) || [];
-      for (const handler of handlers) {
-        try {
-          handler(...args);
-        } catch (error) {
-          alt.logError(
-            `[CORE] Error in event handler for ${eventName}: ${error}`
-          );
-        }
-      }
-    },
+    log: (message, level = 'info') => logger[level](message),
+    logger,
+    on: (eventName, handler, options) =>
+      eventBus.on(eventName, handler, options, scope),
+    once: (eventName, handler, options) =>
+      eventBus.once(eventName, handler, options, scope),
+    off: (eventName, handler) => eventBus.off(eventName, handler),
+    emit: (eventName, ...args) => eventBus.emit(eventName, ...args),
+    emitAsync: (eventName, ...args) => eventBus.emitAsync(eventName, ...args),
+    rpc: createRpcAPI(scope),
+    prompt,
+    commands: createCommandAPI(scope),
+    permissions: createPermissionAPI(scope),
+    database: createDatabaseAPI(scope),
+    config: createConfigAPI(scope, {
+      directory: scope && path.join(getPluginsDir(), scope.pluginId),
+      onChange: (changed) =>
+        scope && handleConfigChange(scope.pluginId, changed),
+    }),
+    scheduler: createSchedulerAPI(scope),
+    sessions: createSessionAPI(scope),
   };
 
-  // Expose the core API globally so plugins can access it
-  (global as any).core = coreAPI;
+  // Remove the plugin's event handlers when it unloads
+  scope?.addDisposer(() => eventBus.removeOwner(scope));
 
-  // Auto-load all plugins from the plugins directory
-  loadAllPlugins();
+  // Let the alt-server shim bundled into the plugin find its scope
+  if (scope) {
+    Object.defineProperty(coreAPI, PLUGIN_SCOPE_KEY, { value: scope });
+  }
 
-  alt.log('~lg~[CORE]~w~ Plugin manager initialized');
+  return coreAPI;
+}
+
+/**
+ * Emit an event on the core event bus from the core itself
+ * @param eventName The name of the event
+ * @param args The arguments for the event
+ */
+export function emitCoreEvent<K extends string>(
+  eventName: K,
+  ...args: CoreEventArgs<K>
+): void {
+  eventBus.emit(eventName, ...args);
+}
+
+/**
+ * Run a plugin operation once the operations queued before it have finished
+ * Operations that load or unload plugins go through here, they must not call
+ * each other through it or they wait for themselves
+ * @param operation The operation
+ * @returns The result of the operation
+ */
+function runExclusive<T>(operation: () => Promise<T>): Promise<T> {
+  const result = pluginQueue.then(operation);
+  pluginQueue = result.catch(() => undefined);
+  return result;
+}
+
+/**
+ * Get the directory the compiled plugins are deployed to
+ */
+function getPluginsDir(): string {
+  return PLUGINS_DIR;
 }
 
 /**
  * Load all plugins from the plugins directory
+ * Plugins are imported one at a time in dependency order, each once the
+ * onLoad hooks of the plugins before it have finished
  */
-function loadAllPlugins(): void {
+async function loadAllPlugins(): Promise<void> {
   alt.log('~lb~[CORE]~w~ Loading all plugins');
 
   try {
-    // Get the plugins directory path
-    // We need to use a relative path since alt.getResourcePath is not available
-    const pluginsDir = path.join(
-      process.cwd(),
-      'resources',
-      'main',
-      'core',
-      'plugins'
-    );
+    const pluginsDir = getPluginsDir();
 
     // Check if the plugins directory exists
     if (!fs.existsSync(pluginsDir)) {
@@ -110,141 +252,489 @@ function loadAllPlugins(): void {
 
     alt.log(`~lb~[CORE]~w~ Found ${pluginDirs.length} plugins`);
 
-    // Load each plugin
+    // Sort the plugins so dependencies are imported before their dependents
     for (const pluginName of pluginDirs) {
-      loadPlugin(pluginName);
+      manifests.set(pluginName, readPluginMetadata(pluginName));
     }
+    const resolved = resolveLoadOrder([...manifests.values()]);
+    const { order, failed, skipped } = resolved;
 
-    alt.log(`~lg~[CORE]~w~ Loaded ${pluginDirs.length} plugins successfully`);
+    loadOrder.push(...order);
+    for (const [pluginName, reason] of failed) {
+      loadResults.set(pluginName, { status: 'failed', reason });
+    }
+    for (const [pluginName, reason] of skipped) {
+      loadResults.set(pluginName, { status: 'skipped', reason });
+    }
+
+    // Report every unresolved dependency at once
+    const diagnostic = formatDiagnostic(resolved);
+    if (diagnostic) {
+      alt.logError(`[CORE] ${diagnostic}`);
+    }
+
+    for (const warning of resolved.warnings) {
+      alt.log(`~ly~[CORE]~w~ ${warning}`);
+    }
+
+    // Load each plugin, skipping disabled plugins and dependents of plugins
+    // that are not loaded
+    let loaded = 0;
+    let failedCount = failed.size;
+    let skippedCount = skipped.size;
+    let disabledCount = 0;
+    const unavailable = new Set([...failed.keys(), ...skipped.keys()]);
+
+    for (const pluginName of order) {
+      if (disabledPlugins.has(pluginName)) {
+        alt.log(`~ly~[CORE]~w~ Plugin ${pluginName} is disabled`);
+        unavailable.add(pluginName);
+        loadResults.set(pluginName, { status: 'disabled' });
+        disabledCount++;
+        continue;
+      }
+
+      const blocker = findUnavailableDependency(pluginName, unavailable);
+      if (blocker) {
+        const reason = `Dependency ${blocker} ${
+          disabledPlugins.has(blocker) ? 'is disabled' : 'failed to load'
+        }`;
+        alt.log(`~ly~[CORE]~w~ Skipping plugin ${pluginName}: ${reason}`);
+        unavailable.add(pluginName);
+        loadResults.set(pluginName, { status: 'skipped', reason });
+        skippedCount++;
+        continue;
+      }
+
+      const result = await loadPlugin(pluginName);
+      loadResults.set(pluginName, result);
+
+      const { status } = result;
+      if (status === 'active') {
+        loaded++;
+      } else {
+        unavailable.add(pluginName);
+        if (status === 'failed') {
+          failedCount++;
+        } else {
+          skippedCount++;
+        }
+      }
+    }
+
+    alt.log(
+      `~lg~[CORE]~w~ Loaded ${loaded} plugins successfully (${failedCount} failed, ${skippedCount} skipped, ${disabledCount} disabled)`
+    );
   } catch (error) {
     alt.logError(`[CORE] Error loading plugins: ${error}`);
   }
 }
 
+/**
+ * Read the metadata of a plugin from its metadata.json file
+ * The build validates the manifest, missing fields only occur in bundles
+ * built by hand and fall back to defaults based on the plugin directory name
+ * @param pluginName The name of the plugin directory
+ * @returns The plugin metadata
+ */
+function readPluginMetadata(pluginName: string): PluginMetadata {
+  let metadata: PluginMetadata = {
+    id: pluginName,
+    name: pluginName,
+    version: '1.0.0',
+    author: 'Unknown',
+    description: '',
+    dependencies: [CORE_PLUGIN_ID],
+    supportsHotReload: true,
+    main: DEFAULT_MAIN,
+    clientMain: DEFAULT_CLIENT_MAIN,
+  };
+
+  // Try to load metadata from metadata.json if it exists
+  const metadataFile = path.join(getPluginsDir(), pluginName, 'metadata.json');
+  if (fs.existsSync(metadataFile)) {
+    try {
+      const metadataJson = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
+      metadata = { ...metadata, ...metadataJson };
+    } catch (error) {
+      alt.logError(
+        `[CORE] Error parsing metadata.json for ${pluginName}: ${error}`
+      );
+    }
+  }
+
+  // The directory name is what dependencies and the loader refer to
+  metadata.id = pluginName;
+
+  return metadata;
+}
+
+/**
+ * Find a dependency of a plugin that cannot be used
+ * @param pluginId The ID of the plugin
+ * @param unavailable IDs of the plugins that are not loaded
+ * @returns The ID of the first such dependency, or undefined if there is none
+ */
+function findUnavailableDependency(
+  pluginId: string,
+  unavailable: Set<string>
+): string | undefined {
+  return manifests
+    .get(pluginId)
+    ?.dependencies.map((spec) => parseDependency(spec).id)
+    .find((dependency) => unavailable.has(dependency));
+}
+
+/**
+ * Result of loading a plugin
+ */
+interface LoadResult {
+  /** The state of the plugin, or whether it was skipped or is disabled */
+  status: PluginState | 'skipped' | 'disabled';
+
+  /** Why the plugin was not loaded */
+  reason?: string;
+}
+
 /**
  * Load a specific plugin
+ * Importing the plugin's server entry makes it register itself using the core API
  * @param pluginName The name of the plugin to load
+ * @param cacheBust Whether to bypass the module cache to pick up a rebuilt bundle
+ * @returns The result of loading the plugin
  */
-function loadPlugin(pluginName: string): void {
+async function loadPlugin(
+  pluginName: string,
+  cacheBust = false
+): Promise<LoadResult> {
   alt.log(`~lb~[CORE]~w~ Loading plugin: ${pluginName}`);
 
+  // Get the plugin directory path
+  const pluginDir = path.join(getPluginsDir(), pluginName);
+
+  // Check if the plugin directory exists
+  if (!fs.existsSync(pluginDir)) {
+    alt.log(`~lr~[CORE]~w~ Plugin directory not found: ${pluginDir}`);
+    return { status: 'failed', reason: 'Plugin directory not found' };
+  }
+
+  // Check if the plugin has a server bundle
+  const main = manifests.get(pluginName)?.main ?? DEFAULT_MAIN;
+  const indexFile = path.join(pluginDir, main);
+  if (!fs.existsSync(indexFile)) {
+    alt.log(`~ly~[CORE]~w~ Plugin ${pluginName} has no ${main}, skipping`);
+    return { status: 'skipped', reason: `No ${main} file` };
+  }
+
+  // In ESM, we need to use dynamic import instead of require
+  // Convert the file path to a URL format, a query string forces a fresh import
+  const fileUrl = pathToFileURL(indexFile);
+  if (cacheBust) {
+    fileUrl.search = `?v=${Date.now()}`;
+  }
+  alt.log(`~lb~[CORE]~w~ Loading plugin from: ${fileUrl.href}`);
+
+  // The plugin reads the global core API while its module is evaluated,
+  // so expose an API bound to the plugin's scope for the duration of the import
+  const scope = createPluginScope(pluginName);
+  (global as any).core = createCoreAPI(scope);
+
   try {
-    // Get the plugin directory path
-    const pluginDir = path.join(
-      process.cwd(),
-      'resources',
-      'main',
-      'core',
-      'plugins',
-      pluginName
+    await import(fileUrl.href);
+  } catch (error) {
+    alt.logError(`[CORE] Error loading plugin ${pluginName}: ${error}`);
+    scope.dispose();
+    return { status: 'failed', reason: String(error) };
+  } finally {
+    (global as any).core = rootAPI;
+  }
+
+  // The plugin registers itself while its module is evaluated, its onLoad
+  // hook may already have failed and removed it
+  const plugin = registrations.get(scope);
+  if (!plugin) {
+    alt.logError(
+      `[CORE] Plugin ${pluginName} was imported but did not register itself`
     );
+    scope.dispose();
+    return { status: 'failed', reason: 'Plugin did not register itself' };
+  }
 
-    // Check if the plugin directory exists
-    if (!fs.existsSync(pluginDir)) {
-      alt.log(`~lr~[CORE]~w~ Plugin directory not found: ${pluginDir}`);
-      return;
+  // Plugins loaded after this one may use it once its onLoad hook finished
+  const result = await plugin.ready;
+  if (result.status === 'active') {
+    alt.log(`~lg~[CORE]~w~ Plugin ${pluginName} loaded successfully`);
+  }
+
+  return result;
+}
+
+/**
+ * Unload a plugin
+ * Waits for the plugin's onUnload hook and removes everything it registered
+ * @param pluginId The ID of the plugin to unload
+ */
+async function unloadPlugin(pluginId: string): Promise<void> {
+  const plugin = plugins.get(pluginId);
+  if (!plugin || plugin.state === 'unloading') {
+    return;
+  }
+
+  alt.log(`~lb~[CORE]~w~ Unloading plugin: ${pluginId}`);
+  await stopPlugin(plugin);
+
+  // The plugin may have registered again while it was unloading
+  if (plugins.get(pluginId) === plugin) {
+    plugins.delete(pluginId);
+  }
+}
+
+/**
+ * Unload every plugin, dependents before their dependencies
+ */
+export function unloadAllPlugins(): Promise<void> {
+  return runExclusive(async () => {
+    const loaded = [...plugins.keys()];
+    const order = [
+      ...loadOrder.filter((pluginId) => loaded.includes(pluginId)),
+      ...loaded.filter((pluginId) => !loadOrder.includes(pluginId)),
+    ];
+
+    for (const pluginId of order.reverse()) {
+      await unloadPlugin(pluginId);
     }
+  });
+}
 
-    // Check if the plugin has a server directory
-    const serverDir = path.join(pluginDir, 'server');
-    if (!fs.existsSync(serverDir)) {
-      alt.log(
-        `~ly~[CORE]~w~ Plugin ${pluginName} has no server directory, skipping`
-      );
-      return;
+/**
+ * Outcome of enabling or disabling a plugin
+ */
+export interface PluginStateChange {
+  /** Plugins that were loaded or unloaded: the plugin and its dependents */
+  affected: string[];
+
+  /** Whether the change waits for a restart, a plugin cannot be hot reloaded */
+  restartRequired: boolean;
+}
+
+/**
+ * Turn a plugin off and remember it across restarts
+ * Unloads the plugin and the plugins that depend on it, unless one of them
+ * cannot be hot reloaded
+ * @param pluginId The ID of the plugin
+ * @returns The plugins that were unloaded
+ */
+export function disablePlugin(
+  pluginId: string
+): Promise<PluginStateChange> {
+  return runExclusive(async () => {
+    if (!manifests.has(pluginId)) {
+      throw new Error(`Plugin ${pluginId} does not exist`);
+    }
+    if (disabledPlugins.has(pluginId)) {
+      throw new Error(`Plugin ${pluginId} is already disabled`);
+    }
+
+    disabledPlugins.add(pluginId);
+    savePluginState();
+
+    // Dependents go first, they use the plugin until they unload
+    const affected = getDependents(pluginId).filter((id) => plugins.has(id));
+    if (affected.some((id) => !supportsHotReload(id))) {
+      return { affected: [], restartRequired: true };
     }
 
-    // Check if the plugin has an index.js file
-    const indexFile = path.join(serverDir, 'index.js');
-    if (!fs.existsSync(indexFile)) {
-      alt.log(
-        `~lr~[CORE]~w~ Plugin ${pluginName} has no index.js file, skipping`
+    for (const id of [...affected].reverse()) {
+      await unloadPlugin(id);
+      loadResults.set(
+        id,
+        id === pluginId
+          ? { status: 'disabled' }
+          : { status: 'skipped', reason: `Dependency ${pluginId} is disabled` }
       );
-      return;
+    }
+    if (!affected.includes(pluginId)) {
+      loadResults.set(pluginId, { status: 'disabled' });
     }
 
-    // Load the plugin's metadata
-    let metadata: PluginMetadata = {
-      id: pluginName,
-      name: pluginName,
-      version: '1.0.0',
-      author: 'Unknown',
-      description: '',
-      dependencies: ['core'],
-      supportsHotReload: true,
-    };
+    return { affected, restartRequired: false };
+  });
+}
 
-    // Try to load metadata from metadata.json if it exists
-    const metadataFile = path.join(pluginDir, 'metadata.json');
-    if (fs.existsSync(metadataFile)) {
-      try {
-        const metadataJson = JSON.parse(fs.readFileSync(metadataFile, 'utf8'));
-        metadata = { ...metadata, ...metadataJson };
-      } catch (error) {
-        alt.logError(
-          `[CORE] Error parsing metadata.json for ${pluginName}: ${error}`
-        );
+/**
+ * Turn a disabled plugin back on
+ * Loads the plugin and the dependents that were skipped because of it
+ * @param pluginId The ID of the plugin
+ * @returns The plugins that were loaded
+ */
+export function enablePlugin(
+  pluginId: string
+): Promise<PluginStateChange> {
+  return runExclusive(async () => {
+    if (!manifests.has(pluginId)) {
+      throw new Error(`Plugin ${pluginId} does not exist`);
+    }
+    if (!disabledPlugins.has(pluginId)) {
+      throw new Error(`Plugin ${pluginId} is not disabled`);
+    }
+
+    disabledPlugins.delete(pluginId);
+    savePluginState();
+
+    // Plugins still loaded were waiting for a restart to be disabled
+    const candidates = getDependents(pluginId).filter(
+      (id) => !plugins.has(id) && !disabledPlugins.has(id)
+    );
+    if (candidates.some((id) => !supportsHotReload(id))) {
+      return { affected: [], restartRequired: true };
+    }
+
+    // Load in dependency order, skipping dependents that still miss a
+    // dependency
+    const affected: string[] = [];
+    const unavailable = new Set(
+      loadOrder.filter((id) => !plugins.has(id) && !candidates.includes(id))
+    );
+    for (const id of candidates) {
+      const blocker = findUnavailableDependency(id, unavailable);
+      const result: LoadResult = blocker
+        ? { status: 'skipped', reason: `Dependency ${blocker} is not loaded` }
+        : await loadPlugin(id, true);
+
+      loadResults.set(id, result);
+      if (result.status === 'active') {
+        affected.push(id);
+      } else {
+        unavailable.add(id);
       }
     }
 
-    // Import the plugin's index.js file
-    // This will trigger the plugin to register itself using the core API
-    try {
-      // In ESM, we need to use dynamic import instead of require
-      // Convert the file path to a URL format
-      const fileUrl = `file://${indexFile.replace(/\\/g, '/')}`;
+    return { affected, restartRequired: false };
+  });
+}
 
-      // Log the file URL for debugging
-      alt.log(`~lb~[CORE]~w~ Loading plugin from: ${fileUrl}`);
+/**
+ * Check whether a plugin was turned off with core:disable
+ * @param pluginId The ID of the plugin
+ * @returns True if the plugin is disabled
+ */
+export function isPluginDisabled(pluginId: string): boolean {
+  return disabledPlugins.has(pluginId);
+}
 
-      // We can't use dynamic import here because it's async
-      // Instead, we'll just log that the plugin was found and assume it will be loaded
-      // The plugin will need to register itself when it's loaded
-      alt.log(`~lg~[CORE]~w~ Plugin ${pluginName} found successfully`);
-    } catch (error) {
-      alt.logError(`[CORE] Error importing plugin ${pluginName}: ${error}`);
+/**
+ * Check whether a plugin can be reloaded in place
+ * The manifest is read again, a rebuild may have changed it
+ * @param pluginId The ID of the plugin
+ * @returns False if the plugin declares supportsHotReload: false
+ */
+export function supportsHotReload(pluginId: string): boolean {
+  return readPluginMetadata(pluginId).supportsHotReload !== false;
+}
+
+/**
+ * Get a plugin and every plugin that requires it, directly or not
+ * @param pluginId The ID of the plugin
+ * @returns The plugin IDs in load order
+ */
+function getDependents(pluginId: string): string[] {
+  // Load order puts dependencies first, so one pass finds indirect dependents
+  const dependents = new Set([pluginId]);
+  for (const id of loadOrder) {
+    const dependencies = manifests
+      .get(id)
+      ?.dependencies.map((spec) => parseDependency(spec).id);
+    if (dependencies?.some((dependency) => dependents.has(dependency))) {
+      dependents.add(id);
+    }
+  }
+
+  return loadOrder.filter((id) => dependents.has(id));
+}
+
+/**
+ * Read which plugins are disabled from the plugin state file
+ */
+function readPluginState(): void {
+  if (!fs.existsSync(PLUGIN_STATE_FILE)) {
+    return;
+  }
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(PLUGIN_STATE_FILE, 'utf8'));
+    for (const pluginId of stored.disabled ?? []) {
+      disabledPlugins.add(pluginId);
     }
   } catch (error) {
-    alt.logError(`[CORE] Error loading plugin ${pluginName}: ${error}`);
+    alt.logError(
+      `[CORE] Could not read ${PLUGIN_STATE_FILE}, every plugin is enabled: ${error}`
+    );
+  }
+}
+
+/**
+ * Write which plugins are disabled to the plugin state file
+ */
+function savePluginState(): void {
+  try {
+    fs.mkdirSync(path.dirname(PLUGIN_STATE_FILE), { recursive: true });
+
+    // Write a temporary file first so a crash never leaves half a file behind
+    const temporaryFile = `${PLUGIN_STATE_FILE}.tmp`;
+    fs.writeFileSync(
+      temporaryFile,
+      JSON.stringify({ disabled: [...disabledPlugins].sort() }, null, 2)
+    );
+    fs.renameSync(temporaryFile, PLUGIN_STATE_FILE);
+  } catch (error) {
+    alt.logError(`[CORE] Could not save the plugin state: ${error}`);
   }
 }
 
 /**
  * Register a plugin with the core resource
+ * The plugin is active once its onLoad hook finished, see plugin.ready
  * @param metadata Plugin metadata
  * @param lifecycle Plugin lifecycle hooks
- * @returns The plugin API object
+ * @param services Services the plugin provides to other plugins, by name
+ * @param scope The scope of the plugin, if it was loaded by the plugin manager
  */
 function registerPlugin(
   metadata: PluginMetadata,
-  lifecycle: PluginLifecycle
+  lifecycle: PluginLifecycle,
+  services: PluginServices = {},
+  scope: PluginScope = createPluginScope(metadata.id)
 ): void {
   alt.log(
     `~lb~[CORE]~w~ Registering plugin: ${metadata.name} (${metadata.id})`
   );
 
+  // Plugins are tracked by the directory they were loaded from
+  if (scope.pluginId !== metadata.id) {
+    alt.logError(
+      `[CORE] Plugin ${metadata.id} was loaded from ${scope.pluginId}, the plugin ID must match its directory name`
+    );
+    return;
+  }
+
+  // The manifest is the source of truth for the metadata it declares
+  const manifest = manifests.get(metadata.id);
+  if (manifest) {
+    metadata = { ...metadata, ...manifest };
+  }
+
   // Check if the plugin is already registered
-  if (plugins.has(metadata.id)) {
+  const existingPlugin = plugins.get(metadata.id);
+  if (existingPlugin) {
     alt.log(
       `~ly~[CORE]~w~ Plugin ${metadata.id} is already registered, updating`
     );
-
-    // Call the onUnload hook if it exists
-    const existingPlugin = plugins.get(metadata.id);
-    if (existingPlugin?.lifecycle.onUnload) {
-      try {
-        existingPlugin.lifecycle.onUnload();
-      } catch (error) {
-        alt.logError(
-          `[CORE] Error in onUnload hook for ${metadata.id}: ${error}`
-        );
-      }
-    }
   }
 
-  // Check dependencies
-  for (const dependency of metadata.dependencies) {
-    if (!plugins.has(dependency)) {
+  // Check dependencies, the plugin manager loads them first
+  for (const spec of metadata.dependencies) {
+    const dependency = parseDependency(spec).id;
+    if (dependency !== CORE_PLUGIN_ID && !isPluginLoaded(dependency)) {
       alt.logError(
         `[CORE] Plugin ${metadata.id} depends on ${dependency}, but it is not loaded`
       );
@@ -252,91 +742,324 @@ function registerPlugin(
     }
   }
 
-  // Create the plugin API object
-  const api = {};
-
-  // Register the plugin
-  plugins.set(metadata.id, {
+  // Register the plugin, it starts once the previous registration stopped
+  const plugin: RegisteredPlugin = {
     metadata,
     lifecycle,
-    api,
-  });
+    scope,
+    state: 'loading',
+    ready: Promise.resolve({ status: 'loading' }),
+  };
+  plugins.set(metadata.id, plugin);
+  registrations.set(scope, plugin);
+  plugin.ready = startPlugin(plugin, services, existingPlugin);
+}
 
-  // Call the onLoad hook if it exists
-  if (lifecycle.onLoad) {
-    try {
-      lifecycle.onLoad();
-    } catch (error) {
-      alt.logError(`[CORE] Error in onLoad hook for ${metadata.id}: ${error}`);
-    }
+/**
+ * Start a registered plugin
+ * Provides the plugin's services and waits for its onLoad hook
+ * @param plugin The plugin
+ * @param services Services the plugin provides to other plugins, by name
+ * @param previous The previous registration of the plugin, stopped first
+ * @returns Whether the plugin is active or failed
+ */
+async function startPlugin(
+  plugin: RegisteredPlugin,
+  services: PluginServices,
+  previous?: RegisteredPlugin
+): Promise<LoadResult> {
+  const { id } = plugin.metadata;
+
+  // Remove what the previous registration left behind
+  if (previous) {
+    await stopPlugin(previous, previous.scope !== plugin.scope);
+  }
+
+  // Provide the plugin's services until it unloads
+  provideServices(id, services);
+  plugin.scope.addDisposer(() => removeServices(id));
+
+  try {
+    await runHook(plugin, 'onLoad');
+  } catch (error) {
+    return failPlugin(plugin, 'onLoad', error);
+  }
+
+  plugin.state = 'active';
+  alt.log(`~lg~[CORE]~w~ Plugin ${id} registered successfully`);
+  return { status: 'active' };
+}
+
+/**
+ * Stop a plugin
+ * Waits for the plugin to finish loading and for its onUnload hook
+ * @param plugin The plugin
+ * @param dispose Whether to remove the plugin's handlers, timers and entities
+ */
+async function stopPlugin(
+  plugin: RegisteredPlugin,
+  dispose = true
+): Promise<void> {
+  const { id } = plugin.metadata;
+
+  // A plugin that failed to load was cleaned up already
+  const { status } = await plugin.ready;
+  if (status === 'failed') {
+    return;
+  }
+
+  plugin.state = 'unloading';
+  try {
+    await runHook(plugin, 'onUnload');
+  } catch (error) {
+    alt.logError(`[CORE] Error in onUnload hook for ${id}: ${error}`);
+  }
+
+  if (dispose) {
+    plugin.scope.dispose();
+  }
+}
+
+/**
+ * Mark a plugin as failed after one of its hooks failed
+ * Removes everything the plugin registered, its onUnload hook does not run
+ * @param plugin The plugin
+ * @param hook The hook that failed
+ * @param error The error the hook failed with
+ * @returns The failed result
+ */
+function failPlugin(
+  plugin: RegisteredPlugin,
+  hook: keyof PluginLifecycle,
+  error: unknown
+): LoadResult {
+  const { id } = plugin.metadata;
+  alt.logError(`[CORE] Error in ${hook} hook for ${id}: ${error}`);
+
+  plugin.state = 'failed';
+  plugin.scope.dispose();
+  if (plugins.get(id) === plugin) {
+    plugins.delete(id);
   }
 
-  alt.log(`~lg~[CORE]~w~ Plugin ${metadata.id} registered successfully`);
+  const result: LoadResult = { status: 'failed', reason: `${hook}: ${error}` };
+  loadResults.set(id, result);
+  return result;
+}
+
+/**
+ * Run a lifecycle hook of a plugin
+ * @param plugin The plugin
+ * @param hook The hook
+ * @param args The arguments for the hook
+ * @returns A promise that rejects if the hook fails or does not finish within
+ *   the plugin's hook timeout
+ */
+function runHook<K extends keyof PluginLifecycle>(
+  plugin: RegisteredPlugin,
+  hook: K,
+  ...args: Parameters<NonNullable<PluginLifecycle[K]>>
+): Promise<void> {
+  const handler = plugin.lifecycle[hook] as
+    | ((...hookArgs: typeof args) => void | Promise<void>)
+    | undefined;
+  if (!handler) {
+    return Promise.resolve();
+  }
+
+  const timeout = plugin.metadata.hookTimeout ?? HOOK_TIMEOUT;
+  return new Promise((resolve, reject) => {
+    const timer = alt.setTimeout(() => {
+      reject(new Error(`Timed out after ${timeout}ms`));
+    }, timeout);
+
+    // The hook runs right away, errors it throws reject the promise
+    new Promise<void>((resolveHook) =>
+      resolveHook(handler.apply(plugin.lifecycle, args))
+    )
+      .then(resolve, reject)
+      .finally(() => alt.clearTimeout(timer));
+  });
 }
 
 /**
  * Get a plugin by ID
+ * The result stays valid when the plugin is reloaded
  * @param pluginId The ID of the plugin
- * @returns The plugin API object, or null if the plugin is not loaded
+ * @returns The services the plugin provides, or null if the plugin is not loaded
  */
-function getPlugin(pluginId: string): any | null {
-  const plugin = plugins.get(pluginId);
-  if (!plugin) {
+function getPlugin(pluginId: string): Record<string, any> | null {
+  if (!plugins.has(pluginId)) {
     return null;
   }
 
-  return plugin.api;
+  return getPluginServices(pluginId);
 }
 
 /**
  * Check if a plugin is loaded
  * @param pluginId The ID of the plugin
- * @returns True if the plugin is loaded, false otherwise
+ * @returns True if the plugin is active, false while it loads or unloads
  */
 function isPluginLoaded(pluginId: string): boolean {
-  return plugins.has(pluginId);
+  return plugins.get(pluginId)?.state === 'active';
 }
 
 /**
  * Handle a plugin reload
+ * Unloads the plugin, imports its rebuilt server bundle and notifies the
+ * plugins that depend on it. Waits for other loads and unloads to finish first
  * @param pluginId The ID of the plugin that was reloaded
  */
-export function handlePluginReload(pluginId: string): void {
-  alt.log(`~lb~[CORE]~w~ Handling reload for plugin: ${pluginId}`);
+export function handlePluginReload(pluginId: string): Promise<void> {
+  return runExclusive(async () => {
+    alt.log(`~lb~[CORE]~w~ Handling reload for plugin: ${pluginId}`);
 
-  // Get the plugin
-  const plugin = plugins.get(pluginId);
-  if (!plugin) {
-    alt.log(
-      `~ly~[CORE]~w~ Plugin ${pluginId} is not registered, skipping reload handling`
-    );
-    return;
-  }
+    // The plugin may have been disabled while the reload waited its turn
+    if (disabledPlugins.has(pluginId)) {
+      throw new Error(`Plugin ${pluginId} is disabled`);
+    }
+
+    // Unload the current version, a plugin that is not registered yet is
+    // just loaded
+    await unloadPlugin(pluginId);
+
+    // The rebuild may have changed the manifest
+    manifests.set(pluginId, readPluginMetadata(pluginId));
+
+    const result = await loadPlugin(pluginId, true);
+    loadResults.set(pluginId, result);
 
-  // Call the onReload hook if it exists
-  if (plugin.lifecycle.onReload) {
+    const { status, reason } = result;
+    if (!loadOrder.includes(pluginId)) {
+      loadOrder.push(pluginId);
+    }
+
+    // Plugins without server code only have a client side to reload
+    if (status === 'skipped') {
+      return;
+    }
+
+    if (status !== 'active') {
+      throw new Error(`Plugin ${pluginId} could not be loaded: ${reason}`);
+    }
+
+    // Get the plugin
+    const plugin = plugins.get(pluginId);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginId} is not registered after reloading`);
+    }
+
+    // A plugin whose onReload hook fails is unloaded like one whose onLoad fails
     try {
-      plugin.lifecycle.onReload();
+      await runHook(plugin, 'onReload');
     } catch (error) {
-      alt.logError(`[CORE] Error in onReload hook for ${pluginId}: ${error}`);
+      const failed = failPlugin(plugin, 'onReload', error);
+      throw new Error(`Plugin ${pluginId} failed to reload: ${failed.reason}`);
     }
-  }
 
-  // Notify dependent plugins
-  for (const [id, otherPlugin] of plugins.entries()) {
-    if (
-      otherPlugin.metadata.dependencies.includes(pluginId) &&
-      otherPlugin.lifecycle.onDependencyReload
-    ) {
-      try {
-        otherPlugin.lifecycle.onDependencyReload(pluginId);
-      } catch (error) {
-        alt.logError(
-          `[CORE] Error in onDependencyReload hook for ${id}: ${error}`
-        );
+    // Notify dependent plugins
+    for (const [id, otherPlugin] of plugins.entries()) {
+      if (getDependencyIds(otherPlugin.metadata).includes(pluginId)) {
+        try {
+          await runHook(otherPlugin, 'onDependencyReload', pluginId);
+        } catch (error) {
+          alt.logError(
+            `[CORE] Error in onDependencyReload hook for ${id}: ${error}`
+          );
+        }
       }
     }
+
+    alt.log(`~lg~[CORE]~w~ Plugin ${pluginId} reload handled successfully`);
+  });
+}
+
+/**
+ * Tell a plugin that its config changed
+ * @param pluginId The ID of the plugin
+ * @param changed The names of the options whose value changed
+ */
+function handleConfigChange(pluginId: string, changed: string[]): void {
+  const plugin = plugins.get(pluginId);
+  if (!plugin) {
+    return;
+  }
+
+  runHook(plugin, 'onConfigChange', changed).catch((error) => {
+    alt.logError(
+      `[CORE] Error in onConfigChange hook for ${pluginId}: ${error}`
+    );
+  });
+}
+
+/**
+ * Get the status of every plugin the core found
+ * @returns The plugins in load order, followed by the ones that cannot load
+ */
+export function getPluginStatuses(): Array<{
+  id: string;
+  version: string;
+  status: LoadResult['status'] | 'pending';
+  reason?: string;
+}> {
+  const ids = [...new Set([...loadOrder, ...manifests.keys()])];
+
+  return ids.map((id) => {
+    // Registered plugins report where they are in their lifecycle
+    const state = plugins.get(id)?.state;
+    const result = loadResults.get(id);
+    return {
+      id,
+      version: manifests.get(id)?.version ?? 'unknown',
+      status: state ?? result?.status ?? 'pending',
+      reason: state ? undefined : result?.reason,
+    };
+  });
+}
+
+/**
+ * Get the plugins whose client side players should load
+ * @returns The plugins and their client bundles, in dependency order
+ */
+export function getClientPlugins(): ClientPluginInfo[] {
+  const clientPlugins: ClientPluginInfo[] = [];
+
+  for (const pluginId of loadOrder) {
+    const pluginDir = path.join(getPluginsDir(), pluginId);
+    const manifest = manifests.get(pluginId);
+
+    // Plugins with server code only run on the client if the server side loaded
+    const serverReady =
+      isPluginLoaded(pluginId) ||
+      (!disabledPlugins.has(pluginId) &&
+        !fs.existsSync(path.join(pluginDir, manifest?.main ?? DEFAULT_MAIN)));
+
+    const clientMain = manifest?.clientMain ?? DEFAULT_CLIENT_MAIN;
+    if (serverReady && fs.existsSync(path.join(pluginDir, clientMain))) {
+      clientPlugins.push({
+        id: pluginId,
+        clientMain,
+        version: manifest?.version,
+        uiDevServer: manifest?.uiDevServer,
+      });
+    }
   }
 
-  alt.log(`~lg~[CORE]~w~ Plugin ${pluginId} reload handled successfully`);
+  return clientPlugins;
+}
+
+/**
+ * Check whether a plugin has a compiled client bundle
+ * @param pluginId The ID of the plugin
+ * @returns True if the plugin has a client side
+ */
+export function hasClientBundle(pluginId: string): boolean {
+  return fs.existsSync(
+    path.join(
+      getPluginsDir(),
+      pluginId,
+      manifests.get(pluginId)?.clientMain ?? DEFAULT_CLIENT_MAIN
+    )
+  );
 }
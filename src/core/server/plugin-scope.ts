@@ -0,0 +1,91 @@
+/**
+ * Plugin scopes for the core resource
+ * Track everything a plugin registers so it can be removed when the plugin unloads
+ */
+
+import * as alt from 'alt-server';
+import { createScopeTracker } from '../shared/plugin-scope.js';
+
+export { PLUGIN_SCOPE_KEY } from '../shared/plugin-scope.js';
+
+// Entity classes whose instances are destroyed when the plugin unloads
+const TRACKED_ENTITY_CLASSES = [
+  'Vehicle',
+  'Ped',
+  'Object',
+  'Checkpoint',
+  'Marker',
+  'PointBlip',
+  'AreaBlip',
+  'RadiusBlip',
+  'ColshapeCircle',
+  'ColshapeCuboid',
+  'ColshapeCylinder',
+  'ColshapePolygon',
+  'ColshapeRectangle',
+  'ColshapeSphere',
+  'VirtualEntity',
+  'VirtualEntityGroup',
+  'VoiceChannel',
+] as const;
+
+type Listener = (...args: any[]) => void;
+
+/**
+ * Everything a plugin has registered while it was loaded
+ */
+export interface PluginScope {
+  /** ID of the plugin the scope belongs to */
+  pluginId: string;
+
+  /** The alt-server module as seen by the plugin, with registrations tracked */
+  alt: typeof alt;
+
+  /** Register a callback that runs when the scope is disposed */
+  addDisposer: (disposer: () => void) => void;
+
+  /** Remove every handler, timer and entity the plugin registered */
+  dispose: () => void;
+}
+
+/**
+ * Create a scope for a plugin
+ * @param pluginId The ID of the plugin
+ * @returns The plugin scope
+ */
+export function createPluginScope(pluginId: string): PluginScope {
+  const tracker = createScopeTracker(pluginId, '[CORE]');
+
+  const events = tracker.trackEvents('listener', {
+    on: alt.on as Listener,
+    once: alt.once as Listener,
+    off: alt.off as Listener,
+  });
+  const clientEvents = tracker.trackEvents('client listener', {
+    on: alt.onClient as Listener,
+    once: alt.onceClient as Listener,
+    off: alt.offClient as Listener,
+  });
+
+  const trackedAlt: Record<string, unknown> = {
+    ...alt,
+    ...events,
+    onClient: clientEvents.on,
+    onceClient: clientEvents.once,
+    offClient: clientEvents.off,
+    ...tracker.timers,
+  };
+
+  for (const className of TRACKED_ENTITY_CLASSES) {
+    if (alt[className]) {
+      trackedAlt[className] = tracker.trackObjects(alt[className] as any);
+    }
+  }
+
+  return {
+    pluginId,
+    alt: trackedAlt as unknown as typeof alt,
+    addDisposer: tracker.addDisposer,
+    dispose: tracker.dispose,
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Server-side RPC for the core resource
+ * Lets plugins register procedures clients can await, and await procedures
+ * registered on a player's client
+ */
+
+import * as alt from 'alt-server';
+import { ServerRpcAPI } from '../shared/interfaces.js';
+import {
+  RPC_CALL_EVENT,
+  RPC_RESULT_EVENT,
+  createPendingCalls,
+  parseTarget,
+  qualifyName,
+  qualifyOwnName,
+} from '../shared/rpc.js';
+import { PluginScope } from './plugin-scope.js';
+
+type ServerProcedure = (player: alt.Player, ...args: any[]) => unknown;
+
+// Procedures clients can call, by qualified name
+const procedures = new Map<string, ServerProcedure>();
+
+// Calls into clients that are waiting for their result
+const pendingCalls = createPendingCalls<alt.Player>();
+
+/**
+ * Initialize server-side RPC
+ */
+export function initRpc(): void {
+  alt.onClient(RPC_CALL_EVENT, handleCall);
+  alt.onClient(RPC_RESULT_EVENT, (player, id, ok, value, code) =>
+    pendingCalls.settle(id, player, ok, value, code)
+  );
+
+  // A player that left will never answer
+  alt.on('playerDisconnect', (player) =>
+    pendingCalls.rejectWhere(
+      (target) => target === player,
+      'DISCONNECTED',
+      `${player.name} disconnected`
+    )
+  );
+}
+
+/**
+ * Create the RPC API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @returns The RPC API
+ */
+export function createRpcAPI(scope?: PluginScope): ServerRpcAPI {
+  return {
+    register: (name, handler) => {
+      const qualifiedName = qualifyOwnName(name, scope?.pluginId);
+      if (procedures.has(qualifiedName)) {
+        throw new Error(`RPC ${qualifiedName} is already registered`);
+      }
+
+      procedures.set(qualifiedName, handler);
+
+      const unregister = (): void => {
+        if (procedures.get(qualifiedName) === handler) {
+          procedures.delete(qualifiedName);
+        }
+      };
+      scope?.addDisposer(unregister);
+
+      return unregister;
+    },
+    callClient: (player, target, ...args) => {
+      const { name, timeout } = parseTarget(target);
+      const qualifiedName = qualifyName(name, scope?.pluginId);
+      const { id, promise } = pendingCalls.add(player, qualifiedName, timeout);
+
+      alt.emitClient(player, RPC_CALL_EVENT, id, qualifiedName, args);
+      return promise;
+    },
+  };
+}
+
+/**
+ * Run a procedure a client called and send back the result
+ * @param player The player whose client made the call
+ * @param id The ID of the call
+ * @param name The qualified name of the procedure
+ * @param args The arguments of the call
+ */
+async function handleCall(
+  player: alt.Player,
+  id: number,
+  name: string,
+  args: unknown[]
+): Promise<void> {
+  const procedure = procedures.get(name);
+  if (!procedure) {
+    alt.emitClient(
+      player,
+      RPC_RESULT_EVENT,
+      id,
+      false,
+      `RPC ${name} is not registered`,
+      'NOT_FOUND'
+    );
+    return;
+  }
+
+  let ok = true;
+  let value: unknown;
+  try {
+    value = await procedure(player, ...(Array.isArray(args) ? args : []));
+  } catch (error) {
+    ok = false;
+    value = error instanceof Error ? error.message : String(error);
+    alt.logError(`[CORE] Error in RPC ${name} for ${player.name}: ${value}`);
+  }
+
+  // The player may have left while the procedure ran
+  if (player.valid) {
+    alt.emitClient(
+      player,
+      RPC_RESULT_EVENT,
+      id,
+      ok,
+      value,
+      ok ? undefined : 'HANDLER_ERROR'
+    );
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * Job scheduler for the core resource
+ * Plugins run functions on cron schedules. A run is skipped while the
+ * previous one is still going, failures are logged with the job's name and
+ * jobs are cancelled when their plugin unloads
+ */
+
+import * as alt from 'alt-server';
+import cron, { ScheduledTask } from 'node-cron';
+import { ScheduleOptions, SchedulerAPI } from '../shared/interfaces.js';
+import { createCommandAPI } from './commands.js';
+import { PluginScope } from './plugin-scope.js';
+
+/**
+ * A job in the scheduler
+ */
+interface ScheduledJob {
+  /** Full name of the job, '<plugin>:<name>' */
+  name: string;
+
+  expression: string;
+  options: ScheduleOptions;
+  handler: () => void | Promise<void>;
+  task: ScheduledTask;
+
+  /** How many runs have not finished yet */
+  running: number;
+}
+
+// Jobs by full name
+const jobs = new Map<string, ScheduledJob>();
+
+// Ranges and names of the fields of a cron expression, seconds first
+const CRON_FIELDS: Array<{ min: number; max: number; names?: string[] }> = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  {
+    min: 1,
+    max: 12,
+    names: [
+      'jan',
+      'feb',
+      'mar',
+      'apr',
+      'may',
+      'jun',
+      'jul',
+      'aug',
+      'sep',
+      'oct',
+      'nov',
+      'dec',
+    ],
+  },
+  { min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+// How many steps looking for the next run may take before giving up
+const MAX_SEARCH_STEPS = 10000;
+
+/**
+ * Initialize the scheduler
+ * Registers the console commands that list and run jobs
+ */
+export function initScheduler(): void {
+  const commands = createCommandAPI();
+
+  commands.register({
+    name: 'core:jobs',
+    description: 'List scheduled jobs and when they run next',
+    sources: ['console'],
+    handler: () => {
+      alt.log(`~lb~[CORE]~w~ Scheduled jobs (${jobs.size}):`);
+
+      for (const job of jobs.values()) {
+        const nextRun = getNextRun(job.expression, job.options.timezone);
+        const timezone = job.options.timezone ?? 'server time';
+        alt.log(
+          `  ${job.name} "${job.expression}" (${timezone}) next run ` +
+            (nextRun ? nextRun.toISOString() : 'unknown') +
+            (job.running > 0 ? ' ~ly~running~w~' : '')
+        );
+      }
+    },
+  });
+
+  commands.register({
+    name: 'core:runjob',
+    description: 'Run a scheduled job now',
+    args: [{ name: 'job', type: 'string' }],
+    sources: ['console'],
+    handler: (context, { job: name }) => {
+      const job = jobs.get(name);
+      if (!job) {
+        context.reply(`~lr~[CORE]~w~ Unknown job ${name}, see core:jobs`);
+        return;
+      }
+
+      void runJob(job, 'manual');
+    },
+  });
+}
+
+/**
+ * Create the scheduler API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @returns The scheduler API
+ */
+export function createSchedulerAPI(scope?: PluginScope): SchedulerAPI {
+  const owner = scope?.pluginId ?? 'core';
+
+  return {
+    schedule: (name, expression, handler, options = {}) => {
+      const fullName = `${owner}:${name}`;
+      if (!/^\S+$/.test(name)) {
+        throw new Error(`Job name ${JSON.stringify(name)} must be one word`);
+      }
+      if (jobs.has(fullName)) {
+        throw new Error(`Job ${fullName} is already scheduled`);
+      }
+      if (!cron.validate(expression)) {
+        throw new Error(
+          `Job ${fullName}: invalid cron expression ${expression}`
+        );
+      }
+      if (options.timezone && !isValidTimezone(options.timezone)) {
+        throw new Error(
+          `Job ${fullName}: unknown timezone ${options.timezone}`
+        );
+      }
+
+      const job: ScheduledJob = {
+        name: fullName,
+        expression,
+        options,
+        handler,
+        running: 0,
+        task: cron.schedule(
+          expression,
+          () => void runJob(job, 'schedule'),
+          { name: fullName, timezone: options.timezone }
+        ),
+      };
+      jobs.set(fullName, job);
+
+      const cancel = (): void => {
+        if (jobs.get(fullName) !== job) {
+          return;
+        }
+
+        job.task.stop();
+        jobs.delete(fullName);
+
+        // node-cron keeps every task it created
+        cron.getTasks().delete(fullName);
+      };
+      scope?.addDisposer(cancel);
+
+      return cancel;
+    },
+  };
+}
+
+/**
+ * Run a job
+ * @param job The job
+ * @param trigger Whether the schedule or the console started the run
+ */
+async function runJob(
+  job: ScheduledJob,
+  trigger: 'schedule' | 'manual'
+): Promise<void> {
+  if (job.running > 0 && !job.options.allowOverlap) {
+    alt.log(
+      `~ly~[CORE]~w~ Skipping job ${job.name}, its previous run has not finished`
+    );
+    return;
+  }
+
+  if (trigger === 'manual') {
+    alt.log(`~lb~[CORE]~w~ Running job ${job.name}`);
+  }
+
+  job.running++;
+  try {
+    await job.handler();
+  } catch (error) {
+    alt.logError(`[CORE] Job ${job.name} failed: ${error}`);
+  } finally {
+    job.running--;
+  }
+}
+
+/**
+ * Check whether a timezone is known
+ * @param timezone The IANA name of the timezone
+ * @returns True if dates can be formatted in the timezone
+ */
+function isValidTimezone(timezone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the next time a cron expression matches
+ * Like node-cron, a time matches when every field matches, including both
+ * the day of the month and the day of the week
+ * @param expression A valid cron expression, with or without seconds
+ * @param timezone The timezone the expression is evaluated in, if any
+ * @param from The time to search from
+ * @returns The next time, or null if there is none in the next years
+ */
+function getNextRun(
+  expression: string,
+  timezone?: string,
+  from = new Date()
+): Date | null {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length === 5) {
+    fields.unshift('0');
+  }
+
+  const [seconds, minutes, hours, days, months, weekdays] = fields.map(
+    (field, index) => parseCronField(field, CRON_FIELDS[index])
+  );
+
+  // Search the wall clock time of the timezone, kept in the UTC fields
+  const base = Math.floor(from.getTime() / 1000) * 1000;
+  const start = getWallClock(new Date(base), timezone);
+  const time = new Date(start);
+  time.setUTCSeconds(time.getUTCSeconds() + 1, 0);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    if (!months.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0, 0, 0);
+    } else if (
+      !days.has(time.getUTCDate()) ||
+      !weekdays.has(time.getUTCDay())
+    ) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0, 0, 0);
+    } else if (!hours.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0, 0, 0);
+    } else if (!minutes.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1, 0, 0);
+    } else if (!seconds.has(time.getUTCSeconds())) {
+      time.setUTCSeconds(time.getUTCSeconds() + 1, 0);
+    } else {
+      return new Date(base + (time.getTime() - start.getTime()));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a field of a cron expression
+ * @param field The field, e.g. '*', '1-5', 'mon,wed' or '*\/15'
+ * @param range The values and names the field accepts
+ * @returns The values the field matches
+ */
+function parseCronField(
+  field: string,
+  range: { min: number; max: number; names?: string[] }
+): Set<number> {
+  const toNumber = (value: string): number => {
+    const index = range.names?.indexOf(value.slice(0, 3)) ?? -1;
+    return index === -1 ? Number(value) : index + range.min;
+  };
+
+  const values = new Set<number>();
+  for (const part of field.toLowerCase().split(',')) {
+    const [span, step = '1'] = part.split('/');
+    const [first, last] =
+      span === '*' ? [range.min, range.max] : span.split('-').map(toNumber);
+    const end = last ?? (part.includes('/') ? range.max : first);
+
+    for (let value = first; value <= end; value += Number(step)) {
+      values.add(value);
+    }
+  }
+
+  // Sunday is both 0 and 7
+  if (range.max === 7 && values.has(7)) {
+    values.add(0);
+  }
+
+  return values;
+}
+
+/**
+ * Get the wall clock time of a timezone
+ * @param date The time
+ * @param timezone The timezone, the server's if none
+ * @returns A date whose UTC fields are the wall clock time
+ */
+function getWallClock(date: Date, timezone?: string): Date {
+  if (!timezone) {
+    return new Date(
+      Date.UTC(
+        date.getFullYear(),
+        date.getMonth(),
+        date.getDate(),
+        date.getHours(),
+        date.getMinutes(),
+        date.getSeconds()
+      )
+    );
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  const part = (type: string): number =>
+    Number(parts.find((candidate) => candidate.type === type)?.value);
+
+  return new Date(
+    Date.UTC(
+      part('year'),
+      part('month') - 1,
+      part('day'),
+      part('hour'),
+      part('minute'),
+      part('second')
+    )
+  );
+}
@@ -0,0 +1,231 @@
+/**
+ * Service registry for the core resource
+ * Plugins provide named services when they register, other plugins look them
+ * up through proxies that always forward to the current provider, so they
+ * keep working when the provider is hot reloaded
+ */
+
+import * as alt from 'alt-server';
+
+/**
+ * A service provided by a plugin
+ */
+interface ProvidedService {
+  /** ID of the plugin that provides the service */
+  pluginId: string;
+
+  /** The service object */
+  service: object;
+}
+
+// Services that are currently provided, by name
+const services = new Map<string, ProvidedService>();
+
+// Stable proxies handed out to consumers, by service name
+const serviceProxies = new Map<string, object>();
+
+// Stable proxies of every plugin's services, by plugin ID
+const pluginProxies = new Map<string, object>();
+
+// Consumers waiting for a service to be provided, by service name
+const waiting = new Map<string, Array<(service: object) => void>>();
+
+/**
+ * Provide services for a plugin
+ * Services that another plugin already provides are refused
+ * @param pluginId The ID of the plugin that provides the services
+ * @param provided The services by name
+ */
+export function provideServices(
+  pluginId: string,
+  provided: Record<string, object>
+): void {
+  for (const [name, service] of Object.entries(provided)) {
+    const existing = services.get(name);
+    if (existing && existing.pluginId !== pluginId) {
+      alt.logError(
+        `[CORE] Plugin ${pluginId} cannot provide service ${name}, it is already provided by ${existing.pluginId}`
+      );
+      continue;
+    }
+
+    if (service === null || typeof service !== 'object') {
+      alt.logError(
+        `[CORE] Plugin ${pluginId} cannot provide service ${name}, services must be objects`
+      );
+      continue;
+    }
+
+    services.set(name, { pluginId, service });
+
+    // Resolve the consumers that were waiting for it
+    const resolvers = waiting.get(name) ?? [];
+    waiting.delete(name);
+    for (const resolve of resolvers) {
+      resolve(getServiceProxy(name));
+    }
+  }
+}
+
+/**
+ * Remove every service a plugin provides
+ * Proxies handed out for them throw until the services are provided again
+ * @param pluginId The ID of the plugin
+ */
+export function removeServices(pluginId: string): void {
+  for (const [name, provided] of services) {
+    if (provided.pluginId === pluginId) {
+      services.delete(name);
+    }
+  }
+}
+
+/**
+ * Get a service
+ * @param name The name of the service
+ * @returns A proxy to the service, or null if no plugin provides it
+ */
+export function getService(name: string): object | null {
+  return services.has(name) ? getServiceProxy(name) : null;
+}
+
+/**
+ * Wait for a service to be provided
+ * @param name The name of the service
+ * @param timeoutMs How long to wait before giving up
+ * @returns A proxy to the service
+ */
+export function waitForService(
+  name: string,
+  timeoutMs = 10000
+): Promise<object> {
+  if (services.has(name)) {
+    return Promise.resolve(getServiceProxy(name));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onProvided = (service: object): void => {
+      alt.clearTimeout(timer);
+      resolve(service);
+    };
+
+    const timer = alt.setTimeout(() => {
+      const resolvers = waiting.get(name) ?? [];
+      resolvers.splice(resolvers.indexOf(onProvided), 1);
+      reject(new Error(`Timed out waiting for service ${name}`));
+    }, timeoutMs);
+
+    if (!waiting.has(name)) {
+      waiting.set(name, []);
+    }
+    waiting.get(name)?.push(onProvided);
+  });
+}
+
+/**
+ * Get the services a plugin provides, as one object keyed by service name
+ * @param pluginId The ID of the plugin
+ * @returns A proxy whose properties are proxies to the plugin's services
+ */
+export function getPluginServices(pluginId: string): object {
+  let proxy = pluginProxies.get(pluginId);
+  if (!proxy) {
+    const provided = (): Record<string, object> => {
+      const result: Record<string, object> = {};
+      for (const [name, entry] of services) {
+        if (entry.pluginId === pluginId) {
+          result[name] = getServiceProxy(name);
+        }
+      }
+      return result;
+    };
+
+    proxy = new Proxy(
+      {},
+      {
+        get: (_, property) =>
+          typeof property === 'string' ? provided()[property] : undefined,
+        has: (_, property) =>
+          typeof property === 'string' && property in provided(),
+        ownKeys: () => Object.keys(provided()),
+        getOwnPropertyDescriptor: (_, property) =>
+          typeof property === 'string' && property in provided()
+            ? {
+                value: provided()[property],
+                enumerable: true,
+                configurable: true,
+              }
+            : undefined,
+      }
+    );
+    pluginProxies.set(pluginId, proxy);
+  }
+
+  return proxy;
+}
+
+/**
+ * Get the stable proxy of a service
+ * Properties are looked up on the current provider on every access, and
+ * functions on every call, so references taken before a reload stay valid
+ * @param name The name of the service
+ * @returns The proxy
+ */
+function getServiceProxy(name: string): object {
+  let proxy = serviceProxies.get(name);
+  if (proxy) {
+    return proxy;
+  }
+
+  const current = (): Record<PropertyKey, any> => {
+    const provided = services.get(name);
+    if (!provided) {
+      throw new Error(`Service ${name} is not available`);
+    }
+    return provided.service as Record<PropertyKey, any>;
+  };
+
+  proxy = new Proxy(
+    {},
+    {
+      get: (_, property) => {
+        // Keep the proxy from looking like a promise when it is awaited,
+        // and let inspecting a service that is not available fail quietly
+        const provided = services.get(name)?.service;
+        if (
+          (property === 'then' || typeof property === 'symbol') &&
+          !(provided && property in provided)
+        ) {
+          return undefined;
+        }
+
+        const value = current()[property];
+        if (typeof value !== 'function') {
+          return value;
+        }
+
+        return (...args: unknown[]) => {
+          const service = current();
+          return service[property](...args);
+        };
+      },
+      set: (_, property, value) => {
+        current()[property] = value;
+        return true;
+      },
+      has: (_, property) => property in current(),
+      ownKeys: () => Reflect.ownKeys(current()),
+      getOwnPropertyDescriptor: (_, property) => {
+        const descriptor = Reflect.getOwnPropertyDescriptor(
+          current(),
+          property
+        );
+        // The proxy target has no own properties, so none can be fixed
+        return descriptor && { ...descriptor, configurable: true };
+      },
+    }
+  );
+  serviceProxies.set(name, proxy);
+
+  return proxy;
+}
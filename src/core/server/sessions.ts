@@ -0,0 +1,268 @@
+/**
+ * Player sessions for the core resource
+ * A session starts when a player connects: the core sends the client the
+ * plugins to load, and the player is ready once the client answers with the
+ * versions it loaded. Plugins keep per-player data in the session, which is
+ * removed when the player disconnects
+ */
+
+import * as alt from 'alt-server';
+import {
+  ClientPluginInfo,
+  PlayerSession,
+  SessionAPI,
+} from '../shared/interfaces.js';
+import {
+  CORE_VERSION,
+  SESSION_INIT_EVENT,
+  SESSION_READY_EVENT,
+} from '../shared/session.js';
+import { createCommandAPI } from './commands.js';
+import { PluginScope } from './plugin-scope.js';
+
+type ReadyHandler = (
+  player: alt.Player,
+  session: PlayerSession
+) => void | Promise<void>;
+
+type LeaveHandler = (
+  player: alt.Player,
+  session: PlayerSession,
+  reason: string
+) => void;
+
+/**
+ * What a client is sent when its player connects
+ */
+export interface SessionInit {
+  /** The plugins whose client side the player loads, in order */
+  clientPlugins: ClientPluginInfo[];
+
+  /** Revisions of the client bundles hot reloaded since the server started */
+  revisions: Record<string, number>;
+}
+
+// Sessions of connected players
+const sessions = new Map<alt.Player, PlayerSession>();
+
+// Client plugins each connecting player was sent, to check what it loaded
+const sentPlugins = new Map<alt.Player, ClientPluginInfo[]>();
+
+// Session data of connected players, by qualified key
+const sessionData = new Map<alt.Player, Map<string, unknown>>();
+
+// Handlers run when a player's client is ready, in registration order
+const readyHandlers = new Set<ReadyHandler>();
+
+// Handlers run when a player disconnects, before the session is removed
+const leaveHandlers = new Set<LeaveHandler>();
+
+/**
+ * Initialize player sessions
+ * @param getInit Gets what a connecting player's client is sent
+ */
+export function initSessions(getInit: () => SessionInit): void {
+  alt.on('playerConnect', (player) => {
+    alt.log(`~lg~[CORE]~w~ Player connected: ${player.name}`);
+
+    sessions.set(player, {
+      player,
+      state: 'connecting',
+      connectedAt: Date.now(),
+      readyAt: null,
+      coreVersion: null,
+      clientPlugins: {},
+    });
+    sessionData.set(player, new Map());
+
+    // Tell the client which plugins to load, it answers once they are loaded
+    const { clientPlugins, revisions } = getInit();
+    sentPlugins.set(player, clientPlugins);
+    alt.emitClient(
+      player,
+      SESSION_INIT_EVENT,
+      clientPlugins,
+      revisions,
+      CORE_VERSION
+    );
+  });
+
+  alt.onClient(SESSION_READY_EVENT, handleClientReady);
+
+  alt.on('playerDisconnect', (player, reason) => {
+    sentPlugins.delete(player);
+    const session = sessions.get(player);
+    if (!session) {
+      return;
+    }
+
+    for (const handler of [...leaveHandlers]) {
+      try {
+        handler(player, session, reason);
+      } catch (error) {
+        alt.logError(
+          `[CORE] Error in leave handler for ${player.name}: ${error}`
+        );
+      }
+    }
+
+    sessions.delete(player);
+    sessionData.delete(player);
+  });
+
+  const commands = createCommandAPI();
+  commands.register({
+    name: 'core:players',
+    description: 'List connected players and whether their client is ready',
+    sources: ['console'],
+    handler: () => {
+      alt.log(`~lb~[CORE]~w~ Players (${sessions.size}):`);
+
+      for (const { player, state, connectedAt } of sessions.values()) {
+        const color = state === 'ready' ? '~lg~' : '~ly~';
+        const minutes = Math.floor((Date.now() - connectedAt) / 60000);
+        alt.log(
+          `  ${player.name} (${player.id}): ${color}${state}~w~, ` +
+            `connected ${minutes} min ago`
+        );
+      }
+    },
+  });
+}
+
+/**
+ * Create the session API of a plugin
+ * @param scope The scope of the plugin, if any
+ * @returns The session API
+ */
+export function createSessionAPI(scope?: PluginScope): SessionAPI {
+  const qualifyKey = (key: string): string =>
+    key.includes(':') || !scope ? key : `${scope.pluginId}:${key}`;
+
+  return {
+    get: (player) => sessions.get(player) ?? null,
+    getReady: () =>
+      [...sessions.values()].filter((session) => session.state === 'ready'),
+    isReady: (player) => sessions.get(player)?.state === 'ready',
+    onPlayerReady: (handler) => {
+      readyHandlers.add(handler);
+
+      const remove = (): void => {
+        readyHandlers.delete(handler);
+      };
+      scope?.addDisposer(remove);
+
+      return remove;
+    },
+    onPlayerLeave: (handler) => {
+      leaveHandlers.add(handler);
+
+      const remove = (): void => {
+        leaveHandlers.delete(handler);
+      };
+      scope?.addDisposer(remove);
+
+      return remove;
+    },
+    getData: <T>(player: alt.Player, key: string) =>
+      sessionData.get(player)?.get(qualifyKey(key)) as T | undefined,
+    setData: (player, key, value) => {
+      const data = sessionData.get(player);
+      if (!data) {
+        throw new Error(`${player.name} has no session`);
+      }
+      data.set(qualifyKey(key), value);
+    },
+    deleteData: (player, key) =>
+      sessionData.get(player)?.delete(qualifyKey(key)) ?? false,
+  };
+}
+
+/**
+ * Finish the handshake of a player whose client loaded its plugins
+ * Malformed answers are logged and ignored, the player stays connecting
+ * @param player The player
+ * @param coreVersion The core version the client runs
+ * @param clientPlugins Versions of the plugins the client loaded, by plugin ID
+ */
+function handleClientReady(
+  player: alt.Player,
+  coreVersion: unknown,
+  clientPlugins: unknown = {}
+): void {
+  const session = sessions.get(player);
+  if (!session || session.state === 'ready') {
+    return;
+  }
+
+  if (typeof coreVersion !== 'string' || !isPluginVersions(clientPlugins)) {
+    alt.log(
+      `~ly~[CORE]~w~ Ignoring malformed ready event from ${player.name}`
+    );
+    return;
+  }
+
+  if (coreVersion !== CORE_VERSION) {
+    alt.log(
+      `~ly~[CORE]~w~ ${player.name} runs core v${coreVersion}, the server runs v${CORE_VERSION}`
+    );
+  }
+
+  // Plugins the client failed to load or loaded from an old bundle
+  for (const { id, version } of sentPlugins.get(player) ?? []) {
+    if (!(id in clientPlugins)) {
+      alt.log(`~ly~[CORE]~w~ ${player.name} did not load plugin ${id}`);
+    } else if (version && clientPlugins[id] !== version) {
+      alt.log(
+        `~ly~[CORE]~w~ ${player.name} loaded ${id} v${clientPlugins[id]}, the server has v${version}`
+      );
+    }
+  }
+  sentPlugins.delete(player);
+
+  session.state = 'ready';
+  session.readyAt = Date.now();
+  session.coreVersion = coreVersion;
+  session.clientPlugins = clientPlugins;
+
+  alt.log(
+    `~lg~[CORE]~w~ ${player.name} is ready after ${session.readyAt - session.connectedAt}ms`
+  );
+
+  for (const handler of [...readyHandlers]) {
+    // The player may have been kicked by an earlier handler
+    if (!player.valid) {
+      return;
+    }
+
+    try {
+      const result = handler(player, session);
+      if (result instanceof Promise) {
+        result.catch((error) => logReadyError(player, error));
+      }
+    } catch (error) {
+      logReadyError(player, error);
+    }
+  }
+}
+
+/**
+ * Log an error thrown by a ready handler
+ * @param player The player the handler ran for
+ * @param error The error
+ */
+function logReadyError(player: alt.Player, error: unknown): void {
+  alt.logError(`[CORE] Error in ready handler for ${player.name}: ${error}`);
+}
+
+/**
+ * Check whether a client sent plugin versions by plugin ID
+ */
+function isPluginVersions(value: unknown): value is Record<string, string> {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !Array.isArray(value) &&
+    Object.values(value).every((version) => typeof version === 'string')
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * Built-in dialogs for the server-side core resource
+ * Shows the dialogs of the rmlui asset pack on a player's client and awaits
+ * the answer
+ */
+
+import * as alt from 'alt-server';
+import { PromptOptions } from '../shared/interfaces.js';
+import {
+  DEFAULT_PROMPT_TIMEOUT,
+  PROMPT_RPC,
+  PROMPT_TIMEOUT_MARGIN,
+} from '../shared/ui.js';
+import { createRpcAPI } from './rpc.js';
+
+// Calls into clients on behalf of the core
+const rpc = createRpcAPI();
+
+/**
+ * Ask a player for text
+ * The prompt closes itself after its timeout, the call fails with an RpcError
+ * if the player disconnects first
+ * @param player The player to ask
+ * @param options The prompt options
+ * @returns The text, or null if the player cancelled or the prompt timed out
+ */
+export function prompt(
+  player: alt.Player,
+  options: PromptOptions = {}
+): Promise<string | null> {
+  const timeout = options.timeout ?? DEFAULT_PROMPT_TIMEOUT;
+
+  return rpc.callClient<string | null>(
+    player,
+    { name: PROMPT_RPC, timeout: timeout + PROMPT_TIMEOUT_MARGIN },
+    { ...options, timeout }
+  );
+}
@@ -0,0 +1,207 @@
+/**
+ * Event bus for inter-plugin communication
+ * Shared by the server and client core, each side has its own bus
+ */
+
+import { EventHandlerOptions } from './interfaces.js';
+
+type Handler = (...args: any[]) => unknown;
+
+/**
+ * A registered event handler
+ */
+interface Subscription {
+  /** Event name or wildcard pattern the handler was registered for */
+  pattern: string;
+
+  /** Matches event names, only set for wildcard patterns */
+  matcher: RegExp | null;
+
+  handler: Handler;
+  priority: number;
+  once: boolean;
+
+  /** What registered the handler, e.g. a plugin scope */
+  owner: unknown;
+
+  /** Registration order, keeps handlers of equal priority in order */
+  sequence: number;
+}
+
+/**
+ * An event bus
+ * Event names may contain * wildcards when registering, e.g. 'economy:*'.
+ * Wildcard handlers receive the event name before the event arguments
+ */
+export interface EventBus {
+  /** Register a handler, returns a function that unregisters it */
+  on: (
+    eventName: string,
+    handler: Handler,
+    options?: EventHandlerOptions,
+    owner?: unknown
+  ) => () => void;
+
+  /** Register a handler that is unregistered after its first call */
+  once: (
+    eventName: string,
+    handler: Handler,
+    options?: EventHandlerOptions,
+    owner?: unknown
+  ) => () => void;
+
+  /** Unregister a handler */
+  off: (eventName: string, handler: Handler) => void;
+
+  /** Call every matching handler, promises they return are not awaited */
+  emit: (eventName: string, ...args: any[]) => void;
+
+  /** Call every matching handler in order, awaiting each one */
+  emitAsync: (eventName: string, ...args: any[]) => Promise<void>;
+
+  /** Unregister every handler registered by an owner */
+  removeOwner: (owner: unknown) => void;
+}
+
+/**
+ * Create an event bus
+ * @param onError Called when a handler throws or its promise rejects
+ * @returns The event bus
+ */
+export function createEventBus(
+  onError: (eventName: string, error: unknown) => void
+): EventBus {
+  const exact = new Map<string, Subscription[]>();
+  const wildcards: Subscription[] = [];
+  let sequence = 0;
+
+  // Add a handler to the list it belongs in
+  const subscribe = (
+    eventName: string,
+    handler: Handler,
+    once: boolean,
+    options: EventHandlerOptions = {},
+    owner?: unknown
+  ): (() => void) => {
+    const matcher = eventName.includes('*') ? toMatcher(eventName) : null;
+    const subscription: Subscription = {
+      pattern: eventName,
+      matcher,
+      handler,
+      priority: options.priority ?? 0,
+      once,
+      owner,
+      sequence: sequence++,
+    };
+
+    if (matcher) {
+      wildcards.push(subscription);
+    } else {
+      if (!exact.has(eventName)) {
+        exact.set(eventName, []);
+      }
+      exact.get(eventName)?.push(subscription);
+    }
+
+    return () => remove(subscription);
+  };
+
+  // Remove a handler from whichever list it is in
+  const remove = (subscription: Subscription): void => {
+    const list = subscription.matcher
+      ? wildcards
+      : exact.get(subscription.pattern);
+    const index = list?.indexOf(subscription) ?? -1;
+    if (list && index !== -1) {
+      list.splice(index, 1);
+    }
+    if (list && list.length === 0 && !subscription.matcher) {
+      exact.delete(subscription.pattern);
+    }
+  };
+
+  // Collect the handlers for an event, highest priority first
+  // A copy, so handlers can unregister while being called
+  const collect = (eventName: string): Subscription[] => {
+    const matching = [
+      ...(exact.get(eventName) ?? []),
+      ...wildcards.filter(({ matcher }) => matcher?.test(eventName)),
+    ];
+
+    return matching.sort(
+      (a, b) => b.priority - a.priority || a.sequence - b.sequence
+    );
+  };
+
+  // Call a handler, once handlers are removed before they run
+  const call = (
+    subscription: Subscription,
+    eventName: string,
+    args: any[]
+  ): unknown => {
+    if (subscription.once) {
+      remove(subscription);
+    }
+
+    return subscription.matcher
+      ? subscription.handler(eventName, ...args)
+      : subscription.handler(...args);
+  };
+
+  return {
+    on: (eventName, handler, options, owner) =>
+      subscribe(eventName, handler, false, options, owner),
+    once: (eventName, handler, options, owner) =>
+      subscribe(eventName, handler, true, options, owner),
+    off: (eventName, handler) => {
+      const list = eventName.includes('*') ? wildcards : exact.get(eventName);
+      const subscription = list?.find(
+        (entry) => entry.pattern === eventName && entry.handler === handler
+      );
+      if (subscription) {
+        remove(subscription);
+      }
+    },
+    emit: (eventName, ...args) => {
+      for (const subscription of collect(eventName)) {
+        try {
+          const result = call(subscription, eventName, args);
+          if (result instanceof Promise) {
+            result.catch((error) => onError(eventName, error));
+          }
+        } catch (error) {
+          onError(eventName, error);
+        }
+      }
+    },
+    emitAsync: async (eventName, ...args) => {
+      for (const subscription of collect(eventName)) {
+        try {
+          await call(subscription, eventName, args);
+        } catch (error) {
+          onError(eventName, error);
+        }
+      }
+    },
+    removeOwner: (owner) => {
+      const owned = [...wildcards, ...[...exact.values()].flat()].filter(
+        (subscription) => subscription.owner === owner
+      );
+      for (const subscription of owned) {
+        remove(subscription);
+      }
+    },
+  };
+}
+
+/**
+ * Turn a wildcard pattern into a regular expression
+ * @param pattern The pattern, * matches any sequence of characters
+ * @returns The regular expression
+ */
+function toMatcher(pattern: string): RegExp {
+  const escaped = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
@@ -3,6 +3,9 @@
  * These interfaces define the contract between the core resource and plugins
  */
 
+import type { RmlDocument, RmlElement, WebView } from 'alt-client';
+import type { Player } from 'alt-server';
+
 /**
  * Plugin metadata interface
  * Contains information about a plugin that the core resource needs to know
@@ -23,16 +26,52 @@ export interface PluginMetadata {
   /** Plugin description */
   description: string;
   
-  /** Dependencies on other plugins */
+  /** Dependencies on other plugins, as "id" or "id@range" such as "economy@^2.1" */
   dependencies: string[];
   
+  /** Plugins used when they are installed, in the same format as dependencies */
+  optionalDependencies?: string[];
+  
+  /** IDs of plugins that must load first when they are installed */
+  loadAfter?: string[];
+  
   /** Whether the plugin supports hot reloading */
   supportsHotReload: boolean;
+  
+  /** How long lifecycle hooks may take in milliseconds, CORE_HOOK_TIMEOUT by default */
+  hookTimeout?: number;
+  
+  /** Server bundle, relative to the plugin directory */
+  main?: string;
+  
+  /** Client bundle, relative to the plugin directory */
+  clientMain?: string;
+  
+  /** Vite dev server the plugin's UI is served from, set by pnpm dev */
+  uiDevServer?: string;
+}
+
+/**
+ * A plugin whose client side players load
+ */
+export interface ClientPluginInfo {
+  /** ID of the plugin */
+  id: string;
+  
+  /** Client bundle, relative to the plugin directory */
+  clientMain: string;
+  
+  /** Version of the plugin, the client reports it back once it loaded */
+  version?: string;
+  
+  /** Vite dev server the plugin's UI is served from, if any */
+  uiDevServer?: string;
 }
 
 /**
  * Plugin lifecycle hooks
- * These hooks are called at various points in the plugin lifecycle
+ * These hooks are called at various points in the plugin lifecycle. The core
+ * waits for hooks that return a promise, up to the plugin's hook timeout
  */
 export interface PluginLifecycle {
   /** Called when the plugin is loaded */
@@ -46,32 +85,244 @@ export interface PluginLifecycle {
   
   /** Called when a dependency of this plugin is reloaded */
   onDependencyReload?: (dependencyId: string) => void | Promise<void>;
+  
+  /** Called when a config file of this plugin changed, with the changed options */
+  onConfigChange?: (changed: string[]) => void | Promise<void>;
 }
 
 /**
  * Plugin API interface
  * Defines the API that plugins can use to interact with the core resource
  */
-export interface CoreAPI {
-  /** Register a plugin with the core resource */
-  registerPlugin: (metadata: PluginMetadata, lifecycle: PluginLifecycle) => void;
+export interface CoreAPI extends CoreEventsAPI {
+  /** Register a plugin with the core resource, with the services it provides */
+  registerPlugin: (
+    metadata: PluginMetadata,
+    lifecycle: PluginLifecycle,
+    services?: PluginServices
+  ) => void;
+  
+  /** Get the services a plugin provides, keyed by service name */
+  getPlugin: (pluginId: string) => Record<string, any> | null;
+  
+  /** Get a service, or null if no plugin provides it */
+  getService: <K extends string>(name: K) => CoreService<K> | null;
   
-  /** Get a plugin by ID */
-  getPlugin: (pluginId: string) => any | null;
+  /** Wait until a plugin provides a service, rejects after the timeout */
+  waitForService: <K extends string>(
+    name: K,
+    timeoutMs?: number
+  ) => Promise<CoreService<K>>;
   
-  /** Check if a plugin is loaded */
+  /** Check if a plugin is loaded and its onLoad hook has finished */
   isPluginLoaded: (pluginId: string) => boolean;
   
   /** Log a message to the console with the plugin's name */
+  log: (message: string, level?: LogLevel) => void;
+  
+  /** Logger of the plugin, with levels and context fields */
+  logger: Logger;
+  
+  /** Procedures players' clients can call, and calls into their clients */
+  rpc: ServerRpcAPI;
+  
+  /** Ask a player for text, resolves with null if the player cancels */
+  prompt: (player: Player, options?: PromptOptions) => Promise<string | null>;
+  
+  /** Chat and console commands */
+  commands: CommandAPI;
+  
+  /** Roles and permissions of players */
+  permissions: PermissionAPI;
+  
+  /** Collections of the plugin in the core database */
+  database: DatabaseAPI;
+  
+  /** Configuration of the plugin */
+  config: ConfigAPI;
+  
+  /** Jobs that run on a cron schedule */
+  scheduler: SchedulerAPI;
+  
+  /** Sessions of connected players and their client handshake */
+  sessions: SessionAPI;
+}
+
+/**
+ * Client-side core API interface
+ * Exposed to client plugins as the global core object
+ */
+export interface ClientCoreAPI extends CoreEventsAPI {
+  /** Log a message to the console */
   log: (message: string, level?: 'info' | 'warn' | 'error') => void;
   
-  /** Register an event handler */
-  on: (eventName: string, handler: (...args: any[]) => void) => void;
+  /** Register a callback that runs before the plugin is unloaded or reloaded */
+  onUnload: (handler: () => void) => void;
+  
+  /** Get the core version */
+  getVersion: () => string;
+  
+  /** Procedures the server can call, and calls into the server */
+  rpc: ClientRpcAPI;
   
-  /** Emit an event */
-  emit: (eventName: string, ...args: any[]) => void;
+  /** WebViews managed by the core */
+  webviews: ClientWebViewAPI;
+  
+  /** RmlUI documents managed by the core, and built-in dialogs */
+  ui: ClientUiAPI;
 }
 
+/**
+ * The core event bus, on either side
+ */
+export interface CoreEventsAPI {
+  /** Register an event handler, returns a function that unregisters it */
+  on: <K extends string>(
+    eventName: K,
+    handler: CoreEventHandler<K>,
+    options?: EventHandlerOptions
+  ) => () => void;
+  
+  /** Register an event handler that is unregistered after its first call */
+  once: <K extends string>(
+    eventName: K,
+    handler: CoreEventHandler<K>,
+    options?: EventHandlerOptions
+  ) => () => void;
+  
+  /** Unregister an event handler */
+  off: <K extends string>(eventName: K, handler: CoreEventHandler<K>) => void;
+  
+  /** Emit an event, handlers that return promises are not awaited */
+  emit: <K extends string>(eventName: K, ...args: CoreEventArgs<K>) => void;
+  
+  /** Emit an event and wait for every handler, in priority order */
+  emitAsync: <K extends string>(
+    eventName: K,
+    ...args: CoreEventArgs<K>
+  ) => Promise<void>;
+}
+
+/**
+ * A procedure to call, by name or by name with a timeout in milliseconds
+ * Names without a namespace refer to the calling plugin's own procedures
+ */
+export type RpcTarget = string | { name: string; timeout?: number };
+
+/**
+ * Why a call failed
+ */
+export type RpcErrorCode =
+  | 'TIMEOUT'
+  | 'NOT_FOUND'
+  | 'HANDLER_ERROR'
+  | 'DISCONNECTED';
+
+/**
+ * Server-side RPC
+ * Procedures are registered under the plugin's namespace, e.g. 'getBalance'
+ * registered by economy is called as 'economy:getBalance'
+ */
+export interface ServerRpcAPI {
+  /** Register a procedure clients can call, returns a function that removes it */
+  register: (
+    name: string,
+    handler: (player: Player, ...args: any[]) => unknown
+  ) => () => void;
+  
+  /** Call a procedure on a player's client */
+  callClient: <T = any>(
+    player: Player,
+    target: RpcTarget,
+    ...args: any[]
+  ) => Promise<T>;
+}
+
+/**
+ * Client-side RPC
+ */
+export interface ClientRpcAPI {
+  /** Register a procedure the server can call, returns a function that removes it */
+  register: (name: string, handler: (...args: any[]) => unknown) => () => void;
+  
+  /** Call a procedure on the server */
+  callServer: <T = any>(target: RpcTarget, ...args: any[]) => Promise<T>;
+}
+
+/**
+ * Services plugins provide to each other, by name
+ * Plugins add their services by augmenting this interface, the same way as
+ * CoreEventMap
+ */
+export interface CoreServiceMap {}
+
+/**
+ * A service, typed if it is declared in CoreServiceMap
+ * Services are proxies that forward to the current provider, so they keep
+ * working after the provider is reloaded
+ */
+export type CoreService<K extends string> = K extends keyof CoreServiceMap
+  ? CoreServiceMap[K]
+  : any;
+
+/**
+ * Services a plugin provides when it registers, by name
+ */
+export type PluginServices = {
+  [K in keyof CoreServiceMap]?: CoreServiceMap[K];
+} & Record<string, object>;
+
+/**
+ * Options for registering an event handler
+ */
+export interface EventHandlerOptions {
+  /** Handlers with a higher priority are called first, defaults to 0 */
+  priority?: number;
+}
+
+/**
+ * Events of the core event bus and their arguments, by name
+ * Plugins add their events by augmenting this interface from a module other
+ * plugins can import:
+ *
+ *   declare module '../../../core/shared/interfaces' {
+ *     interface CoreEventMap {
+ *       'economy:balanceChanged': [playerId: number, balance: number];
+ *     }
+ *   }
+ */
+export interface CoreEventMap {
+  /** A plugin is about to be reloaded (server) */
+  'core:hotReload:start': [pluginId: string];
+  
+  /** A plugin was reloaded (server) */
+  'core:hotReload:complete': [event: HotReloadEvent];
+  
+  /** A plugin failed to reload (server) */
+  'core:hotReload:failed': [pluginId: string, error: string];
+  
+  /** The client side of a plugin was reloaded (client) */
+  'core:hotReload': [pluginId: string];
+}
+
+/**
+ * Arguments of an event
+ * Wildcard handlers such as 'economy:*' receive the event name first, events
+ * missing from CoreEventMap are untyped
+ */
+export type CoreEventArgs<K extends string> = K extends keyof CoreEventMap
+  ? CoreEventMap[K]
+  : K extends `${string}*${string}`
+    ? [eventName: string, ...args: any[]]
+    : any[];
+
+/**
+ * Handler of an event
+ */
+export type CoreEventHandler<K extends string> = (
+  ...args: CoreEventArgs<K>
+) => void | Promise<void>;
+
 /**
  * Hot reload event interface
  * Contains information about a hot reload event
@@ -86,3 +337,659 @@ export interface HotReloadEvent {
   /** Timestamp of the reload */
   timestamp: number;
 }
+
+/**
+ * Hot reload result interface
+ * Reported back to the build tooling once a reload has finished
+ */
+export interface HotReloadResult {
+  /** The plugin that was reloaded */
+  pluginId: string;
+
+  /** Whether the reload succeeded */
+  success: boolean;
+
+  /** The error message if the reload failed */
+  error?: string;
+
+  /** Whether the core resource is restarted instead, for plugins that cannot be hot reloaded */
+  restarted?: boolean;
+
+  /** How long the reload took in milliseconds */
+  duration: number;
+}
+
+/**
+ * Messages between a WebView page and the client, by event name
+ */
+export type WebViewEventMap = Record<string, unknown[]>;
+
+/**
+ * Options for opening a managed WebView
+ */
+export interface WebViewOptions {
+  /** Focus the WebView and show the cursor while it is open, defaults to true */
+  focus?: boolean;
+  
+  /** Hide the radar while the WebView holds focus */
+  hideRadar?: boolean;
+  
+  /** Disable game controls while the WebView holds focus */
+  disableControls?: boolean;
+  
+  /** Render the WebView as an overlay */
+  overlay?: boolean;
+}
+
+/**
+ * A WebView opened through the core
+ * ToPage are the messages the client sends, FromPage the ones the page sends
+ */
+export interface ManagedWebView<
+  ToPage extends WebViewEventMap = WebViewEventMap,
+  FromPage extends WebViewEventMap = WebViewEventMap,
+> {
+  /** The underlying WebView */
+  readonly view: WebView;
+  
+  /** Whether the page has sent the ready event */
+  readonly ready: boolean;
+  
+  /** Whether the WebView has been destroyed */
+  readonly destroyed: boolean;
+  
+  /** Resolves once the page is ready, rejects if the WebView is destroyed first */
+  whenReady: () => Promise<void>;
+  
+  /** Send a message to the page, queued until the page is ready */
+  emit: <K extends keyof ToPage & string>(event: K, ...args: ToPage[K]) => void;
+  
+  /** Handle a message from the page, returns a function that removes the handler */
+  on: <K extends keyof FromPage & string>(
+    event: K,
+    handler: (...args: FromPage[K]) => void
+  ) => () => void;
+  
+  /** Move the WebView to the top of the focus stack */
+  focus: () => void;
+  
+  /** Remove the WebView from the focus stack without destroying it */
+  unfocus: () => void;
+  
+  /** Destroy the WebView and give up its focus */
+  destroy: () => void;
+}
+
+/**
+ * Client-side WebView manager
+ * Pages emit WEBVIEW_READY_EVENT ('core:webviewReady') once they can receive
+ * messages. URLs of a plugin's client/html directory are loaded from its UI
+ * dev server when it has one
+ */
+export interface ClientWebViewAPI {
+  /** Open a WebView, it is destroyed when the plugin unloads */
+  open: <
+    ToPage extends WebViewEventMap = WebViewEventMap,
+    FromPage extends WebViewEventMap = WebViewEventMap,
+  >(
+    url: string,
+    options?: WebViewOptions
+  ) => ManagedWebView<ToPage, FromPage>;
+}
+
+/**
+ * Options for opening a managed RmlUI document
+ */
+export interface RmlDocumentOptions {
+  /** Focus the document and show the cursor while it is shown, defaults to true */
+  focus?: boolean;
+  
+  /** Hide the radar while the document holds focus */
+  hideRadar?: boolean;
+  
+  /** Disable game controls while the document holds focus */
+  disableControls?: boolean;
+}
+
+/**
+ * An RmlUI document opened through the core
+ */
+export interface ManagedRmlDocument {
+  /** The underlying document */
+  readonly document: RmlDocument;
+  
+  /** Whether the document has been destroyed */
+  readonly destroyed: boolean;
+  
+  /** Get an element of the document by its ID */
+  getElement: (id: string) => RmlElement | null;
+  
+  /** Handle an event of an element, returns a function that removes the handler */
+  on: (
+    elementId: string,
+    event: string,
+    handler: (element: RmlElement, ...args: any[]) => void
+  ) => () => void;
+  
+  /** Show the document and move it to the top of the focus stack */
+  show: () => void;
+  
+  /** Hide the document and give up its focus */
+  hide: () => void;
+  
+  /** Destroy the document and give up its focus */
+  destroy: () => void;
+}
+
+/**
+ * Options for asking the player for text
+ */
+export interface PromptOptions {
+  /** Text shown above the input */
+  placeholder?: string;
+  
+  /** Close the prompt without an answer after this many milliseconds */
+  timeout?: number;
+}
+
+/**
+ * Client-side RmlUI API
+ */
+export interface ClientUiAPI {
+  /** Open and show an RmlUI document, it is destroyed when the plugin unloads */
+  openDocument: (
+    url: string,
+    options?: RmlDocumentOptions
+  ) => ManagedRmlDocument;
+  
+  /** Ask the player for text, resolves with null if the player cancels */
+  prompt: (options?: PromptOptions) => Promise<string | null>;
+}
+
+/**
+ * Where a command can be run from
+ */
+export type CommandSource = 'chat' | 'console';
+
+/**
+ * Type of a command argument
+ * text takes the rest of the input and must be the last argument
+ */
+export type CommandArgumentType =
+  | 'string'
+  | 'text'
+  | 'number'
+  | 'integer'
+  | 'boolean'
+  | 'player'
+  | 'enum';
+
+/**
+ * An argument of a command
+ */
+export interface CommandArgument {
+  /** Name of the argument, shown in the usage and used as key of the parsed arguments */
+  name: string;
+  
+  /** How the argument is parsed and validated */
+  type: CommandArgumentType;
+  
+  /** Whether the argument can be left out, optional arguments come last */
+  optional?: boolean;
+  
+  /** Accepted values of an enum argument */
+  values?: readonly string[];
+  
+  /** Smallest accepted value of a number or integer argument */
+  min?: number;
+  
+  /** Largest accepted value of a number or integer argument */
+  max?: number;
+}
+
+/**
+ * Parsed value of a command argument
+ */
+export type CommandArgumentValue<A extends CommandArgument> = A extends {
+  type: 'number' | 'integer';
+}
+  ? number
+  : A extends { type: 'boolean' }
+    ? boolean
+    : A extends { type: 'player' }
+      ? Player
+      : A extends { type: 'enum'; values: readonly (infer V)[] }
+        ? V
+        : string;
+
+/**
+ * Parsed arguments of a command, by argument name
+ */
+export type CommandArgs<Args extends readonly CommandArgument[]> = {
+  [A in Args[number] as A['name']]: A extends { optional: true }
+    ? CommandArgumentValue<A> | undefined
+    : CommandArgumentValue<A>;
+};
+
+/**
+ * Who ran a command
+ * Chat commands have the player who typed them, console commands have none
+ */
+export type CommandContext =
+  | { source: 'chat'; player: Player; reply: (message: string) => void }
+  | { source: 'console'; player: null; reply: (message: string) => void };
+
+/**
+ * A chat or console command
+ * The handler gets the player for commands that can only be run from chat
+ */
+export interface CommandDefinition<
+  Args extends readonly CommandArgument[] = readonly CommandArgument[],
+  Source extends CommandSource = CommandSource,
+> {
+  /** Name of the command, without the leading slash */
+  name: string;
+  
+  /** Other names the command can be run by */
+  aliases?: string[];
+  
+  /** What the command does, shown by help */
+  description?: string;
+  
+  /** Arguments of the command, in order */
+  args?: Args;
+  
+  /** Where the command can be run from, defaults to chat and console */
+  sources?: Source[];
+  
+  /** Permission a player needs to run the command, the console can run every command */
+  permission?: string;
+  
+  /** Run the command with its parsed arguments */
+  handler: (
+    context: Extract<CommandContext, { source: Source }>,
+    args: CommandArgs<Args>
+  ) => unknown;
+}
+
+/**
+ * Command registry
+ */
+export interface CommandAPI {
+  /** Register a command, returns a function that unregisters it */
+  register: <
+    const Args extends readonly CommandArgument[] = [],
+    Source extends CommandSource = CommandSource,
+  >(
+    definition: CommandDefinition<Args, Source>
+  ) => () => void;
+}
+
+/**
+ * A role players can be given
+ */
+export interface PermissionRole {
+  /** Roles whose permissions this role has as well */
+  inherits?: string[];
+  
+  /** Permissions of the role, e.g. 'example.vehicle', 'example.*' or '*' */
+  permissions: string[];
+}
+
+/**
+ * Roles and permissions of players
+ * Grants are stored by the player's social ID and survive restarts
+ */
+export interface PermissionAPI {
+  /** Check whether a player has a permission, through a role or a direct grant */
+  has: (player: Player, permission: string) => boolean;
+  
+  /** Get the roles of a player, including the default role */
+  getRoles: (player: Player) => string[];
+  
+  /** Give a player a role, throws if the role does not exist */
+  grantRole: (player: Player, role: string) => void;
+  
+  /** Take a role from a player, returns false if the player did not have it */
+  revokeRole: (player: Player, role: string) => boolean;
+  
+  /** Give a player a permission outside of their roles */
+  grantPermission: (player: Player, permission: string) => void;
+  
+  /** Take a directly granted permission from a player */
+  revokePermission: (player: Player, permission: string) => boolean;
+  
+  /**
+   * Handle a client event only for players with a permission
+   * Returns a function that removes the handler
+   */
+  onClient: (
+    eventName: string,
+    permission: string,
+    handler: (player: Player, ...args: any[]) => void
+  ) => () => void;
+}
+
+/**
+ * A stored document, with the ID the database gave it
+ */
+export type StoredDocument<T> = T & { _id: string };
+
+/**
+ * Comparison operators of a database filter
+ */
+export interface DatabaseOperators<V> {
+  $eq?: V;
+  $ne?: V;
+  $gt?: V;
+  $gte?: V;
+  $lt?: V;
+  $lte?: V;
+  $in?: V[];
+  $nin?: V[];
+  $exists?: boolean;
+}
+
+/**
+ * Filter that selects documents
+ * Fields are compared for equality or with operators, nested fields are
+ * addressed with dotted paths such as 'stats.kills'
+ */
+export type DatabaseFilter<T> = {
+  [K in keyof StoredDocument<T>]?:
+    | StoredDocument<T>[K]
+    | DatabaseOperators<StoredDocument<T>[K]>;
+} & {
+  $and?: DatabaseFilter<T>[];
+  $or?: DatabaseFilter<T>[];
+  [path: string]: unknown;
+};
+
+/**
+ * Changes applied to the documents an update selects
+ */
+export interface DatabaseUpdate<T> {
+  $set?: Partial<T> & Record<string, unknown>;
+  $unset?: Record<string, true | 1 | ''>;
+  $inc?: Record<string, number>;
+  $push?: Record<string, unknown>;
+}
+
+/**
+ * Options for finding documents
+ */
+export interface DatabaseFindOptions<T> {
+  /** Sort by fields, 1 ascending and -1 descending */
+  sort?: { [K in keyof StoredDocument<T> | (string & {})]?: 1 | -1 };
+  
+  /** Skip this many documents */
+  skip?: number;
+  
+  /** Return at most this many documents */
+  limit?: number;
+}
+
+/**
+ * A collection of documents of one plugin
+ */
+export interface DatabaseCollection<T extends object> {
+  find: (
+    filter?: DatabaseFilter<T>,
+    options?: DatabaseFindOptions<T>
+  ) => Promise<StoredDocument<T>[]>;
+  findOne: (filter: DatabaseFilter<T>) => Promise<StoredDocument<T> | null>;
+  
+  /** Insert a document, returns its ID */
+  insertOne: (document: T & { _id?: string }) => Promise<string>;
+  
+  /** Insert documents, returns their IDs */
+  insertMany: (documents: Array<T & { _id?: string }>) => Promise<string[]>;
+  
+  /** Update the first matching document, or insert one if upsert is set */
+  updateOne: (
+    filter: DatabaseFilter<T>,
+    update: DatabaseUpdate<T>,
+    options?: { upsert?: boolean }
+  ) => Promise<{ matched: number; modified: number; upsertedId?: string }>;
+  
+  /** Update every matching document */
+  updateMany: (
+    filter: DatabaseFilter<T>,
+    update: DatabaseUpdate<T>
+  ) => Promise<{ matched: number; modified: number }>;
+  
+  /** Delete the first matching document, returns how many were deleted */
+  deleteOne: (filter: DatabaseFilter<T>) => Promise<number>;
+  
+  /** Delete every matching document, returns how many were deleted */
+  deleteMany: (filter?: DatabaseFilter<T>) => Promise<number>;
+  
+  countDocuments: (filter?: DatabaseFilter<T>) => Promise<number>;
+}
+
+/**
+ * A change to a plugin's data, run once
+ */
+export interface DatabaseMigration {
+  /** Version the data has after the migration, migrations run in version order */
+  version: number;
+  
+  /** What the migration does, for the log */
+  description?: string;
+  
+  /** Apply the migration */
+  up: (database: DatabaseAPI) => unknown;
+}
+
+/**
+ * The core database as seen by a plugin
+ * Collection names are namespaced with the plugin ID
+ */
+export interface DatabaseAPI {
+  /** Get a collection of the plugin */
+  collection: <T extends object>(name: string) => DatabaseCollection<T>;
+  
+  /** Run the migrations newer than the plugin's data version, in order */
+  migrate: (migrations: DatabaseMigration[]) => Promise<void>;
+}
+
+/**
+ * Type of a config option
+ * json options take any JSON value, such as a list of positions
+ */
+export type ConfigOptionType =
+  | 'string'
+  | 'number'
+  | 'integer'
+  | 'boolean'
+  | 'enum'
+  | 'json';
+
+/**
+ * An option of a plugin's configuration
+ */
+export interface ConfigOption {
+  /** How the option is parsed and validated */
+  type: ConfigOptionType;
+  
+  /** Value used when no config file or environment variable sets the option */
+  default: unknown;
+  
+  /** What the option does */
+  description?: string;
+  
+  /** Accepted values of an enum option */
+  values?: readonly string[];
+  
+  /** Smallest accepted value of a number or integer option */
+  min?: number;
+  
+  /** Largest accepted value of a number or integer option */
+  max?: number;
+  
+  /** Further checks, returns what is wrong with the value if anything */
+  validate?: (value: any) => string | undefined | void;
+}
+
+/**
+ * Options of a plugin's configuration, by name
+ */
+export type ConfigSchema = Record<string, ConfigOption>;
+
+/**
+ * Value of a config option
+ */
+export type ConfigOptionValue<O extends ConfigOption> = O extends {
+  type: 'number' | 'integer';
+}
+  ? number
+  : O extends { type: 'boolean' }
+    ? boolean
+    : O extends { type: 'enum'; values: readonly (infer V)[] }
+      ? V
+      : O extends { type: 'json' }
+        ? O['default']
+        : string;
+
+/**
+ * Current values of a plugin's configuration, by option name
+ * The object is updated in place when a config file changes
+ */
+export type ConfigValues<S extends ConfigSchema> = {
+  readonly [K in keyof S]: ConfigOptionValue<S[K]>;
+};
+
+/**
+ * Configuration of a plugin
+ */
+export interface ConfigAPI {
+  /**
+   * Declare the options of the plugin and read their values
+   * Values come from the defaults, then config.json in the plugin directory,
+   * then config/<plugin>.json in the server directory, then environment
+   * variables such as EXAMPLE_TS_DEFAULT_VEHICLE
+   */
+  define: <const S extends ConfigSchema>(schema: S) => ConfigValues<S>;
+}
+
+/**
+ * Options of a scheduled job
+ */
+export interface ScheduleOptions {
+  /** IANA timezone the expression is evaluated in, e.g. 'Europe/Berlin', defaults to the server's */
+  timezone?: string;
+  
+  /** Start a run while the previous one has not finished, off by default */
+  allowOverlap?: boolean;
+}
+
+/**
+ * Jobs that run on a cron schedule
+ */
+export interface SchedulerAPI {
+  /**
+   * Run a function on a cron schedule, such as '0 * * * *' for every hour
+   * Jobs are named '<plugin>:<name>' in the console and cancelled when the
+   * plugin unloads
+   * @returns A function that cancels the job
+   */
+  schedule: (
+    name: string,
+    expression: string,
+    handler: () => void | Promise<void>,
+    options?: ScheduleOptions
+  ) => () => void;
+}
+
+/**
+ * Severity of a log entry, from least to most severe
+ */
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+/**
+ * Fields added to a log entry, e.g. { player: 'Bob', model: 'adder' }
+ */
+export type LogContext = Record<string, unknown>;
+
+/**
+ * Logger of a plugin
+ * Entries below the plugin's level are dropped, see core:loglevel
+ */
+export interface Logger {
+  debug: (message: string, context?: LogContext) => void;
+  info: (message: string, context?: LogContext) => void;
+  warn: (message: string, context?: LogContext) => void;
+  error: (message: string, context?: LogContext) => void;
+  
+  /** Get a logger that adds the context to every entry */
+  child: (context: LogContext) => Logger;
+}
+
+/**
+ * Where a player is in the client handshake
+ * Players are connecting until their client loaded its plugins and answered
+ */
+export type SessionState = 'connecting' | 'ready';
+
+/**
+ * Session of a connected player
+ */
+export interface PlayerSession {
+  player: Player;
+  state: SessionState;
+  
+  /** When the player connected, in milliseconds since the epoch */
+  connectedAt: number;
+  
+  /** When the client answered the handshake, null while connecting */
+  readyAt: number | null;
+  
+  /** Core version the client runs, null while connecting */
+  coreVersion: string | null;
+  
+  /** Versions of the plugins the client loaded, by plugin ID */
+  clientPlugins: Record<string, string>;
+}
+
+/**
+ * Sessions of connected players
+ * Session data belongs to the plugin that writes it: keys without a
+ * namespace such as 'vehicle' are the plugin's own, 'economy:balance' reads
+ * another plugin's. Data survives hot reloads and is removed when the player
+ * disconnects
+ */
+export interface SessionAPI {
+  /** Get the session of a player, null if the player is not connected */
+  get: (player: Player) => PlayerSession | null;
+  
+  /** Get the sessions of every player whose client is ready */
+  getReady: () => PlayerSession[];
+  
+  /** Check whether a player's client loaded its plugins */
+  isReady: (player: Player) => boolean;
+  
+  /**
+   * Run a handler when a player's client finished loading its plugins
+   * Returns a function that removes the handler
+   */
+  onPlayerReady: (
+    handler: (player: Player, session: PlayerSession) => void | Promise<void>
+  ) => () => void;
+  
+  /**
+   * Run a handler when a player disconnects, while their session data can
+   * still be read. Returns a function that removes the handler
+   */
+  onPlayerLeave: (
+    handler: (player: Player, session: PlayerSession, reason: string) => void
+  ) => () => void;
+  
+  /** Read session data of a player */
+  getData: <T = unknown>(player: Player, key: string) => T | undefined;
+  
+  /** Write session data of a player, throws if the player is not connected */
+  setData: (player: Player, key: string, value: unknown) => void;
+  
+  /** Remove session data of a player, returns false if there was none */
+  deleteData: (player: Player, key: string) => boolean;
+}
@@ -0,0 +1,213 @@
+/**
+ * Plugin scope tracking shared by the server and the client
+ * Record what a plugin registers with alt so it can be removed when the
+ * plugin unloads
+ */
+
+import * as alt from 'alt-shared';
+
+/**
+ * Key under which a plugin's core API exposes its scope
+ * The alt shims bundled into plugins read the tracked alt module from it
+ */
+export const PLUGIN_SCOPE_KEY = Symbol.for('core:pluginScope');
+
+type Listener = (...args: any[]) => void;
+
+/**
+ * An event listener registered by a plugin
+ * A null event name is a generic listener that receives every event
+ */
+interface TrackedListener {
+  eventName: string | null;
+  handler: Listener;
+}
+
+/**
+ * alt functions that add and remove listeners of one kind of event
+ */
+export interface TrackedEvents {
+  on: Listener;
+  once: Listener;
+  off: Listener;
+}
+
+/**
+ * Registrations of one plugin, the side specific scopes build on it
+ */
+export interface ScopeTracker {
+  /** Track listeners added with the given alt functions */
+  trackEvents: (kind: string, events: TrackedEvents) => TrackedEvents;
+
+  /** The alt timer functions as seen by the plugin */
+  timers: Record<string, unknown>;
+
+  /** Wrap a class so every instance created by the plugin is tracked */
+  trackObjects: <T extends new (...args: any[]) => alt.BaseObject>(
+    objectClass: T
+  ) => T;
+
+  /** Register a callback that runs when the scope is disposed */
+  addDisposer: (disposer: () => void) => void;
+
+  /** Run a cleanup step, logging instead of aborting on failure */
+  attempt: (description: string, cleanup: () => void) => void;
+
+  /**
+   * Run the disposers, then remove every listener, timer and object
+   * The plugin cleans up first, while its handlers still exist
+   */
+  dispose: () => void;
+}
+
+/**
+ * Create the tracking for a plugin scope
+ * @param pluginId The ID of the plugin
+ * @param logPrefix Prefix of the errors logged while disposing, e.g. '[CORE]'
+ * @returns The scope tracker
+ */
+export function createScopeTracker(
+  pluginId: string,
+  logPrefix: string
+): ScopeTracker {
+  const listeners: Array<TrackedListener & { kind: string; off: Listener }> =
+    [];
+  const timers = new Set<number>();
+  const objects = new Set<alt.BaseObject>();
+  const disposers: Array<() => void> = [];
+
+  // Register a listener with alt and remember it
+  const track =
+    (kind: string, register: Listener, off: Listener) =>
+    (...args: any[]): void => {
+      listeners.push({ ...toTrackedListener(args), kind, off });
+      register(...args);
+    };
+
+  // Unregister a listener from alt and forget it
+  const untrack =
+    (unregister: Listener) =>
+    (...args: any[]): void => {
+      const { eventName, handler } = toTrackedListener(args);
+      const index = listeners.findIndex(
+        (entry) =>
+          entry.off === unregister &&
+          entry.eventName === eventName &&
+          entry.handler === handler
+      );
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+      unregister(...args);
+    };
+
+  // Start a timer that is forgotten once it has fired
+  const trackOneShot =
+    (start: (handler: Listener, ms: number) => number) =>
+    (handler: Listener, ms: number): number => {
+      const id = start((...args: any[]) => {
+        timers.delete(id);
+        handler(...args);
+      }, ms);
+      timers.add(id);
+      return id;
+    };
+
+  // Start a repeating timer
+  const trackRepeating =
+    (start: (handler: Listener, ms: number) => number) =>
+    (handler: Listener, ms: number): number => {
+      const id = start(handler, ms);
+      timers.add(id);
+      return id;
+    };
+
+  // Stop a timer and forget it
+  const clear =
+    (stop: (id: number) => void) =>
+    (id: number): void => {
+      timers.delete(id);
+      stop(id);
+    };
+
+  const attempt = (description: string, cleanup: () => void): void => {
+    try {
+      cleanup();
+    } catch (error) {
+      alt.logError(
+        `${logPrefix} Error removing ${description} of plugin ${pluginId}: ${error}`
+      );
+    }
+  };
+
+  return {
+    trackEvents: (kind, { on, once, off }) => ({
+      on: track(kind, on, off),
+      once: track(kind, once, off),
+      off: untrack(off),
+    }),
+    timers: {
+      setTimeout: trackOneShot(alt.setTimeout),
+      nextTick: trackOneShot((handler) => alt.nextTick(handler)),
+      setInterval: trackRepeating(alt.setInterval),
+      everyTick: trackRepeating((handler) => alt.everyTick(handler)),
+      clearTimer: clear(alt.clearTimer),
+      clearTimeout: clear(alt.clearTimeout),
+      clearInterval: clear(alt.clearInterval),
+      clearNextTick: clear(alt.clearNextTick),
+      clearEveryTick: clear(alt.clearEveryTick),
+    },
+    trackObjects: (objectClass) =>
+      new Proxy(objectClass, {
+        construct(target, args) {
+          const object = Reflect.construct(target, args);
+          objects.add(object);
+          return object;
+        },
+        // Read static members from the class itself, not through the proxy
+        get(target, property) {
+          return Reflect.get(target, property);
+        },
+      }),
+    addDisposer: (disposer) => {
+      disposers.push(disposer);
+    },
+    attempt,
+    dispose: () => {
+      for (const disposer of disposers.splice(0)) {
+        attempt('registration', disposer);
+      }
+
+      for (const { kind, eventName, handler, off } of listeners.splice(0)) {
+        attempt(`${kind} for ${eventName ?? 'all events'}`, () =>
+          eventName === null ? off(handler) : off(eventName, handler)
+        );
+      }
+
+      for (const id of timers) {
+        attempt(`timer ${id}`, () => alt.clearTimer(id));
+      }
+      timers.clear();
+
+      for (const object of objects) {
+        attempt(`${object.constructor.name}`, () => {
+          if (object.valid) {
+            object.destroy();
+          }
+        });
+      }
+      objects.clear();
+    },
+  };
+}
+
+/**
+ * Normalize the arguments of alt.on/alt.off style functions
+ * @param args Either (eventName, handler) or (handler)
+ * @returns The tracked listener
+ */
+function toTrackedListener(args: any[]): TrackedListener {
+  return typeof args[0] === 'function'
+    ? { eventName: null, handler: args[0] }
+    : { eventName: args[0], handler: args[1] };
+}
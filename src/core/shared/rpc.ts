@@ -0,0 +1,167 @@
+/**
+ * Client-server RPC for the core resource
+ * Wire format and pending call bookkeeping shared by both sides
+ */
+
+import * as alt from 'alt-shared';
+import { RpcErrorCode, RpcTarget } from './interfaces.js';
+
+/** Sent to call a procedure: (id, name, args) */
+export const RPC_CALL_EVENT = 'core:rpc:call';
+
+/** Sent back with the outcome: (id, ok, value or error message, error code) */
+export const RPC_RESULT_EVENT = 'core:rpc:result';
+
+/** How long a call waits for its result unless the target says otherwise */
+export const DEFAULT_RPC_TIMEOUT = 10000;
+
+/**
+ * Error a call rejects with
+ * The code tells why, e.g. 'TIMEOUT' or 'HANDLER_ERROR'
+ */
+export class RpcError extends Error {
+  constructor(
+    public readonly code: RpcErrorCode,
+    message: string
+  ) {
+    super(message);
+    this.name = 'RpcError';
+  }
+}
+
+/**
+ * Qualify a procedure name with the plugin that registers or calls it
+ * Names without a namespace belong to the plugin itself
+ * @param name The procedure name, e.g. 'getBalance' or 'economy:getBalance'
+ * @param pluginId The plugin, if the name is used by a plugin
+ * @returns The qualified name
+ */
+export function qualifyName(name: string, pluginId?: string): string {
+  return name.includes(':') || !pluginId ? name : `${pluginId}:${name}`;
+}
+
+/**
+ * Qualify the name of a procedure a plugin registers
+ * Plugins can only register procedures in their own namespace, so none can
+ * take over a procedure of the core or of another plugin
+ * @param name The procedure name, e.g. 'getBalance' or 'economy:getBalance'
+ * @param pluginId The plugin, if a plugin registers the procedure
+ * @returns The qualified name
+ */
+export function qualifyOwnName(name: string, pluginId?: string): string {
+  if (pluginId && name.includes(':') && !name.startsWith(`${pluginId}:`)) {
+    throw new Error(
+      `RPC ${name} is outside the namespace of ${pluginId}, register it as ${pluginId}:...`
+    );
+  }
+
+  return qualifyName(name, pluginId);
+}
+
+/**
+ * Split a call target into its name and timeout
+ * @param target The procedure name, or the name with a timeout
+ * @returns The name and timeout
+ */
+export function parseTarget(target: RpcTarget): {
+  name: string;
+  timeout: number;
+} {
+  return typeof target === 'string'
+    ? { name: target, timeout: DEFAULT_RPC_TIMEOUT }
+    : { name: target.name, timeout: target.timeout ?? DEFAULT_RPC_TIMEOUT };
+}
+
+/**
+ * A call that is waiting for its result
+ */
+interface PendingCall<T> {
+  /** Who the call was sent to, results from anyone else are ignored */
+  target: T;
+  name: string;
+  resolve: (value: any) => void;
+  reject: (error: RpcError) => void;
+  timer: number;
+}
+
+/**
+ * Create the table of calls that are waiting for their result
+ * @returns Functions to add, settle and reject pending calls
+ */
+export function createPendingCalls<T>() {
+  const calls = new Map<number, PendingCall<T>>();
+  let nextId = 1;
+
+  return {
+    /**
+     * Add a call, it is rejected if no result arrives in time
+     * @returns The ID to send with the call and the promise of its result
+     */
+    add: (
+      target: T,
+      name: string,
+      timeout: number
+    ): { id: number; promise: Promise<any> } => {
+      const id = nextId++;
+      const promise = new Promise<any>((resolve, reject) => {
+        const timer = alt.setTimeout(() => {
+          calls.delete(id);
+          reject(
+            new RpcError(
+              'TIMEOUT',
+              `RPC ${name} timed out after ${timeout}ms`
+            )
+          );
+        }, timeout);
+
+        calls.set(id, { target, name, resolve, reject, timer });
+      });
+
+      return { id, promise };
+    },
+
+    /**
+     * Settle a call with the result sent back by its target
+     */
+    settle: (
+      id: number,
+      from: T,
+      ok: boolean,
+      value: unknown,
+      code?: RpcErrorCode
+    ): void => {
+      const call = calls.get(id);
+      if (!call || call.target !== from) {
+        return;
+      }
+
+      calls.delete(id);
+      alt.clearTimeout(call.timer);
+
+      if (ok) {
+        call.resolve(value);
+      } else {
+        call.reject(new RpcError(code ?? 'HANDLER_ERROR', String(value)));
+      }
+    },
+
+    /**
+     * Reject every call whose target matches
+     */
+    rejectWhere: (
+      matches: (target: T) => boolean,
+      code: RpcErrorCode,
+      reason: string
+    ): void => {
+      for (const [id, call] of calls) {
+        if (!matches(call.target)) {
+          continue;
+        }
+
+        calls.delete(id);
+        alt.clearTimeout(call.timer);
+        call.reject(new RpcError(code, `RPC ${call.name} failed: ${reason}`));
+      }
+    },
+  };
+}
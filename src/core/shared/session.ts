@@ -0,0 +1,13 @@
+/**
+ * Player session handshake for the core resource
+ * Event names and the version both sides compare
+ */
+
+/** Version of the core resource, clients report the version they run */
+export const CORE_VERSION = '1.0.0';
+
+/** Sent to a player that connected: (client plugins, reloaded bundles, core version) */
+export const SESSION_INIT_EVENT = 'core:init';
+
+/** Sent back once the client plugins are loaded: (core version, plugin versions by ID) */
+export const SESSION_READY_EVENT = 'core:clientReady';
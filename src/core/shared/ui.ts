@@ -0,0 +1,14 @@
+/**
+ * Built-in dialogs of the core resource
+ * Names and defaults shared by the server, which requests dialogs, and the
+ * client, which shows them
+ */
+
+/** Procedure the server calls to ask a player for text: (options) */
+export const PROMPT_RPC = 'core:prompt';
+
+/** How long a prompt stays open unless the caller says otherwise */
+export const DEFAULT_PROMPT_TIMEOUT = 120000;
+
+/** Extra time the server waits for the answer, to cover the round trip */
+export const PROMPT_TIMEOUT_MARGIN = 5000;
@@ -0,0 +1,73 @@
+/**
+ * Tests of chat commands: unknown commands and invalid input
+ */
+
+import * as assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { TestServer, createTestServer } from '../../testing/server';
+
+// Texts given to the sign command
+const signs: unknown[] = [];
+
+let server: TestServer;
+
+before(async () => {
+  server = await createTestServer({
+    plugins: [],
+    testPlugins: {
+      garage: {
+        setup: (core) => ({
+          onLoad: () => {
+            core.commands.register({
+              name: 'park',
+              args: [{ name: 'slot', type: 'integer' }],
+              handler: () => undefined,
+            });
+            core.commands.register({
+              name: 'sign',
+              args: [{ name: 'text', type: 'text' }],
+              handler: (_, { text }) => {
+                signs.push(text);
+              },
+            });
+          },
+        }),
+      },
+    },
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('unknown chat commands are left to other resources', async () => {
+  const player = await server.connectPlayer('Alice');
+
+  await server.chat(player, '/teleport 1 2 3');
+
+  assert.deepEqual(server.clientEvents(player, 'chat:message'), []);
+});
+
+test('invalid input is answered with the usage', async () => {
+  const player = await server.connectPlayer('Bob');
+
+  await server.chat(player, '/park first');
+
+  server.assertClientEvent(
+    player,
+    'chat:message',
+    null,
+    'slot must be a number'
+  );
+  server.assertClientEvent(player, 'chat:message', null, 'Usage: /park <slot>');
+});
+
+test('quotes around the whole text are left out', async () => {
+  const player = await server.connectPlayer('Carol');
+
+  await server.chat(player, '/sign "Closed today"');
+  await server.chat(player, '/sign Back at "noon" tomorrow');
+
+  assert.deepEqual(signs, ['Closed today', 'Back at "noon" tomorrow']);
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests of plugin config: changes to config files while the server runs
+ */
+
+import * as assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { after, before, test } from 'node:test';
+import { writeConfig } from '../../testing/environment';
+import { TestServer, createTestServer } from '../../testing/server';
+
+// Config values of the test plugin, as it sees them
+let values: { speed: number; label: string };
+
+let server: TestServer;
+
+before(async () => {
+  server = await createTestServer({
+    plugins: [],
+    config: { tuner: { speed: 5 } },
+    testPlugins: {
+      tuner: {
+        setup: (core) => ({
+          onLoad: () => {
+            values = core.config.define({
+              speed: { type: 'integer', default: 1 },
+              label: { type: 'string', default: 'stock' },
+            });
+          },
+        }),
+      },
+    },
+  });
+
+  // Changes are only seen once the watcher has read the file the first time
+  await sleep(100);
+});
+
+after(async () => {
+  await server.stop();
+});
+
+/**
+ * Wait until the core logged a message, config files are checked every second
+ * @param text Part of the message
+ */
+async function waitForLog(text: string): Promise<void> {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (server.logs().some((message) => message.includes(text))) {
+      return;
+    }
+    await sleep(100);
+  }
+  assert.fail(`Nothing logged with ${text}`);
+}
+
+test('an invalid value keeps the value in effect', async () => {
+  assert.equal(values.speed, 5);
+
+  writeConfig('tuner', { speed: 'fast', label: 'tuned' });
+  await waitForLog('Config of tuner changed: label');
+
+  assert.equal(values.speed, 5);
+  assert.equal(values.label, 'tuned');
+  assert.ok(
+    server.logs().some((message) => message.includes('speed must be a number'))
+  );
+});
+
+test('a removed value falls back to its default', async () => {
+  writeConfig('tuner', { label: 'tuned' });
+  await waitForLog('Config of tuner changed: speed');
+
+  assert.equal(values.speed, 1);
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests of the in-memory database adapter
+ */
+
+import * as assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createMemoryAdapter } from '../server/database-memory';
+
+test('a failing update changes no document', async () => {
+  const vehicles = createMemoryAdapter().collection('vehicles');
+  await vehicles.insertMany([
+    { _id: 'a', model: 'adder', tags: [] },
+    { _id: 'b', model: 'banshee', tags: 'none' },
+  ]);
+
+  // $push fails on b after $set changed a and b
+  await assert.rejects(
+    vehicles.updateMany(
+      {},
+      { $set: { model: 'zentorno' }, $push: { tags: 1 } }
+    ),
+    /not an array/
+  );
+
+  assert.deepEqual(await vehicles.find({}), [
+    { _id: 'a', model: 'adder', tags: [] },
+    { _id: 'b', model: 'banshee', tags: 'none' },
+  ]);
+});
+
+test('updates count the documents they changed', async () => {
+  const vehicles = createMemoryAdapter().collection('vehicles');
+  await vehicles.insertMany([
+    { _id: 'a', model: 'adder' },
+    { _id: 'b', model: 'banshee' },
+  ]);
+
+  const result = await vehicles.updateMany({}, { $set: { model: 'adder' } });
+
+  assert.deepEqual(result, { matched: 2, modified: 1 });
+  assert.deepEqual(await vehicles.findOne({ _id: 'b' }), {
+    _id: 'b',
+    model: 'adder',
+  });
+});
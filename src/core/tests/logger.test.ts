@@ -0,0 +1,62 @@
+/**
+ * Tests of the logger: context values that JSON cannot hold
+ */
+
+import * as assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { TestServer, createTestServer } from '../../testing/server';
+
+let server: TestServer;
+
+before(async () => {
+  server = await createTestServer({ plugins: [] });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('circular context values are logged', () => {
+  const vehicle: Record<string, unknown> = { model: 'adder' };
+  vehicle.self = vehicle;
+
+  server.core.logger.info('Spawned', { vehicle });
+
+  assert.ok(
+    server
+      .logs('log')
+      .includes('[core] Spawned vehicle={"model":"adder","self":"[Circular]"}')
+  );
+});
+
+test('shared references are not circular', () => {
+  const position = { x: 1 };
+
+  server.core.logger.info('Moved', { route: { from: position, to: position } });
+
+  assert.ok(
+    server
+      .logs('log')
+      .includes('[core] Moved route={"from":{"x":1},"to":{"x":1}}')
+  );
+});
+
+test('BigInt context values are logged', () => {
+  server.core.logger.info('Paid', { amount: 10n, entry: { total: 20n } });
+
+  assert.ok(
+    server.logs('log').includes('[core] Paid amount=10 entry={"total":"20"}')
+  );
+});
+
+test('values that cannot be converted do not throw', () => {
+  const broken = {
+    toJSON: () => {
+      throw new Error('no JSON');
+    },
+    toString: () => 'broken value',
+  };
+
+  assert.doesNotThrow(() => server.core.logger.warn('Odd', { broken }));
+  assert.ok(server.logs('log').includes('[core] Odd broken=broken value'));
+});
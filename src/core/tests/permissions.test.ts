@@ -0,0 +1,41 @@
+/**
+ * Tests of permissions: who grants are stored for
+ */
+
+import * as assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { TestServer, createTestServer } from '../../testing/server';
+import { getRoles, grantRole, hasPermission } from '../server/permissions';
+
+let server: TestServer;
+
+before(async () => {
+  server = await createTestServer({ plugins: [] });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('grants follow the cloud ID, not the social ID', async () => {
+  const admin = await server.connectPlayer('Admin');
+  const impostor = await server.connectPlayer('Impostor');
+  impostor.socialID = admin.socialID;
+
+  grantRole(admin as any, 'admin');
+
+  assert.equal(hasPermission(admin as any, 'example.vehicle'), true);
+  assert.equal(hasPermission(impostor as any, 'example.vehicle'), false);
+  assert.deepEqual(getRoles(impostor as any), ['user']);
+});
+
+test('players not signed in to the cloud cannot be granted roles', async () => {
+  const guest = await server.connectPlayer('Guest', '');
+  guest.cloudAuthResult = server.alt.CloudAuthResult.VerifyFailed;
+
+  assert.throws(
+    () => grantRole(guest as any, 'admin'),
+    /not signed in to alt:V Cloud/
+  );
+  assert.deepEqual(getRoles(guest as any), ['user']);
+});
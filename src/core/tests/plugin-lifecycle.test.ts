@@ -0,0 +1,148 @@
+/**
+ * Tests of the plugin lifecycle: awaited hooks, timeouts and failed plugins
+ */
+
+import * as assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { advanceTime } from '../../testing/alt-shared';
+import { TestServer, createTestServer } from '../../testing/server';
+import {
+  getPluginStatuses,
+  handlePluginReload,
+} from '../server/plugin-manager';
+import { CORE_VERSION } from '../shared/session';
+
+// What the test plugins did, in order
+const events: string[] = [];
+
+// Resolves once the onLoad hook of the hanging plugin started
+let hangingStarted: () => void;
+const hanging = new Promise<void>((resolve) => {
+  hangingStarted = resolve;
+});
+
+let server: TestServer;
+
+before(async () => {
+  const starting = createTestServer({
+    plugins: [],
+    allowFailedPlugins: true,
+    testPlugins: {
+      slow: {
+        setup: () => ({
+          onLoad: async () => {
+            await new Promise((resolve) => setImmediate(resolve));
+            events.push('slow loaded');
+          },
+        }),
+      },
+      'after-slow': {
+        metadata: { dependencies: ['core', 'slow'] },
+        setup: (core) => ({
+          onLoad: () => {
+            const state = core.isPluginLoaded('slow') ? 'active' : 'inactive';
+            events.push(`after-slow saw slow ${state}`);
+          },
+        }),
+      },
+      hanging: {
+        metadata: { hookTimeout: 50 },
+        setup: () => ({
+          onLoad: () => {
+            hangingStarted();
+            return new Promise<void>(() => undefined);
+          },
+        }),
+      },
+      rejecting: {
+        setup: (core) => ({
+          onLoad: async () => {
+            core.on('test:ping', () => {
+              events.push('rejecting got ping');
+            });
+            throw new Error('no database');
+          },
+        }),
+      },
+      'needs-rejecting': {
+        metadata: { dependencies: ['core', 'rejecting'] },
+      },
+      'needs-newer-core': {
+        metadata: { dependencies: ['core@^2.0.0'] },
+      },
+      'reload-fails': {
+        setup: () => ({
+          onReload: async () => {
+            throw new Error('bad state');
+          },
+        }),
+      },
+    },
+  });
+
+  // The hanging hook holds up loading until its timeout passes
+  await hanging;
+  await advanceTime(50);
+  server = await starting;
+});
+
+after(async () => {
+  await server.stop();
+});
+
+/**
+ * Get the status of a plugin
+ * @param pluginId The ID of the plugin
+ */
+function statusOf(pluginId: string): { status: string; reason?: string } {
+  const status = getPluginStatuses().find(({ id }) => id === pluginId);
+  assert.ok(status, `${pluginId} has no status`);
+  return { status: status.status, reason: status.reason };
+}
+
+test('dependents start once their dependencies are active', () => {
+  assert.deepEqual(
+    events.filter((event) => event.includes('slow')),
+    ['slow loaded', 'after-slow saw slow active']
+  );
+  assert.equal(statusOf('after-slow').status, 'active');
+});
+
+test('a hook that does not finish in time fails the plugin', () => {
+  const { status, reason } = statusOf('hanging');
+
+  assert.equal(status, 'failed');
+  assert.match(reason ?? '', /^onLoad: .*Timed out after 50ms/);
+  assert.equal(server.core.isPluginLoaded('hanging'), false);
+});
+
+test('a rejecting onLoad hook fails the plugin and skips its dependents', () => {
+  const { status, reason } = statusOf('rejecting');
+  assert.equal(status, 'failed');
+  assert.match(reason ?? '', /no database/);
+
+  // What the plugin registered before failing is gone
+  server.core.emit('test:ping');
+  assert.ok(!events.includes('rejecting got ping'));
+
+  assert.deepEqual(statusOf('needs-rejecting'), {
+    status: 'skipped',
+    reason: 'Dependency rejecting failed to load',
+  });
+});
+
+test('a rejecting onReload hook fails the plugin', async () => {
+  assert.equal(statusOf('reload-fails').status, 'active');
+
+  await assert.rejects(handlePluginReload('reload-fails'), /bad state/);
+
+  assert.equal(statusOf('reload-fails').status, 'failed');
+  assert.equal(server.core.isPluginLoaded('reload-fails'), false);
+});
+
+test('a plugin that needs another core version is not loaded', () => {
+  assert.deepEqual(statusOf('needs-newer-core'), {
+    status: 'failed',
+    reason: `needs-newer-core requires core@^2.0.0, but core ${CORE_VERSION} is installed`,
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests of the client plugin loader: bundles imported from the resource
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { after, before, test } from 'node:test';
+import { TestClient, createTestClient } from '../../testing/client';
+
+let client: TestClient;
+
+before(async () => {
+  client = await createTestClient({ plugins: [] });
+});
+
+after(async () => {
+  await client.stop();
+});
+
+/**
+ * Write the client bundle of a plugin where the build puts it
+ * @param pluginId The ID of the plugin
+ * @param source The bundle
+ */
+function writeBundle(pluginId: string, source: string): void {
+  const file = path.join(
+    process.env.CORE_PLUGINS_DIR as string,
+    pluginId,
+    'client',
+    'index.js'
+  );
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, source);
+}
+
+/**
+ * Push a reload from the server and wait until the client handled it
+ * @param pluginId The ID of the plugin
+ * @param revision The revision of the rebuilt bundle
+ */
+async function pushReload(pluginId: string, revision: number): Promise<void> {
+  const reloaded = new Promise<void>((resolve) => {
+    client.core.once('core:hotReload', () => resolve());
+  });
+  await client.emitFromServer('core:hotReload', pluginId, revision);
+  await reloaded;
+}
+
+/**
+ * Count the messages logged that contain a text
+ */
+function countLogs(text: string): number {
+  return client.logs().filter((message) => message.includes(text)).length;
+}
+
+test('a reload imports the rebuilt bundle from the resource', async () => {
+  writeBundle('probe', `core.on('probe:ping', () => core.log('v1 pong'));`);
+  await pushReload('probe', 1);
+
+  client.core.emit('probe:ping');
+  assert.equal(countLogs('v1 pong'), 1);
+
+  writeBundle('probe', `core.on('probe:ping', () => core.log('v2 pong'));`);
+  await pushReload('probe', 2);
+
+  // The first revision's handler went with it
+  client.core.emit('probe:ping');
+  assert.equal(countLogs('v1 pong'), 1);
+  assert.equal(countLogs('v2 pong'), 1);
+});
+
+test('a bundle that throws is not loaded', async () => {
+  writeBundle('broken', `throw new Error('bad bundle');`);
+  await pushReload('broken', 1);
+
+  assert.ok(
+    client
+      .logs('error')
+      .some((message) => message.includes('Error loading plugin broken'))
+  );
+  assert.ok(client.logs().some((message) => message.includes('bad bundle')));
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests of enabling and disabling plugins, and the state kept across restarts
+ */
+
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import { after, before, test } from 'node:test';
+import {
+  TestPlugin,
+  TestServer,
+  createTestServer,
+} from '../../testing/server';
+import {
+  disablePlugin,
+  enablePlugin,
+  getPluginStatuses,
+  handlePluginReload,
+} from '../server/plugin-manager';
+
+const STATE_FILE = process.env.CORE_PLUGIN_STATE_FILE as string;
+
+// Plugins loading and unloading, in order
+const events: string[] = [];
+
+/**
+ * Create a test plugin that records when it loads and unloads
+ * @param pluginId The ID of the plugin
+ * @param metadata Its manifest metadata
+ */
+function recordingPlugin(
+  pluginId: string,
+  metadata: TestPlugin['metadata'] = {}
+): TestPlugin {
+  return {
+    metadata,
+    setup: () => ({
+      onLoad: () => {
+        events.push(`${pluginId} loaded`);
+      },
+      onUnload: async () => {
+        events.push(`${pluginId} unloaded`);
+      },
+    }),
+  };
+}
+
+let server: TestServer;
+
+before(async () => {
+  // Disabled before the server started
+  fs.writeFileSync(STATE_FILE, JSON.stringify({ disabled: ['sleeper'] }));
+
+  server = await createTestServer({
+    plugins: [],
+    testPlugins: {
+      base: recordingPlugin('base'),
+      child: recordingPlugin('child', { dependencies: ['core', 'base'] }),
+      frozen: recordingPlugin('frozen', { supportsHotReload: false }),
+      sleeper: recordingPlugin('sleeper'),
+    },
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+/**
+ * Get the status of a plugin
+ * @param pluginId The ID of the plugin
+ */
+function statusOf(pluginId: string): { status: string; reason?: string } {
+  const status = getPluginStatuses().find(({ id }) => id === pluginId);
+  assert.ok(status, `${pluginId} has no status`);
+  return { status: status.status, reason: status.reason };
+}
+
+/**
+ * Read the IDs of the disabled plugins from the state file
+ */
+function readDisabled(): string[] {
+  return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).disabled;
+}
+
+test('plugins disabled in the state file are not loaded', () => {
+  assert.equal(statusOf('sleeper').status, 'disabled');
+  assert.equal(server.core.isPluginLoaded('sleeper'), false);
+  assert.ok(!events.includes('sleeper loaded'));
+});
+
+test('disabling unloads the plugin and its dependents and saves it', async () => {
+  events.length = 0;
+
+  const change = await disablePlugin('base');
+
+  assert.deepEqual(change, {
+    affected: ['base', 'child'],
+    restartRequired: false,
+  });
+  assert.deepEqual(events, ['child unloaded', 'base unloaded']);
+  assert.equal(server.core.isPluginLoaded('base'), false);
+  assert.equal(server.core.isPluginLoaded('child'), false);
+  assert.deepEqual(statusOf('base'), { status: 'disabled', reason: undefined });
+  assert.deepEqual(statusOf('child'), {
+    status: 'skipped',
+    reason: 'Dependency base is disabled',
+  });
+  assert.deepEqual(readDisabled(), ['base', 'sleeper']);
+});
+
+test('a disabled plugin is not reloaded', async () => {
+  await assert.rejects(handlePluginReload('base'), /base is disabled/);
+  assert.equal(server.core.isPluginLoaded('base'), false);
+});
+
+test('enabling loads the plugin and its dependents again', async () => {
+  events.length = 0;
+
+  const change = await enablePlugin('base');
+
+  assert.deepEqual(change, {
+    affected: ['base', 'child'],
+    restartRequired: false,
+  });
+  assert.deepEqual(events, ['base loaded', 'child loaded']);
+  assert.equal(server.core.isPluginLoaded('base'), true);
+  assert.equal(server.core.isPluginLoaded('child'), true);
+  assert.equal(statusOf('child').status, 'active');
+  assert.deepEqual(readDisabled(), ['sleeper']);
+});
+
+test('plugins that cannot be hot reloaded are disabled on restart', async () => {
+  events.length = 0;
+
+  const change = await disablePlugin('frozen');
+
+  assert.deepEqual(change, { affected: [], restartRequired: true });
+  assert.deepEqual(events, []);
+  assert.equal(server.core.isPluginLoaded('frozen'), true);
+  assert.deepEqual(readDisabled(), ['frozen', 'sleeper']);
+});
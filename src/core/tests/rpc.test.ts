@@ -0,0 +1,51 @@
+/**
+ * Tests of server RPC: the namespaces procedures are registered in
+ */
+
+import * as assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { TestServer, createTestServer } from '../../testing/server';
+import { CoreAPI } from '../shared/interfaces';
+
+// The core API of the test plugin
+let pluginCore: CoreAPI;
+
+let server: TestServer;
+
+before(async () => {
+  server = await createTestServer({
+    plugins: [],
+    testPlugins: {
+      bank: {
+        setup: (core) => {
+          pluginCore = core;
+          return {};
+        },
+      },
+    },
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('plugins register procedures in their own namespace', () => {
+  assert.doesNotThrow(() => pluginCore.rpc.register('balance', () => 1));
+  assert.doesNotThrow(() => pluginCore.rpc.register('bank:deposit', () => 1));
+});
+
+test('plugins cannot register procedures of others', () => {
+  assert.throws(
+    () => pluginCore.rpc.register('core:prompt', () => 'stolen'),
+    /outside the namespace of bank/
+  );
+  assert.throws(
+    () => pluginCore.rpc.register('banking:balance', () => 0),
+    /outside the namespace of bank/
+  );
+});
+
+test('the core registers procedures in any namespace', () => {
+  assert.doesNotThrow(() => server.core.rpc.register('tools:ping', () => 1));
+});
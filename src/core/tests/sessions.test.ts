@@ -0,0 +1,41 @@
+/**
+ * Tests of player sessions: the handshake with players' clients
+ */
+
+import * as assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { flush } from '../../testing/alt-shared';
+import { TestServer, createTestServer } from '../../testing/server';
+import { CORE_VERSION, SESSION_READY_EVENT } from '../shared/session';
+
+let server: TestServer;
+
+before(async () => {
+  server = await createTestServer({ plugins: [] });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('a malformed ready event is ignored', async () => {
+  // The harness answers the handshake once the player's client is sent it
+  const player = server.alt.connectPlayer('Mallory');
+
+  server.alt.emitFromClient(player, SESSION_READY_EVENT, CORE_VERSION, null);
+  server.alt.emitFromClient(player, SESSION_READY_EVENT, 42, {});
+  server.alt.emitFromClient(player, SESSION_READY_EVENT, CORE_VERSION, {
+    'example-ts': 1,
+  });
+
+  assert.equal(server.getSession(player)?.state, 'connecting');
+  assert.equal(
+    server
+      .logs()
+      .filter((message) => message.includes('malformed ready event')).length,
+    3
+  );
+
+  await flush();
+  assert.equal(server.getSession(player)?.state, 'ready');
+});
@@ -0,0 +1,27 @@
+/**
+ * Tests of client WebViews: focus of views that were destroyed
+ */
+
+import * as assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { TestClient, createTestClient } from '../../testing/client';
+
+let client: TestClient;
+
+before(async () => {
+  client = await createTestClient({ plugins: [] });
+});
+
+after(async () => {
+  await client.stop();
+});
+
+test('a WebView destroyed by alt can still be unfocused', () => {
+  const webview = client.core.webviews.open('http://resource/ui.html');
+  assert.equal(client.alt.isCursorVisible(), true);
+
+  webview.view.destroy();
+
+  assert.doesNotThrow(() => webview.unfocus());
+  assert.equal(client.alt.isCursorVisible(), false);
+});
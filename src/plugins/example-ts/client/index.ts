@@ -5,13 +5,25 @@
 
 import * as alt from 'alt-client';
 import * as native from 'natives';
+import {
+  ClientCoreAPI,
+  ManagedWebView,
+} from '../../../core/shared/interfaces';
 
 // Access the core API
-const core = (globalThis as any).core;
+const core = (globalThis as any).core as ClientCoreAPI;
+
+// Messages between the client and the main UI
+type UIToPage = { updatePlayerInfo: [playerName: string] };
+type UIFromPage = { closeUI: [] };
+
+// Messages between the client and the debug UI
+type DebugToPage = { debugTest: [data: string] };
+type DebugFromPage = { testDebug: [message: string]; closeDebug: [] };
 
 // Webviews
-let webview: alt.WebView | null = null;
-let debugWebview: alt.WebView | null = null;
+let webview: ManagedWebView<UIToPage, UIFromPage> | null = null;
+let debugWebview: ManagedWebView<DebugToPage, DebugFromPage> | null = null;
 let uiVisible = false;
 let debugVisible = false;
 
@@ -40,8 +52,8 @@ function registerEventHandlers(): void {
   // Listen for notification events from the server
   alt.onServer('example:notification', showNotification);
 
-  // Listen for weapon giving events from the server
-  alt.onServer('example:giveWeapons', giveWeapons);
+  // Let the server give the player weapons, it awaits the result
+  core.rpc.register('giveWeapons', giveWeapons);
 
   // Listen for hot reload events from the core
   core.on('core:hotReload', (pluginId: string) => {
@@ -65,8 +77,8 @@ function registerKeyBindings(): void {
       healPlayer();
     }
 
-    // F4 key (115) to show debug webview
-    if (key === 115) {
+    // F4 key (115) to show debug webview, debug builds only
+    if (__DEBUG__ && key === 115) {
       toggleDebugUI();
     }
   });
@@ -89,57 +101,26 @@ function toggleUI(): void {
 function showUI(): void {
   if (webview) return;
 
-  try {
-    // Log the attempt to create a webview
-    core.log(
-      'Attempting to create WebView at: http://resource/client/html/index.html'
-    );
-
-    // Create a new webview with improved error handling
-    webview = new alt.WebView('http://resource/client/html/index.html');
+  // The core focuses the WebView, shows the cursor and hides the radar
+  webview = core.webviews.open<UIToPage, UIFromPage>(
+    'http://resource/client/html/index.html',
+    { hideRadar: true }
+  );
 
-    if (!webview) {
-      core.log('WebView creation failed - webview is null', 'error');
-      return;
-    }
+  // Handle events from the webview
+  webview.on('closeUI', () => {
+    core.log('Received closeUI event from WebView');
+    closeUI();
+  });
 
-    // Handle events from the webview
-    webview.on('closeUI', () => {
-      core.log('Received closeUI event from WebView');
-      closeUI();
-    });
-
-    // Listen for UI ready event
-    webview.on('uiReady', () => {
-      core.log('UI is ready - received uiReady event');
-
-      // Send player name to the WebView
-      const localPlayer = alt.Player.local;
-      if (localPlayer) {
-        core.log(`Sending player info to WebView: ${localPlayer.name}`);
-        webview?.emit('updatePlayerInfo', localPlayer.name);
-      } else {
-        core.log('Could not get local player info', 'warn');
-      }
-    });
-
-    // Add error event handler
-    webview.on('error', (errorMessage: string) => {
-      core.log(`WebView error event: ${errorMessage}`, 'error');
-    });
-
-    // Toggle cursor and make it visible when the UI is open
-    alt.showCursor(true);
-    native.displayRadar(false);
-
-    uiVisible = true;
-    core.log('UI opened successfully');
-  } catch (error) {
-    core.log(`Error creating WebView: ${error}`, 'error');
-    if (error instanceof Error && error.stack) {
-      core.log(`Error stack: ${error.stack}`, 'error');
-    }
+  // Queued until the page is ready
+  const localPlayer = alt.Player.local;
+  if (localPlayer) {
+    webview.emit('updatePlayerInfo', localPlayer.name);
   }
+
+  uiVisible = true;
+  core.log('UI opened successfully');
 }
 
 /**
@@ -151,23 +132,9 @@ function closeUI(): void {
     return;
   }
 
-  // Clean up the webview
-  try {
-    core.log('Destroying WebView');
-    webview.destroy();
-    core.log('WebView destroyed successfully');
-  } catch (error) {
-    core.log(`Error destroying WebView: ${error}`, 'error');
-    if (error instanceof Error && error.stack) {
-      core.log(`Error stack: ${error.stack}`, 'error');
-    }
-  }
+  webview.destroy();
   webview = null;
 
-  // Hide the cursor and restore the radar
-  alt.showCursor(false);
-  native.displayRadar(true);
-
   uiVisible = false;
   core.log('UI closed successfully');
 }
@@ -187,27 +154,28 @@ function showNotification(message: string): void {
 
 /**
  * Give weapons to the player
+ * @returns The number of weapons given
  */
-function giveWeapons(): void {
+function giveWeapons(): number {
   core.log('Giving weapons to player');
 
-  try {
-    const player = alt.Player.local;
-    if (player) {
-      // Basic weapons
-      native.giveWeaponToPed(player.scriptID, 0x1b06d571, 500, false, true); // Pistol
-      native.giveWeaponToPed(player.scriptID, 0x13532244, 500, false, false); // Micro SMG
-      native.giveWeaponToPed(player.scriptID, 0xa284510b, 500, false, false); // SMG
-
-      // Set player health and armor to max
-      native.setEntityHealth(player.scriptID, 200, 0, 0);
-      native.setPedArmour(player.scriptID, 100);
+  const player = alt.Player.local;
+  if (!player) {
+    throw new Error('Local player is not available');
+  }
 
-      showNotification('Weapons given!');
-    }
-  } catch (error) {
-    core.log(`Error giving weapons: ${error}`, 'error');
+  // Basic weapons
+  const weapons = [0x1b06d571, 0x13532244, 0xa284510b]; // Pistol, Micro SMG, SMG
+  for (const [index, weapon] of weapons.entries()) {
+    native.giveWeaponToPed(player.scriptID, weapon, 500, false, index === 0);
   }
+
+  // Set player health and armor to max
+  native.setEntityHealth(player.scriptID, 200, 0, 0);
+  native.setPedArmour(player.scriptID, 100);
+
+  showNotification('Weapons given!');
+  return weapons.length;
 }
 
 /**
@@ -248,54 +216,30 @@ function toggleDebugUI(): void {
 function showDebugUI(): void {
   if (debugWebview) return;
 
-  try {
-    // Log the attempt to create a debug webview
-    core.log(
-      'Attempting to create Debug WebView at: http://resource/client/html/debug.html'
-    );
-
-    // Create a new debug webview
-    debugWebview = new alt.WebView('http://resource/client/html/debug.html');
+  debugWebview = core.webviews.open<DebugToPage, DebugFromPage>(
+    'http://resource/client/html/debug.html'
+  );
 
-    if (!debugWebview) {
-      core.log('Debug WebView creation failed - webview is null', 'error');
-      return;
-    }
-
-    // Handle events from the debug webview
-    debugWebview.on('closeDebug', () => {
-      core.log('Received closeDebug event from Debug WebView');
-      closeDebugUI();
-    });
-
-    // Listen for debug ready event
-    debugWebview.on('debugReady', () => {
-      core.log('Debug UI is ready - received debugReady event');
-
-      // Send test data to the debug webview
-      debugWebview?.emit('debugTest', 'Test data from client');
-    });
+  // Handle events from the debug webview
+  debugWebview.on('closeDebug', () => {
+    core.log('Received closeDebug event from Debug WebView');
+    closeDebugUI();
+  });
 
-    // Listen for test event
-    debugWebview.on('testDebug', (message: string) => {
-      core.log(`Received testDebug event from Debug WebView: ${message}`);
+  // Listen for test event
+  debugWebview.on('testDebug', (message) => {
+    core.log(`Received testDebug event from Debug WebView: ${message}`);
 
-      // Send a notification
-      showNotification(`Debug WebView: ${message}`);
-    });
+    // Send a notification
+    showNotification(`Debug WebView: ${message}`);
+  });
 
-    // Toggle cursor and make it visible when the debug UI is open
-    alt.showCursor(true);
+  // Send test data to the debug webview once it is ready
+  debugWebview.emit('debugTest', 'Test data from client');
 
-    debugVisible = true;
-    core.log('Debug UI opened successfully');
-    showNotification('Debug UI opened (F4)');
-  } catch (error) {
-    core.log(`Error creating Debug WebView: ${error}`, 'error');
-    if (error instanceof Error && error.stack) {
-      core.log(`Error stack: ${error.stack}`, 'error');
-    }
-  }
+  debugVisible = true;
+  core.log('Debug UI opened successfully');
+  showNotification('Debug UI opened (F4)');
 }
 
 /**
@@ -307,24 +251,10 @@ function closeDebugUI(): void {
     return;
   }
 
-  // Clean up the debug webview
-  try {
-    core.log('Destroying Debug WebView');
-    debugWebview.destroy();
-    core.log('Debug WebView destroyed successfully');
-  } catch (error) {
-    core.log(`Error destroying Debug WebView: ${error}`, 'error');
-    if (error instanceof Error && error.stack) {
-      core.log(`Error stack: ${error.stack}`, 'error');
-    }
-  }
+  // The cursor stays visible if the main UI is still open
+  debugWebview.destroy();
   debugWebview = null;
 
-  // Only hide cursor if the main UI is not visible
-  if (!uiVisible) {
-    alt.showCursor(false);
-  }
-
   debugVisible = false;
   core.log('Debug UI closed successfully');
   showNotification('Debug UI closed');
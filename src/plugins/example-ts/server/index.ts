@@ -8,11 +8,58 @@ import {
   PluginMetadata,
   PluginLifecycle,
   CoreAPI,
+  PlayerSession,
 } from '../../../core/shared/interfaces';
+import '../shared/events';
+import { ExampleVehicleService } from '../shared/services';
 
 // Access the core API
 const core = (global as any).core as CoreAPI;
 
+/**
+ * A place players can spawn at
+ */
+interface SpawnPosition {
+  x: number;
+  y: number;
+  z: number;
+}
+
+// Spawn positions - variety of nice locations
+const DEFAULT_SPAWN_POSITIONS: SpawnPosition[] = [
+  { x: -1042.4601, y: -2745.4338, z: 21.3594 }, // Airport
+  { x: 80.4588, y: -1966.2541, z: 21.0369 }, // Grove Street
+  { x: -74.9482, y: -818.4858, z: 326.1745 }, // Maze Bank Tower top
+  { x: -1377.626, y: -2848.8601, z: 13.9455 }, // Beach
+  { x: 190.5618, y: -934.0596, z: 30.6866 }, // Legion Square
+];
+
+// Plugin configuration, overridable in config/example-ts.json or with
+// environment variables such as EXAMPLE_TS_DEFAULT_VEHICLE
+const config = core.config.define({
+  defaultVehicle: {
+    type: 'string',
+    default: 'adder',
+    description: 'Vehicle spawned by /vehicle when the prompt is left empty',
+  },
+  plateText: {
+    type: 'string',
+    default: 'ALTV',
+    description: 'Number plate of spawned vehicles',
+    validate: (value: string) =>
+      value.length > 8 ? 'must be at most 8 characters' : undefined,
+  },
+  spawnPositions: {
+    type: 'json',
+    default: DEFAULT_SPAWN_POSITIONS,
+    description: 'Places players spawn at, one is picked at random',
+    validate: (value: unknown) =>
+      isSpawnPositionList(value)
+        ? undefined
+        : 'must be a non-empty list of { x, y, z } positions',
+  },
+});
+
 // Plugin metadata
 const metadata: PluginMetadata = {
   id: 'example-ts',
@@ -35,6 +82,9 @@ const lifecycle: PluginLifecycle = {
 
     // Register chat commands
     registerChatCommands();
+
+    // Schedule jobs
+    scheduleJobs();
   },
 
   onUnload: () => {
@@ -48,17 +98,39 @@ const lifecycle: PluginLifecycle = {
   onDependencyReload: (dependencyId) => {
     core.log(`Dependency ${dependencyId} was reloaded`);
   },
+
+  onConfigChange: (changed) => {
+    core.log(`Config changed: ${changed.join(', ')}`);
+  },
 };
 
+/**
+ * Check whether a config value is a list of spawn positions
+ * @param value The value
+ * @returns True if the value is a non-empty list of positions
+ */
+function isSpawnPositionList(value: unknown): value is SpawnPosition[] {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every(
+      (position) =>
+        typeof position === 'object' &&
+        position !== null &&
+        ['x', 'y', 'z'].every((axis) => typeof position[axis] === 'number')
+    )
+  );
+}
+
 /**
  * Register event handlers for the plugin
  */
 function registerEventHandlers(): void {
-  // Listen for player connect events
-  alt.on('playerConnect', handlePlayerConnect);
+  // Spawn players once their client has loaded the plugins
+  core.sessions.onPlayerReady(handlePlayerReady);
 
-  // Listen for player disconnect events
-  alt.on('playerDisconnect', handlePlayerDisconnect);
+  // Clean up after players that leave, their session data is still readable
+  core.sessions.onPlayerLeave(handlePlayerLeave);
 
   // Listen for core events
   core.on('core:hotReload:complete', () => {
@@ -68,48 +140,95 @@ function registerEventHandlers(): void {
 
 /**
  * Register chat commands for the plugin
+ * They are removed by the core when the plugin unloads
  */
 function registerChatCommands(): void {
-  alt.on('chat:message', (player, message) => {
-    // Example command
-    if (message.startsWith('/example')) {
-      player.sendNotification('Example command executed!');
-      return;
-    }
-
-    // Vehicle spawn command
-    if (message.startsWith('/vehicle') || message.startsWith('/veh')) {
-      const args = message.split(' ');
-      let vehicleName = 'adder'; // Default vehicle
+  // Example command
+  core.commands.register({
+    name: 'example',
+    description: 'Show that the example plugin is running',
+    sources: ['chat'],
+    handler: ({ player }) => {
+      sendNotification(player, 'Example command executed!');
+    },
+  });
 
-      if (args.length >= 2) {
-        vehicleName = args[1].toLowerCase();
+  // Vehicle spawn command, asks for the model if none was given
+  core.commands.register({
+    name: 'vehicle',
+    aliases: ['veh'],
+    description: 'Spawn a vehicle in front of you',
+    args: [{ name: 'model', type: 'string', optional: true }],
+    sources: ['chat'],
+    permission: 'example.vehicle',
+    handler: ({ player }, { model }) => {
+      if (model) {
+        spawnVehicle(player, model.toLowerCase());
+      } else {
+        askForVehicle(player);
       }
+    },
+  });
+}
 
-      spawnVehicle(player, vehicleName);
-      return;
-    }
+/**
+ * Schedule the plugin's jobs
+ * They are cancelled by the core when the plugin unloads
+ */
+function scheduleJobs(): void {
+  // Log how many players are online every 15 minutes
+  core.scheduler.schedule('playerCount', '*/15 * * * *', () => {
+    core.logger.info('Players online', { count: alt.Player.all.length });
   });
 }
 
 /**
- * Handle player connect events
- * @param player The player that connected
+ * Ask a player which vehicle to spawn and spawn it
+ * @param player The player to ask
  */
-function handlePlayerConnect(player: alt.Player): void {
-  core.log(`Player connected: ${player.name}`);
+function askForVehicle(player: alt.Player): void {
+  core
+    .prompt(player, {
+      placeholder: `Vehicle model, empty for ${config.defaultVehicle}`,
+    })
+    .then((model) => {
+      // Cancelled prompts answer null, empty ones spawn the default
+      if (model !== null) {
+        const name = model.trim() || config.defaultVehicle;
+        spawnVehicle(player, name.toLowerCase());
+      }
+    })
+    .catch((error) =>
+      core.log(`Failed to ask ${player.name} for a vehicle: ${error}`, 'warn')
+    );
+}
+
+/**
+ * Handle players whose client is ready
+ * @param player The player
+ */
+function handlePlayerReady(player: alt.Player): void {
+  core.log(`Player ready: ${player.name}`);
 
   // Spawn the player
   spawnPlayer(player);
 }
 
 /**
- * Handle player disconnect events
+ * Handle players that disconnect
  * @param player The player that disconnected
+ * @param _session The session of the player
  * @param reason The reason for disconnection
  */
-function handlePlayerDisconnect(player: alt.Player, reason: string): void {
-  core.log(`Player disconnected: ${player.name}, Reason: ${reason}`);
+function handlePlayerLeave(
+  player: alt.Player,
+  _session: PlayerSession,
+  reason: string
+): void {
+  core.logger.info('Player disconnected', { player: player.name, reason });
+
+  // Remove the player's vehicle
+  destroyPlayerVehicle(player);
 }
 
 /**
@@ -117,49 +236,35 @@ function handlePlayerDisconnect(player: alt.Player, reason: string): void {
  * @param player The player to spawn
  */
 function spawnPlayer(player: alt.Player): void {
-  // Spawn positions - variety of nice locations
-  const spawnPositions = [
-    { x: -1042.4601, y: -2745.4338, z: 21.3594 }, // Airport
-    { x: 80.4588, y: -1966.2541, z: 21.0369 }, // Grove Street
-    { x: -74.9482, y: -818.4858, z: 326.1745 }, // Maze Bank Tower top
-    { x: -1377.626, y: -2848.8601, z: 13.9455 }, // Beach
-    { x: 190.5618, y: -934.0596, z: 30.6866 }, // Legion Square
-  ];
-
   // Select a random spawn position
+  const { spawnPositions } = config;
   const spawnPos =
     spawnPositions[Math.floor(Math.random() * spawnPositions.length)];
 
   try {
-    // Set player model
+    // Set the model and spawn, the client is ready so no delay is needed
     player.model = 'mp_m_freemode_01';
-
-    // Set player position with a small delay to ensure model is loaded
-    alt.setTimeout(() => {
-      try {
-        // Set position and spawn
-        player.spawn(spawnPos.x, spawnPos.y, spawnPos.z, 0);
-
-        // Ensure player is fully spawned before giving weapons
-        alt.setTimeout(() => {
-          // Example of giving the player some basic weapons
-          alt.emitClient(player, 'example:giveWeapons');
-
-          sendNotification(
-            player,
-            `Welcome to the server, ${player.name}! Press F2 or type /ui to toggle the UI`
-          );
-          core.log(
-            `Player ${player.name} spawned at ${spawnPos.x}, ${spawnPos.y}, ${spawnPos.z}`
-          );
-        }, 1000);
-      } catch (error) {
-        core.log(`Failed to spawn player ${player.name}: ${error}`, 'error');
-      }
-    }, 500);
+    player.spawn(spawnPos.x, spawnPos.y, spawnPos.z, 0);
   } catch (error) {
-    core.log(`Failed to set up player ${player.name}: ${error}`, 'error');
+    core.log(`Failed to spawn player ${player.name}: ${error}`, 'error');
+    return;
   }
+
+  // Example of giving the player some basic weapons
+  core.rpc
+    .callClient<number>(player, 'giveWeapons')
+    .then((count) => core.log(`Gave ${count} weapons to ${player.name}`))
+    .catch((error) =>
+      core.log(`Failed to give weapons to ${player.name}: ${error}`, 'error')
+    );
+
+  sendNotification(
+    player,
+    `Welcome to the server, ${player.name}! Press F2 or type /ui to toggle the UI`
+  );
+  core.log(
+    `Player ${player.name} spawned at ${spawnPos.x}, ${spawnPos.y}, ${spawnPos.z}`
+  );
 }
 
 /**
@@ -199,23 +304,42 @@ function spawnVehicle(player: alt.Player, vehicleName: string): void {
 
     // Check if vehicle was created successfully
     if (vehicle) {
-      core.log(`Spawned vehicle ${vehicleName} for player ${player.name}`);
+      // Players have one vehicle at a time, kept in their session
+      destroyPlayerVehicle(player);
+      core.sessions.setData(player, 'vehicle', vehicle);
+
+      core.logger.info('Spawned vehicle', {
+        player: player.name,
+        model: vehicleName,
+      });
+      core.emit('example:vehicleSpawned', player.id, vehicleName);
       sendNotification(player, `Vehicle ${vehicleName} spawned!`);
 
       // Set engine on and customize the vehicle
       vehicle.engineOn = true;
-      vehicle.numberPlateText = 'ALTV';
+      vehicle.numberPlateText = config.plateText;
       vehicle.primaryColor = Math.floor(Math.random() * 159);
       vehicle.secondaryColor = Math.floor(Math.random() * 159);
     } else {
       sendNotification(player, `Failed to spawn vehicle: ${vehicleName}`);
     }
   } catch (error) {
-    core.log(`Error spawning vehicle: ${error}`, 'error');
+    core.logger.error('Error spawning vehicle', { model: vehicleName, error });
     sendNotification(player, `Failed to spawn vehicle: ${error}`);
   }
 }
 
+/**
+ * Destroy the vehicle a player spawned last, if it still exists
+ * @param player The player
+ */
+function destroyPlayerVehicle(player: alt.Player): void {
+  const vehicle = core.sessions.getData<alt.Vehicle>(player, 'vehicle');
+  if (vehicle?.valid) {
+    vehicle.destroy();
+  }
+}
+
 /**
  * Send a notification to a player
  * @param player The player to send the notification to
@@ -229,5 +353,12 @@ function sendNotification(player: alt.Player, message: string): void {
   }
 }
 
+// Services other plugins can use through core.getService
+const vehicleService: ExampleVehicleService = {
+  spawnVehicle,
+};
+
 // Register the plugin with the core resource
-core.registerPlugin(metadata, lifecycle);
+core.registerPlugin(metadata, lifecycle, {
+  'example:vehicles': vehicleService,
+});
@@ -0,0 +1,13 @@
+/**
+ * Events the example plugin emits on the core event bus
+ * Other plugins import this module to get typed handlers for these events
+ */
+
+declare module '../../../core/shared/interfaces' {
+  interface CoreEventMap {
+    /** A player spawned a vehicle with /vehicle (server) */
+    'example:vehicleSpawned': [playerId: number, model: string];
+  }
+}
+
+export {};
@@ -0,0 +1,20 @@
+/**
+ * Services the example plugin provides to other plugins
+ * Other plugins import this module to get typed services from the core
+ */
+
+import type * as alt from 'alt-server';
+
+/**
+ * Spawns vehicles for players
+ */
+export interface ExampleVehicleService {
+  /** Spawn a vehicle in front of a player */
+  spawnVehicle: (player: alt.Player, vehicleName: string) => void;
+}
+
+declare module '../../../core/shared/interfaces' {
+  interface CoreServiceMap {
+    'example:vehicles': ExampleVehicleService;
+  }
+}
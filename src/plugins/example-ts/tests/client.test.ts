@@ -0,0 +1,57 @@
+/**
+ * Tests of the example plugin's client side
+ */
+
+import * as assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { TestClient, createTestClient } from '../../../testing/client';
+
+let client: TestClient;
+
+before(async () => {
+  client = await createTestClient({
+    plugins: ['example-ts'],
+    playerName: 'Alice',
+  });
+});
+
+after(async () => {
+  await client.stop();
+});
+
+test('tells the server the client is ready', () => {
+  client.assertServerEvent('core:clientReady', '1.0.0', {
+    'example-ts': '1.0.0',
+  });
+});
+
+test('F2 toggles the UI', async () => {
+  await client.pressKey(113);
+
+  const [webview] = client.webviews();
+  assert.ok(webview);
+  assert.equal(webview.url, 'http://resource/client/html/index.html');
+  assert.equal(client.alt.isCursorVisible(), true);
+
+  // Messages wait until the page is ready
+  assert.deepEqual(webview.sent, []);
+  webview.emitFromPage('core:webviewReady');
+  assert.deepEqual(webview.sent, [
+    { eventName: 'updatePlayerInfo', args: ['Alice'] },
+  ]);
+
+  await client.pressKey(113);
+
+  assert.equal(client.webviews().length, 0);
+  assert.equal(client.alt.isCursorVisible(), false);
+});
+
+test('gives the player weapons when the server asks', async () => {
+  const count = await client.callRpc<number>('example-ts:giveWeapons');
+
+  assert.equal(count, 3);
+  assert.equal(client.nativeCalls('giveWeaponToPed').length, 3);
+  assert.deepEqual(client.nativeCalls('addTextComponentSubstringPlayerName'), [
+    { name: 'addTextComponentSubstringPlayerName', args: ['Weapons given!'] },
+  ]);
+});
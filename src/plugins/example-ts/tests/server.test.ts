@@ -0,0 +1,104 @@
+/**
+ * Tests of the example plugin's server side
+ */
+
+import * as assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import type { Vehicle } from '../../../testing/alt-server';
+import { TestServer, createTestServer } from '../../../testing/server';
+
+const SPAWN_POSITION = { x: 100, y: 200, z: 30 };
+
+let server: TestServer;
+
+before(async () => {
+  server = await createTestServer({
+    plugins: ['example-ts'],
+    config: { 'example-ts': { spawnPositions: [SPAWN_POSITION] } },
+  });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('spawns connecting players and gives them weapons', async () => {
+  server.handleClientRpc('example-ts:giveWeapons', () => 3);
+
+  const player = await server.connectPlayer('Alice');
+
+  assert.equal(server.getSession(player)?.state, 'ready');
+  assert.equal(player.model, 'mp_m_freemode_01');
+  assert.equal(player.spawned, true);
+  assert.deepEqual(
+    { x: player.pos.x, y: player.pos.y, z: player.pos.z },
+    SPAWN_POSITION
+  );
+  server.assertClientEvent(
+    player,
+    'example:notification',
+    'Welcome to the server, Alice! Press F2 or type /ui to toggle the UI'
+  );
+  assert.ok(
+    server.logs().some((message) => message.includes('Gave 3 weapons'))
+  );
+});
+
+test('/vehicle needs the example.vehicle permission', async () => {
+  const player = await server.connectPlayer('Bob');
+
+  await server.chat(player, '/vehicle infernus');
+
+  server.assertClientEvent(
+    player,
+    'chat:message',
+    null,
+    "You don't have permission to use /vehicle"
+  );
+  assert.equal(server.alt.Vehicle.all.length, 0);
+});
+
+test('/vehicle spawns a vehicle in front of the player', async () => {
+  const player = await server.connectPlayer('Carol');
+  server.grantPermission(player, 'example.vehicle');
+  const spawned: unknown[][] = [];
+  server.core.on('example:vehicleSpawned', (...args) => {
+    spawned.push(args);
+  });
+
+  await server.chat(player, '/vehicle Infernus');
+
+  const [vehicle] = server.alt.Vehicle.all;
+  assert.ok(vehicle);
+  assert.equal(vehicle.model, 'infernus');
+  assert.equal(vehicle.numberPlateText, 'ALTV');
+  assert.equal(vehicle.engineOn, true);
+  assert.deepEqual(spawned, [[player.id, 'infernus']]);
+  server.assertClientEvent(
+    player,
+    'example:notification',
+    'Vehicle infernus spawned!'
+  );
+});
+
+test('players keep one vehicle, removed when they disconnect', async () => {
+  const player = await server.connectPlayer('Dave');
+  server.grantPermission(player, 'example.vehicle');
+  const vehicleCount = server.alt.Vehicle.all.length;
+
+  await server.chat(player, '/vehicle adder');
+  await server.chat(player, '/vehicle zentorno');
+
+  const vehicle = server.getSessionData<Vehicle>(player, 'example-ts:vehicle');
+  assert.equal(server.alt.Vehicle.all.length, vehicleCount + 1);
+  assert.equal(vehicle?.model, 'zentorno');
+
+  await server.disconnectPlayer(player, 'Quit');
+
+  assert.equal(vehicle?.valid, false);
+  assert.equal(server.alt.Vehicle.all.length, vehicleCount);
+  assert.equal(server.getSession(player), null);
+  assert.ok(
+    server.logs().some((message) => message.includes('Player disconnected'))
+  );
+});
@@ -0,0 +1,326 @@
+/**
+ * In-memory alt-client for tests
+ * Records events sent to the server, lets the test act as the server and as
+ * WebView pages, and reads resource files from the built plugins. Test bundles
+ * alias alt-client to this file, see scripts/test.js
+ */
+
+import * as fs from 'fs';
+import { register } from 'node:module';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  BaseObject,
+  Vector3,
+  createEventRegistry,
+  createObjectClass,
+} from './alt-shared.js';
+
+export * from './alt-shared.js';
+
+/**
+ * An event sent to the server
+ */
+export interface ServerEvent {
+  eventName: string;
+  args: unknown[];
+}
+
+// Events sent by the server
+const serverEvents = createEventRegistry();
+export const onServer = serverEvents.on;
+export const onceServer = serverEvents.once;
+export const offServer = serverEvents.off;
+
+// Every event sent to the server, in order
+export const sentServerEvents: ServerEvent[] = [];
+
+// Called for every event sent to the server, e.g. to answer RPC calls
+const serverEventHooks = new Set<(event: ServerEvent) => void>();
+
+// Fonts loaded with loadRmlFont, by name
+export const loadedRmlFonts = new Map<string, string>();
+
+// How many times the cursor is shown, as alt counts it
+let cursorCount = 0;
+
+let gameControls = true;
+
+/**
+ * Base of objects with a position
+ */
+export class WorldObject extends BaseObject {
+  pos = new Vector3(0, 0, 0);
+}
+
+/**
+ * The local player
+ */
+export class Player extends WorldObject {
+  static local = new Player('Player', 1);
+
+  name: string;
+  scriptID: number;
+  health = 200;
+  armour = 0;
+
+  constructor(name: string, scriptID: number) {
+    super();
+    this.name = name;
+    this.scriptID = scriptID;
+  }
+}
+
+/**
+ * A WebView
+ * The test plays the page: emitFromPage sends events to the client, events
+ * the client sends are recorded in sent
+ */
+export class WebView extends BaseObject {
+  readonly url: string;
+  readonly overlay: boolean;
+  focused = false;
+  isVisible = true;
+
+  /** Events the client sent to the page, in order */
+  readonly sent: ServerEvent[] = [];
+
+  private readonly pageEvents = createEventRegistry();
+
+  constructor(url: string, overlay = false) {
+    super(url, overlay);
+    this.url = url;
+    this.overlay = overlay;
+  }
+
+  on(eventName: string, handler: (...args: any[]) => void): void {
+    this.pageEvents.on(eventName, handler);
+  }
+
+  once(eventName: string, handler: (...args: any[]) => void): void {
+    this.pageEvents.once(eventName, handler);
+  }
+
+  off(eventName: string, handler: (...args: any[]) => void): void {
+    this.pageEvents.off(eventName, handler);
+  }
+
+  emit(eventName: string, ...args: unknown[]): void {
+    this.sent.push({ eventName, args });
+  }
+
+  focus(): void {
+    this.assertValid();
+    this.focused = true;
+  }
+
+  unfocus(): void {
+    this.assertValid();
+    this.focused = false;
+  }
+
+  // alt throws when a destroyed WebView is used
+  private assertValid(): void {
+    if (!this.valid) {
+      throw new Error('WebView is already destroyed');
+    }
+  }
+
+  /** Send an event from the page to the client */
+  emitFromPage(eventName: string, ...args: unknown[]): void {
+    this.pageEvents.emit(eventName, ...args);
+  }
+}
+
+/**
+ * An element of an RmlUI document
+ * The test plays the player: trigger fires the element's event handlers
+ */
+export class RmlElement {
+  readonly id: string;
+  innerRML = '';
+  focused = false;
+  private readonly attributes = new Map<string, string>();
+  private readonly events = createEventRegistry();
+
+  constructor(id: string) {
+    this.id = id;
+  }
+
+  on(eventName: string, handler: (...args: any[]) => void): void {
+    this.events.on(eventName, handler);
+  }
+
+  off(eventName: string, handler: (...args: any[]) => void): void {
+    this.events.off(eventName, handler);
+  }
+
+  getAttribute(name: string): string | null {
+    return this.attributes.get(name) ?? null;
+  }
+
+  setAttribute(name: string, value: string): void {
+    this.attributes.set(name, value);
+  }
+
+  focus(): void {
+    this.focused = true;
+  }
+
+  /** Fire an event of the element, as if the player caused it */
+  trigger(eventName: string, ...args: unknown[]): void {
+    this.events.emit(eventName, this, ...args);
+  }
+}
+
+/**
+ * An RmlUI document
+ * Every element ID exists, elements are created when first asked for
+ */
+export class RmlDocument extends BaseObject {
+  readonly url: string;
+  shown = false;
+  focused = false;
+  private readonly elements = new Map<string, RmlElement>();
+
+  constructor(url: string) {
+    super(url);
+    this.url = url;
+  }
+
+  getElementByID(id: string): RmlElement {
+    let element = this.elements.get(id);
+    if (!element) {
+      element = new RmlElement(id);
+      this.elements.set(id, element);
+    }
+    return element;
+  }
+
+  show(_isModal = false, focused = true): void {
+    this.shown = true;
+    this.focused = focused;
+  }
+
+  hide(): void {
+    this.shown = false;
+    this.focused = false;
+  }
+
+  focus(): void {
+    this.focused = true;
+  }
+
+  unfocus(): void {
+    this.focused = false;
+  }
+}
+
+// Objects the tests only need to create and destroy
+export const LocalVehicle = createObjectClass('LocalVehicle');
+export const LocalPed = createObjectClass('LocalPed');
+export const LocalObject = createObjectClass('LocalObject');
+export const Checkpoint = createObjectClass('Checkpoint');
+export const Marker = createObjectClass('Marker');
+export const TextLabel = createObjectClass('TextLabel');
+export const PointBlip = createObjectClass('PointBlip');
+export const AreaBlip = createObjectClass('AreaBlip');
+export const RadiusBlip = createObjectClass('RadiusBlip');
+export const Audio = createObjectClass('Audio');
+export const VirtualEntity = createObjectClass('VirtualEntity');
+export const VirtualEntityGroup = createObjectClass('VirtualEntityGroup');
+
+/**
+ * Files of the core resource
+ * Paths starting with / are read from the directory the plugins are copied
+ * into, the same layout as resources/main/core
+ */
+export const File = {
+  exists: (file: string): boolean => fs.existsSync(resolveFile(file)),
+  read: (file: string): string => fs.readFileSync(resolveFile(file), 'utf8'),
+};
+
+// Imports of resource paths, like /plugins/<id>/client/index.js, resolve to
+// the same directory as File. Queries such as ?v=2 are kept, so every
+// revision of a bundle is imported again as it is in alt:V
+const RESOURCE_IMPORT_HOOKS = `
+let root;
+export function initialize(data) {
+  root = data.root;
+}
+export async function resolve(specifier, context, nextResolve) {
+  if (!specifier.startsWith('/')) {
+    return nextResolve(specifier, context);
+  }
+  return { url: new URL('.' + specifier, root).href, shortCircuit: true };
+}
+`;
+register(`data:text/javascript,${encodeURIComponent(RESOURCE_IMPORT_HOOKS)}`, {
+  data: { root: pathToFileURL(resolveFile('/') + path.sep).href },
+});
+
+/**
+ * Send an event to the server
+ */
+export function emitServer(eventName: string, ...args: unknown[]): void {
+  const event = { eventName, args };
+  sentServerEvents.push(event);
+  for (const hook of serverEventHooks) {
+    hook(event);
+  }
+}
+
+export const emitServerRaw = emitServer;
+
+export function showCursor(state: boolean): void {
+  cursorCount += state ? 1 : -1;
+  if (cursorCount < 0) {
+    cursorCount = 0;
+    throw new Error('Cannot hide the cursor more often than it was shown');
+  }
+}
+
+export function isCursorVisible(): boolean {
+  return cursorCount > 0;
+}
+
+export function toggleGameControls(state: boolean): void {
+  gameControls = state;
+}
+
+export function gameControlsEnabled(): boolean {
+  return gameControls;
+}
+
+export function loadRmlFont(file: string, name: string): void {
+  loadedRmlFonts.set(name, file);
+}
+
+/**
+ * Handle events sent to the server as they are sent
+ * @param hook Called with every event
+ * @returns A function that removes the hook
+ */
+export function onServerEventSent(
+  hook: (event: ServerEvent) => void
+): () => void {
+  serverEventHooks.add(hook);
+  return () => serverEventHooks.delete(hook);
+}
+
+/**
+ * Send an event from the server to the client
+ * @param eventName The name of the event
+ * @param args The arguments of the event
+ */
+export function emitFromServer(eventName: string, ...args: unknown[]): void {
+  serverEvents.emit(eventName, ...args);
+}
+
+/**
+ * Map a resource path to a file on disk
+ */
+function resolveFile(file: string): string {
+  const root = path.dirname(process.env.CORE_PLUGINS_DIR ?? '');
+  return path.join(root, file.replace(/^\/+/, ''));
+}
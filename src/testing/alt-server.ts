@@ -0,0 +1,272 @@
+/**
+ * In-memory alt-server for tests
+ * Players are created by the test, client events they are sent are recorded
+ * and entities keep the values they are given. Test bundles alias alt-server
+ * to this file, see scripts/test.js
+ */
+
+import {
+  BaseObject,
+  Vector3,
+  createEventRegistry,
+  createObjectClass,
+  emit,
+} from './alt-shared.js';
+
+export * from './alt-shared.js';
+
+/**
+ * An event sent to a player's client
+ */
+export interface ClientEvent {
+  player: Player;
+  eventName: string;
+  args: unknown[];
+}
+
+type Position = { x: number; y: number; z: number };
+
+// Events sent by clients
+const clientEvents = createEventRegistry();
+export const onClient = clientEvents.on;
+export const onceClient = clientEvents.once;
+export const offClient = clientEvents.off;
+
+// Every event sent to a client, in order
+export const sentClientEvents: ClientEvent[] = [];
+
+// Called for every event sent to a client, e.g. to answer RPC calls
+const clientEventHooks = new Set<(event: ClientEvent) => void>();
+
+// Resources restarted with restartResource
+export const restartedResources: string[] = [];
+
+let nextPlayerNumber = 1;
+
+/**
+ * Outcome of a player's alt:V Cloud sign-in
+ */
+export enum CloudAuthResult {
+  Success,
+  NoBenefit,
+  VerifyFailed,
+}
+
+/**
+ * Base of objects with a position
+ */
+export class WorldObject extends BaseObject {
+  pos = new Vector3(0, 0, 0);
+  dimension = 0;
+}
+
+/**
+ * Base of players, vehicles and peds
+ */
+export class Entity extends WorldObject {
+  rot = new Vector3(0, 0, 0);
+  model: number | string = 0;
+  visible = true;
+  frozen = false;
+  streamed = true;
+}
+
+/**
+ * A connected player
+ */
+export class Player extends Entity {
+  name: string;
+  socialID: string;
+  cloudID: string;
+  cloudAuthResult = CloudAuthResult.Success;
+  ip = '127.0.0.1';
+  ping = 0;
+  health = 200;
+  maxHealth = 200;
+  armour = 0;
+  maxArmour = 100;
+  vehicle: Vehicle | null = null;
+  spawned = false;
+
+  /** Why the player was kicked, if they were */
+  kickReason: string | null = null;
+
+  constructor(name = `Player${nextPlayerNumber}`, cloudID?: string) {
+    super();
+    const number = nextPlayerNumber++;
+    this.name = name;
+    this.socialID = String(number);
+    this.cloudID = cloudID ?? `cloud-${number}`;
+  }
+
+  static get all(): Player[] {
+    return super.all;
+  }
+
+  spawn(
+    x: number | Position,
+    y?: number,
+    z?: number,
+    _delay?: number
+  ): void {
+    this.pos =
+      typeof x === 'object' ? new Vector3(x) : new Vector3(x, y ?? 0, z ?? 0);
+    this.spawned = true;
+  }
+
+  despawn(): void {
+    this.spawned = false;
+  }
+
+  emit(eventName: string, ...args: unknown[]): void {
+    emitClient(this, eventName, ...args);
+  }
+
+  kick(reason = ''): void {
+    this.kickReason = reason;
+    disconnectPlayer(this, reason);
+  }
+}
+
+/**
+ * A vehicle
+ */
+export class Vehicle extends Entity {
+  engineOn = false;
+  locked = false;
+  numberPlateText = '';
+  primaryColor = 0;
+  secondaryColor = 0;
+  driver: Player | null = null;
+
+  constructor(
+    model: number | string,
+    x: number | Position,
+    y: number | Position,
+    z?: number,
+    rx?: number,
+    ry?: number,
+    rz?: number
+  ) {
+    super(model, x, y, z, rx, ry, rz);
+    this.model = model;
+    if (typeof x === 'object' && typeof y === 'object') {
+      this.pos = new Vector3(x);
+      this.rot = new Vector3(y);
+    } else {
+      this.pos = new Vector3(Number(x), Number(y), z ?? 0);
+      this.rot = new Vector3(rx ?? 0, ry ?? 0, rz ?? 0);
+    }
+  }
+
+  static get all(): Vehicle[] {
+    return super.all;
+  }
+}
+
+// Objects the tests only need to create and destroy
+export const Ped = createObjectClass('Ped');
+export const Object = createObjectClass('Object');
+export const Checkpoint = createObjectClass('Checkpoint');
+export const Marker = createObjectClass('Marker');
+export const PointBlip = createObjectClass('PointBlip');
+export const AreaBlip = createObjectClass('AreaBlip');
+export const RadiusBlip = createObjectClass('RadiusBlip');
+export const ColshapeCircle = createObjectClass('ColshapeCircle');
+export const ColshapeCuboid = createObjectClass('ColshapeCuboid');
+export const ColshapeCylinder = createObjectClass('ColshapeCylinder');
+export const ColshapePolygon = createObjectClass('ColshapePolygon');
+export const ColshapeRectangle = createObjectClass('ColshapeRectangle');
+export const ColshapeSphere = createObjectClass('ColshapeSphere');
+export const VirtualEntity = createObjectClass('VirtualEntity');
+export const VirtualEntityGroup = createObjectClass('VirtualEntityGroup');
+export const VoiceChannel = createObjectClass('VoiceChannel');
+
+/**
+ * Send an event to a player's client
+ */
+export function emitClient(
+  player: Player | Player[] | null,
+  eventName: string,
+  ...args: unknown[]
+): void {
+  const players = player === null ? Player.all : [player].flat();
+  for (const target of players) {
+    if (!target.valid) {
+      throw new Error(`Cannot emit ${eventName} to a disconnected player`);
+    }
+
+    const event = { player: target, eventName, args };
+    sentClientEvents.push(event);
+    for (const hook of clientEventHooks) {
+      hook(event);
+    }
+  }
+}
+
+export const emitClientRaw = emitClient;
+
+/**
+ * Send an event to every client
+ */
+export function emitAllClients(eventName: string, ...args: unknown[]): void {
+  emitClient(null, eventName, ...args);
+}
+
+export const emitAllClientsRaw = emitAllClients;
+
+export function restartResource(name: string): void {
+  restartedResources.push(name);
+}
+
+/**
+ * Handle events sent to clients as they are sent
+ * @param hook Called with every event
+ * @returns A function that removes the hook
+ */
+export function onClientEventSent(
+  hook: (event: ClientEvent) => void
+): () => void {
+  clientEventHooks.add(hook);
+  return () => clientEventHooks.delete(hook);
+}
+
+/**
+ * Connect a player, as if they joined the server
+ * @param name The name of the player
+ * @param cloudID The alt:V Cloud ID, unique by default
+ * @returns The player
+ */
+export function connectPlayer(name?: string, cloudID?: string): Player {
+  const player = new Player(name, cloudID);
+  emit('playerConnect', player);
+  return player;
+}
+
+/**
+ * Disconnect a player, as if they left the server
+ * @param player The player
+ * @param reason The reason passed to playerDisconnect handlers
+ */
+export function disconnectPlayer(player: Player, reason = 'Disconnected'): void {
+  if (!player.valid) {
+    return;
+  }
+
+  emit('playerDisconnect', player, reason);
+  player.destroy();
+}
+
+/**
+ * Send an event from a player's client to the server
+ * @param player The player
+ * @param eventName The name of the event
+ * @param args The arguments of the event
+ */
+export function emitFromClient(
+  player: Player,
+  eventName: string,
+  ...args: unknown[]
+): void {
+  clientEvents.emit(eventName, player, ...args);
+}
@@ -0,0 +1,319 @@
+/**
+ * In-memory alt-shared for tests
+ * Logging, local events, timers on a virtual clock and the base classes the
+ * alt-server and alt-client fakes build on. Test bundles alias alt-shared to
+ * this file, see scripts/test.js
+ */
+
+type Listener = (...args: any[]) => unknown;
+
+/**
+ * A line logged through alt
+ */
+export interface LogEntry {
+  level: 'log' | 'warning' | 'error' | 'debug';
+  message: string;
+}
+
+/**
+ * A timer on the virtual clock
+ */
+interface Timer {
+  id: number;
+  due: number;
+  handler: Listener;
+
+  /** Milliseconds between runs of a repeating timer */
+  interval?: number;
+
+  /** Whether the timer runs on every tick instead of at a time */
+  everyTick?: boolean;
+}
+
+// Every line logged since the process started
+export const logs: LogEntry[] = [];
+
+// Whether logs are printed as well, set CORE_TEST_LOGS to see them
+const PRINT_LOGS = Boolean(process.env.CORE_TEST_LOGS);
+
+// Timers by ID
+const timers = new Map<number, Timer>();
+
+let nextTimerId = 1;
+
+// Virtual time in milliseconds, only advanced by advanceTime
+let now = 0;
+
+/**
+ * Record a log line
+ */
+function record(level: LogEntry['level'], args: unknown[]): void {
+  const message = args.map(String).join(' ');
+  logs.push({ level, message });
+
+  if (PRINT_LOGS) {
+    const print = level === 'error' ? console.error : console.log;
+    print(`[${level}] ${message.replace(/~\w+~/g, '')}`);
+  }
+}
+
+export const log = (...args: unknown[]): void => record('log', args);
+export const logWarning = (...args: unknown[]): void =>
+  record('warning', args);
+export const logError = (...args: unknown[]): void => record('error', args);
+export const logDebug = (...args: unknown[]): void => record('debug', args);
+
+/**
+ * Create an event registry like the one behind alt.on and alt.onServer
+ * A listener registered without an event name receives every event, with
+ * the event name first
+ * @returns Functions to register, unregister and emit events
+ */
+export function createEventRegistry() {
+  const listeners: Array<{
+    eventName: string | null;
+    handler: Listener;
+    once: boolean;
+  }> = [];
+
+  const add =
+    (once: boolean) =>
+    (...args: any[]): void => {
+      const [eventName, handler] =
+        typeof args[0] === 'function' ? [null, args[0]] : args;
+      listeners.push({ eventName, handler, once });
+    };
+
+  return {
+    on: add(false),
+    once: add(true),
+    off: (...args: any[]): void => {
+      const [eventName, handler] =
+        typeof args[0] === 'function' ? [null, args[0]] : args;
+      const index = listeners.findIndex(
+        (entry) => entry.eventName === eventName && entry.handler === handler
+      );
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+    emit: (eventName: string, ...args: unknown[]): void => {
+      for (const entry of [...listeners]) {
+        if (entry.eventName !== null && entry.eventName !== eventName) {
+          continue;
+        }
+
+        if (entry.once) {
+          listeners.splice(listeners.indexOf(entry), 1);
+        }
+
+        // alt logs errors of handlers instead of passing them on
+        try {
+          if (entry.eventName === null) {
+            entry.handler(eventName, ...args);
+          } else {
+            entry.handler(...args);
+          }
+        } catch (error) {
+          logError(`Error in handler for ${eventName}: ${error}`);
+        }
+      }
+    },
+    count: (eventName: string): number =>
+      listeners.filter((entry) => entry.eventName === eventName).length,
+  };
+}
+
+// Local events
+const localEvents = createEventRegistry();
+export const on = localEvents.on;
+export const once = localEvents.once;
+export const off = localEvents.off;
+export const emit = localEvents.emit;
+
+/**
+ * Start a timer
+ */
+function addTimer(timer: Omit<Timer, 'id'>): number {
+  const id = nextTimerId++;
+  timers.set(id, { id, ...timer });
+  return id;
+}
+
+export const setTimeout = (handler: Listener, ms = 0): number =>
+  addTimer({ due: now + Math.max(0, ms), handler });
+export const setInterval = (handler: Listener, ms: number): number =>
+  addTimer({
+    due: now + Math.max(1, ms),
+    handler,
+    interval: Math.max(1, ms),
+  });
+export const nextTick = (handler: Listener): number =>
+  addTimer({ due: now, handler });
+export const everyTick = (handler: Listener): number =>
+  addTimer({ due: now, handler, everyTick: true });
+
+export const clearTimer = (id: number): void => {
+  timers.delete(id);
+};
+export const clearTimeout = clearTimer;
+export const clearInterval = clearTimer;
+export const clearNextTick = clearTimer;
+export const clearEveryTick = clearTimer;
+
+/**
+ * Let pending promise callbacks run
+ */
+export async function flush(): Promise<void> {
+  for (let round = 0; round < 3; round++) {
+    await new Promise((resolve) => globalThis.setImmediate(resolve));
+  }
+}
+
+/**
+ * Move the virtual clock forward, running every timer that comes due
+ * Timers run in the order they are due, every-tick handlers once per call
+ * @param ms How far to move the clock, in milliseconds
+ */
+export async function advanceTime(ms = 0): Promise<void> {
+  const target = now + ms;
+  await flush();
+
+  for (;;) {
+    const [timer] = [...timers.values()]
+      .filter((candidate) => !candidate.everyTick && candidate.due <= target)
+      .sort((a, b) => a.due - b.due || a.id - b.id);
+    if (!timer) {
+      break;
+    }
+
+    now = timer.due;
+    if (timer.interval) {
+      timer.due += timer.interval;
+    } else {
+      timers.delete(timer.id);
+    }
+
+    runTimer(timer);
+    await flush();
+  }
+
+  now = target;
+  for (const timer of [...timers.values()]) {
+    if (timer.everyTick) {
+      runTimer(timer);
+    }
+  }
+  await flush();
+}
+
+/**
+ * Run a timer's handler, logging errors as alt does
+ */
+function runTimer(timer: Timer): void {
+  try {
+    timer.handler();
+  } catch (error) {
+    logError(`Error in timer ${timer.id}: ${error}`);
+  }
+}
+
+/**
+ * Get the time on the virtual clock
+ * @returns Milliseconds since the test started
+ */
+export function getVirtualTime(): number {
+  return now;
+}
+
+/**
+ * A 3D vector
+ */
+export class Vector3 {
+  readonly x: number;
+  readonly y: number;
+  readonly z: number;
+
+  constructor(x: number | { x: number; y: number; z: number }, y = 0, z = 0) {
+    if (typeof x === 'object') {
+      ({ x, y, z } = x);
+    }
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  add(other: { x: number; y: number; z: number }): Vector3 {
+    return new Vector3(this.x + other.x, this.y + other.y, this.z + other.z);
+  }
+
+  sub(other: { x: number; y: number; z: number }): Vector3 {
+    return new Vector3(this.x - other.x, this.y - other.y, this.z - other.z);
+  }
+
+  distanceTo(other: { x: number; y: number; z: number }): number {
+    return Math.hypot(this.x - other.x, this.y - other.y, this.z - other.z);
+  }
+}
+
+/**
+ * A color
+ */
+export class RGBA {
+  constructor(
+    readonly r = 0,
+    readonly g = 0,
+    readonly b = 0,
+    readonly a = 255
+  ) {}
+}
+
+// Every object that was created and not destroyed
+const objects = new Set<BaseObject>();
+
+let nextObjectId = 1;
+
+/**
+ * Base of every alt object
+ * Instances are listed in the all property of their class until destroyed
+ */
+export class BaseObject {
+  readonly id = nextObjectId++;
+  valid = true;
+
+  /** Arguments the object was created with */
+  readonly args: unknown[];
+
+  constructor(...args: unknown[]) {
+    this.args = args;
+    objects.add(this);
+  }
+
+  /** Every valid instance of the class */
+  static get all(): any[] {
+    return [...objects].filter((object) => object instanceof this);
+  }
+
+  static getByID(id: number): BaseObject | null {
+    return this.all.find((object) => object.id === id) ?? null;
+  }
+
+  destroy(): void {
+    if (!this.valid) {
+      throw new Error(`${this.constructor.name} is already destroyed`);
+    }
+    this.valid = false;
+    objects.delete(this);
+  }
+}
+
+/**
+ * Create a class for objects the fakes don't model in detail
+ * @param name The name of the class, e.g. 'Checkpoint'
+ * @returns The class, instances keep the arguments they were created with
+ */
+export function createObjectClass(name: string): typeof BaseObject {
+  const objectClass = class extends BaseObject {};
+  Object.defineProperty(objectClass, 'name', { value: name });
+  return objectClass;
+}
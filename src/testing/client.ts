@@ -0,0 +1,273 @@
+/**
+ * Client test harness
+ * Boots the client-side core on the alt-client fake and loads the client side
+ * of built plugins. The test plays the server, the player and the WebView
+ * pages. One client per test file, and not in the same file as a test server:
+ * both cores use the global core object
+ */
+
+// Must come first, the core reads the environment when it is imported
+import { BUILT_PLUGINS_DIR, copyPlugins } from './environment.js';
+import * as assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as path from 'path';
+import { ClientCoreAPI, ClientPluginInfo } from '../core/shared/interfaces.js';
+import { RPC_CALL_EVENT, RPC_RESULT_EVENT } from '../core/shared/rpc.js';
+import {
+  CORE_VERSION,
+  SESSION_INIT_EVENT,
+  SESSION_READY_EVENT,
+} from '../core/shared/session.js';
+import { loadPlugins } from '../core/client/plugin-loader.js';
+import '../core/client/index.js';
+import * as alt from './alt-client.js';
+import { LogEntry, advanceTime, flush, logs } from './alt-shared.js';
+import { NativeCall, mockNative, nativeCalls } from './natives.js';
+
+/**
+ * Options of a test client
+ */
+export interface TestClientOptions {
+  /** Plugins to load with their dependencies, every built plugin by default */
+  plugins?: string[];
+
+  /** Name of the local player */
+  playerName?: string;
+}
+
+/**
+ * A running test client
+ */
+export interface TestClient {
+  /** The core API, as code outside plugins sees it */
+  core: ClientCoreAPI;
+
+  /** The alt-client fake, e.g. for alt.Player.local */
+  alt: typeof alt;
+
+  /** Send an event from the server */
+  emitFromServer: (eventName: string, ...args: unknown[]) => Promise<void>;
+
+  /** Call a procedure plugins registered with core.rpc, by qualified name */
+  callRpc: <T = unknown>(name: string, ...args: unknown[]) => Promise<T>;
+
+  /** Press and release a key */
+  pressKey: (key: number) => Promise<void>;
+
+  /** Move the virtual clock forward, running the timers that come due */
+  advanceTime: (ms: number) => Promise<void>;
+
+  /** Events sent to the server, optionally with one name */
+  serverEvents: (eventName?: string) => alt.ServerEvent[];
+
+  /** Fail unless an event was sent to the server, with the given arguments if any */
+  assertServerEvent: (eventName: string, ...args: unknown[]) => void;
+
+  /** WebViews that are open */
+  webviews: () => alt.WebView[];
+
+  /** RmlUI documents that are open */
+  documents: () => alt.RmlDocument[];
+
+  /** Native calls, optionally of one native */
+  nativeCalls: (name?: string) => NativeCall[];
+
+  /** Make a native return something */
+  mockNative: typeof mockNative;
+
+  /** Messages logged since the client started, optionally of one level */
+  logs: (level?: LogEntry['level']) => string[];
+
+  /** Unload every plugin */
+  stop: () => Promise<void>;
+}
+
+let started = false;
+
+let nextRpcId = 1;
+
+/**
+ * Start a test client
+ * @param options Which plugins to load
+ * @returns The client, once every plugin has loaded
+ */
+export async function createTestClient(
+  options: TestClientOptions = {}
+): Promise<TestClient> {
+  if (started) {
+    throw new Error('Only one test client can run per test file');
+  }
+  started = true;
+
+  if (options.playerName) {
+    alt.Player.local.name = options.playerName;
+  }
+
+  // Load the plugins the way the server tells the client to
+  const pluginIds = copyPlugins(options.plugins);
+  const clientPlugins: ClientPluginInfo[] = orderPlugins(pluginIds)
+    .map((id) => ({
+      id,
+      clientMain: readMetadata(id).clientMain ?? 'client/index.js',
+      version: readMetadata(id).version,
+    }))
+    .filter(({ id, clientMain }) =>
+      fs.existsSync(path.join(BUILT_PLUGINS_DIR, id, clientMain))
+    );
+
+  // Bundles are imported from disk, the client is ready once they all were
+  const ready = new Promise<void>((resolve) => {
+    const removeHook = alt.onServerEventSent(({ eventName }) => {
+      if (eventName === SESSION_READY_EVENT) {
+        removeHook();
+        resolve();
+      }
+    });
+  });
+  alt.emitFromServer(SESSION_INIT_EVENT, clientPlugins, {}, CORE_VERSION);
+  await ready;
+  await flush();
+
+  const failed = logs.filter(
+    ({ level, message }) =>
+      level === 'error' && message.includes('Error loading plugin')
+  );
+  if (failed.length > 0) {
+    throw new Error(failed.map(({ message }) => message).join('\n'));
+  }
+
+  const serverEvents = (eventName?: string): alt.ServerEvent[] =>
+    alt.sentServerEvents.filter(
+      (event) => !eventName || event.eventName === eventName
+    );
+
+  return {
+    core: (globalThis as any).core as ClientCoreAPI,
+    alt,
+    emitFromServer: async (eventName, ...args) => {
+      alt.emitFromServer(eventName, ...args);
+      await flush();
+    },
+    callRpc: <T>(name: string, ...args: unknown[]) =>
+      new Promise<T>((resolve, reject) => {
+        const id = nextRpcId++;
+        const removeHook = alt.onServerEventSent(({ eventName, args }) => {
+          const [resultId, ok, value] = args as [number, boolean, unknown];
+          if (eventName !== RPC_RESULT_EVENT || resultId !== id) {
+            return;
+          }
+
+          removeHook();
+          if (ok) {
+            resolve(value as T);
+          } else {
+            reject(new Error(String(value)));
+          }
+        });
+
+        alt.emitFromServer(RPC_CALL_EVENT, id, name, args);
+      }),
+    pressKey: async (key) => {
+      alt.emit('keydown', key);
+      alt.emit('keyup', key);
+      await flush();
+    },
+    advanceTime,
+    serverEvents,
+    assertServerEvent: (eventName, ...args) => {
+      const events = serverEvents();
+      const found = events.some(
+        (event) =>
+          event.eventName === eventName &&
+          (args.length === 0 || isDeepEqual(event.args, args))
+      );
+      if (!found) {
+        assert.fail(
+          `Expected ${eventName} to be sent to the server` +
+            (args.length > 0 ? ` with ${JSON.stringify(args)}` : '') +
+            `, got:\n` +
+            (events
+              .map(
+                (event) => `  ${event.eventName} ${JSON.stringify(event.args)}`
+              )
+              .join('\n') || '  nothing')
+        );
+      }
+    },
+    webviews: () => alt.WebView.all,
+    documents: () => alt.RmlDocument.all,
+    nativeCalls: (name) =>
+      nativeCalls.filter((call) => !name || call.name === name),
+    mockNative,
+    logs: (level) =>
+      logs
+        .filter((entry) => !level || entry.level === level)
+        .map((entry) => entry.message.replace(/~\w+~/g, '')),
+    stop: async () => {
+      await loadPlugins([], {});
+      await flush();
+    },
+  };
+}
+
+/**
+ * Sort plugins so dependencies come before their dependents
+ * @param pluginIds The plugins
+ * @returns The plugins in load order
+ */
+function orderPlugins(pluginIds: string[]): string[] {
+  const ordered: string[] = [];
+  const visit = (id: string): void => {
+    if (ordered.includes(id) || !pluginIds.includes(id)) {
+      return;
+    }
+
+    // Add the plugin first so dependency cycles end
+    ordered.push(id);
+    const dependencies = readMetadata(id).dependencies ?? [];
+    for (const dependency of dependencies) {
+      visit(dependency.split('@')[0].trim());
+    }
+
+    // Then move it after its dependencies
+    ordered.splice(ordered.indexOf(id), 1);
+    ordered.push(id);
+  };
+
+  for (const id of pluginIds) {
+    visit(id);
+  }
+  return ordered;
+}
+
+/**
+ * Read the metadata.json of a built plugin
+ */
+function readMetadata(pluginId: string): {
+  dependencies?: string[];
+  clientMain?: string;
+  version?: string;
+} {
+  try {
+    return JSON.parse(
+      fs.readFileSync(
+        path.join(BUILT_PLUGINS_DIR, pluginId, 'metadata.json'),
+        'utf8'
+      )
+    );
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Compare two values the way assert.deepStrictEqual does
+ */
+function isDeepEqual(actual: unknown, expected: unknown): boolean {
+  try {
+    assert.deepStrictEqual(actual, expected);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Environment of a test process
+ * The harnesses import this module before the core, so the core's modules
+ * read these settings: an in-memory database, and config, permissions and
+ * plugins in a temporary directory that is removed when the process exits
+ */
+
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import type {
+  CoreAPI,
+  PluginLifecycle,
+  PluginMetadata,
+} from '../core/shared/interfaces.js';
+
+// Setup functions of the plugins tests define, by plugin ID
+const TEST_PLUGINS_KEY = 'core:testPlugins';
+const testPluginSetups: Record<string, (core: CoreAPI) => PluginLifecycle> =
+  ((globalThis as any)[Symbol.for(TEST_PLUGINS_KEY)] = {});
+
+// Directory the test process writes to
+export const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'altv-test-'));
+
+// Plugins built by scripts/build.js, pnpm test builds them elsewhere and
+// passes the directory in CORE_TEST_PLUGINS_DIR
+export const BUILT_PLUGINS_DIR = path.resolve(
+  process.env.CORE_TEST_PLUGINS_DIR ||
+    path.join(process.cwd(), 'resources', 'main', 'core', 'plugins')
+);
+
+process.env.CORE_DATABASE_URL = 'memory';
+process.env.CORE_CONFIG_DIR = path.join(TEST_DIR, 'config');
+process.env.CORE_PERMISSIONS_FILE = path.join(TEST_DIR, 'permissions.json');
+process.env.CORE_PLUGIN_STATE_FILE = path.join(TEST_DIR, 'plugins.json');
+process.env.CORE_PLUGINS_DIR = path.join(TEST_DIR, 'core', 'plugins');
+delete process.env.CORE_DEV_CHANNEL;
+delete process.env.CORE_LOG_DIR;
+
+fs.mkdirSync(process.env.CORE_PLUGINS_DIR, { recursive: true });
+
+// alt:V loads plugin bundles as ES modules, Node.js needs to be told to. As
+// CommonJS they would be cached by path and never import again on reload
+fs.writeFileSync(
+  path.join(TEST_DIR, 'core', 'package.json'),
+  JSON.stringify({ type: 'module' })
+);
+
+process.on('exit', () => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Make built plugins available to the core
+ * The plugins are copied into the test directory along with the plugins
+ * they depend on, so the core loads nothing else
+ * @param pluginIds The plugins, every built plugin if none are given
+ * @returns The IDs of the copied plugins
+ */
+export function copyPlugins(pluginIds?: string[]): string[] {
+  const copied = new Set<string>();
+  const pending = [...(pluginIds ?? listBuiltPlugins())];
+
+  while (pending.length > 0) {
+    const pluginId = pending.shift() as string;
+    if (copied.has(pluginId)) {
+      continue;
+    }
+
+    const source = path.join(BUILT_PLUGINS_DIR, pluginId);
+    if (!fs.existsSync(source)) {
+      throw new Error(
+        `Plugin ${pluginId} is not built, run pnpm build or pnpm test`
+      );
+    }
+
+    fs.cpSync(
+      source,
+      path.join(process.env.CORE_PLUGINS_DIR as string, pluginId),
+      { recursive: true }
+    );
+    copied.add(pluginId);
+
+    pending.push(...readDependencies(source));
+  }
+
+  return [...copied];
+}
+
+/**
+ * Write a plugin that a test defines, the core loads it like a built plugin
+ * Its server bundle registers the plugin with the lifecycle the test's setup
+ * function returns, which is called again on every reload
+ * @param pluginId The ID of the plugin
+ * @param metadata Metadata as in the plugin's manifest, defaults fill the rest
+ * @param setup Creates the plugin's lifecycle from its core API
+ */
+export function writeTestPlugin(
+  pluginId: string,
+  metadata: Partial<PluginMetadata>,
+  setup: (core: CoreAPI) => PluginLifecycle
+): void {
+  const pluginDir = path.join(process.env.CORE_PLUGINS_DIR as string, pluginId);
+  fs.mkdirSync(path.join(pluginDir, 'server'), { recursive: true });
+
+  const fullMetadata: PluginMetadata = {
+    id: pluginId,
+    name: pluginId,
+    version: '1.0.0',
+    author: 'Test',
+    description: '',
+    dependencies: ['core'],
+    supportsHotReload: true,
+    ...metadata,
+  };
+  fs.writeFileSync(
+    path.join(pluginDir, 'metadata.json'),
+    JSON.stringify(fullMetadata, null, 2)
+  );
+
+  // The bundle finds its setup function in a registry on globalThis
+  testPluginSetups[pluginId] = setup;
+  const key = JSON.stringify(TEST_PLUGINS_KEY);
+  const id = JSON.stringify(pluginId);
+  fs.writeFileSync(
+    path.join(pluginDir, 'server', 'index.js'),
+    `const core = globalThis.core;\n` +
+      `const setup = globalThis[Symbol.for(${key})][${id}];\n` +
+      `core.registerPlugin(${JSON.stringify(fullMetadata)}, setup(core));\n`
+  );
+}
+
+/**
+ * Write a plugin's config file, read by the core when the plugin loads
+ * @param pluginId The ID of the plugin
+ * @param values The option values
+ */
+export function writeConfig(
+  pluginId: string,
+  values: Record<string, unknown>
+): void {
+  const file = path.join(
+    process.env.CORE_CONFIG_DIR as string,
+    `${pluginId}.json`
+  );
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(values, null, 2));
+}
+
+/**
+ * Get the IDs of every built plugin
+ */
+function listBuiltPlugins(): string[] {
+  if (!fs.existsSync(BUILT_PLUGINS_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(BUILT_PLUGINS_DIR, { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory())
+    .map((dirent) => dirent.name);
+}
+
+/**
+ * Get the plugins a built plugin depends on, optional ones included
+ * @param pluginDir The directory of the built plugin
+ * @returns The plugin IDs that are built
+ */
+function readDependencies(pluginDir: string): string[] {
+  let metadata: { dependencies?: string[]; optionalDependencies?: string[] };
+  try {
+    metadata = JSON.parse(
+      fs.readFileSync(path.join(pluginDir, 'metadata.json'), 'utf8')
+    );
+  } catch {
+    return [];
+  }
+
+  return [
+    ...(metadata.dependencies ?? []),
+    ...(metadata.optionalDependencies ?? []),
+  ]
+    .map((spec) => spec.split('@')[0].trim())
+    .filter(
+      (id) =>
+        id !== 'core' && fs.existsSync(path.join(BUILT_PLUGINS_DIR, id))
+    );
+}
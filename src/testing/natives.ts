@@ -0,0 +1,42 @@
+/**
+ * Recorder behind the natives module of tests
+ * scripts/test.js generates the natives module itself, with one function for
+ * every native in @altv/types-natives that calls recordNative
+ */
+
+/**
+ * A call of a native
+ */
+export interface NativeCall {
+  name: string;
+  args: unknown[];
+}
+
+// Every native call, in order
+export const nativeCalls: NativeCall[] = [];
+
+// Implementations set by tests, by native name
+const implementations = new Map<string, (...args: any[]) => unknown>();
+
+/**
+ * Record a native call
+ * @param name The name of the native
+ * @param args The arguments of the call
+ * @returns What the test's implementation returns, or undefined
+ */
+export function recordNative(name: string, args: unknown[]): unknown {
+  nativeCalls.push({ name, args });
+  return implementations.get(name)?.(...args);
+}
+
+/**
+ * Make a native return something
+ * @param name The name of the native, e.g. 'getEntityHealth'
+ * @param implementation Called with the arguments of every call
+ */
+export function mockNative(
+  name: string,
+  implementation: (...args: any[]) => unknown
+): void {
+  implementations.set(name, implementation);
+}
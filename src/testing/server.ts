@@ -0,0 +1,335 @@
+/**
+ * Server test harness
+ * Boots the server-side core on the alt-server fake, loads built plugins and
+ * plays the players: they connect, chat, send client events and disconnect.
+ * One server per test file, the core keeps its state for the whole process
+ */
+
+// Must come first, the core reads the environment when it is imported
+import {
+  copyPlugins,
+  writeConfig,
+  writeTestPlugin,
+} from './environment.js';
+import * as assert from 'node:assert/strict';
+import {
+  ClientPluginInfo,
+  CoreAPI,
+  PlayerSession,
+  PluginLifecycle,
+  PluginMetadata,
+} from '../core/shared/interfaces.js';
+import { RPC_CALL_EVENT, RPC_RESULT_EVENT } from '../core/shared/rpc.js';
+import {
+  CORE_VERSION,
+  SESSION_INIT_EVENT,
+  SESSION_READY_EVENT,
+} from '../core/shared/session.js';
+import { initCommands } from '../core/server/commands.js';
+import { closeDatabase, initDatabase } from '../core/server/database.js';
+import { initLogger } from '../core/server/logger.js';
+import {
+  createPermissionAPI,
+  initPermissions,
+} from '../core/server/permissions.js';
+import {
+  getClientPlugins,
+  getPluginStatuses,
+  initPluginManager,
+  unloadAllPlugins,
+} from '../core/server/plugin-manager.js';
+import { initRpc } from '../core/server/rpc.js';
+import { initScheduler } from '../core/server/scheduler.js';
+import { createSessionAPI, initSessions } from '../core/server/sessions.js';
+import * as alt from './alt-server.js';
+import { LogEntry, advanceTime, flush, logs } from './alt-shared.js';
+
+/**
+ * Options of a test server
+ */
+export interface TestServerOptions {
+  /** Plugins to load with their dependencies, every built plugin by default */
+  plugins?: string[];
+
+  /** Option values of plugins, by plugin ID, as in a config file */
+  config?: Record<string, Record<string, unknown>>;
+
+  /** Plugins defined by the test, by plugin ID, loaded along with the others */
+  testPlugins?: Record<string, TestPlugin>;
+
+  /** Start even if plugins fail to load, for tests of the failures */
+  allowFailedPlugins?: boolean;
+}
+
+/**
+ * A plugin defined by a test instead of built from src/plugins
+ */
+export interface TestPlugin {
+  /** Metadata as in the plugin's manifest, e.g. dependencies */
+  metadata?: Partial<PluginMetadata>;
+
+  /** Creates the plugin's lifecycle from its core API, on every load */
+  setup?: (core: CoreAPI) => PluginLifecycle;
+}
+
+/**
+ * A procedure the test answers for players' clients
+ */
+type ClientProcedure = (player: alt.Player, ...args: any[]) => unknown;
+
+/**
+ * A running test server
+ */
+export interface TestServer {
+  /** The core API, as code outside plugins sees it */
+  core: CoreAPI;
+
+  /** The alt-server fake, e.g. for alt.Vehicle.all */
+  alt: typeof alt;
+
+  /**
+   * Connect a player, plugins get playerConnect. The player's client loads
+   * every plugin it is sent, so the player is ready once this resolves
+   */
+  connectPlayer: (name?: string, cloudID?: string) => Promise<alt.Player>;
+
+  /** Disconnect a player, plugins get playerDisconnect */
+  disconnectPlayer: (player: alt.Player, reason?: string) => Promise<void>;
+
+  /** Send a chat message as a player, commands start with a slash */
+  chat: (player: alt.Player, message: string) => Promise<void>;
+
+  /** Run a console command, e.g. 'core:jobs' */
+  runCommand: (command: string) => Promise<void>;
+
+  /** Send an event from a player's client */
+  emitFromClient: (
+    player: alt.Player,
+    eventName: string,
+    ...args: unknown[]
+  ) => Promise<void>;
+
+  /** Answer RPC calls to a procedure on players' clients, by qualified name */
+  handleClientRpc: (name: string, procedure: ClientProcedure) => void;
+
+  /** Get the session of a player, null once the player disconnected */
+  getSession: (player: alt.Player) => PlayerSession | null;
+
+  /** Read session data of a player, by qualified key, e.g. 'my-plugin:vehicle' */
+  getSessionData: <T = unknown>(
+    player: alt.Player,
+    key: string
+  ) => T | undefined;
+
+  /** Give a player a role or a single permission */
+  grantRole: (player: alt.Player, role: string) => void;
+  grantPermission: (player: alt.Player, permission: string) => void;
+
+  /** Move the virtual clock forward, running the timers that come due */
+  advanceTime: (ms: number) => Promise<void>;
+
+  /** Events sent to clients, optionally of one player or with one name */
+  clientEvents: (
+    player?: alt.Player,
+    eventName?: string
+  ) => alt.ClientEvent[];
+
+  /** Fail unless a player was sent an event, with the given arguments if any */
+  assertClientEvent: (
+    player: alt.Player,
+    eventName: string,
+    ...args: unknown[]
+  ) => void;
+
+  /** Messages logged since the server started, optionally of one level */
+  logs: (level?: LogEntry['level']) => string[];
+
+  /** Unload every plugin and close the database */
+  stop: () => Promise<void>;
+}
+
+let started = false;
+
+/**
+ * Start a test server
+ * @param options Which plugins to load and their config
+ * @returns The server, once every plugin has loaded
+ */
+export async function createTestServer(
+  options: TestServerOptions = {}
+): Promise<TestServer> {
+  if (started) {
+    throw new Error('Only one test server can run per test file');
+  }
+  started = true;
+
+  for (const [pluginId, values] of Object.entries(options.config ?? {})) {
+    writeConfig(pluginId, values);
+  }
+  copyPlugins(options.plugins);
+  for (const [pluginId, plugin] of Object.entries(options.testPlugins ?? {})) {
+    writeTestPlugin(
+      pluginId,
+      plugin.metadata ?? {},
+      plugin.setup ?? (() => ({}))
+    );
+  }
+
+  // Answer the session handshake as a client that loaded every plugin
+  alt.onClientEventSent(({ player, eventName, args }) => {
+    if (eventName !== SESSION_INIT_EVENT) {
+      return;
+    }
+
+    const versions: Record<string, string> = {};
+    for (const { id, version } of args[0] as ClientPluginInfo[]) {
+      versions[id] = version ?? '';
+    }
+    void Promise.resolve().then(() => {
+      if (player.valid) {
+        alt.emitFromClient(player, SESSION_READY_EVENT, CORE_VERSION, versions);
+      }
+    });
+  });
+
+  // Answer RPC calls to clients with the test's procedures
+  const clientProcedures = new Map<string, ClientProcedure>();
+  alt.onClientEventSent(({ player, eventName, args }) => {
+    if (eventName !== RPC_CALL_EVENT) {
+      return;
+    }
+
+    const [id, name, callArgs] = args as [number, string, unknown[]];
+    const procedure = clientProcedures.get(name);
+    if (!procedure) {
+      return;
+    }
+
+    // Answer asynchronously, as a real client would
+    void Promise.resolve()
+      .then(() => procedure(player, ...callArgs))
+      .then(
+        (value) => [true, value, undefined],
+        (error) => [false, String(error?.message ?? error), 'HANDLER_ERROR']
+      )
+      .then(([ok, value, code]) => {
+        if (player.valid) {
+          alt.emitFromClient(player, RPC_RESULT_EVENT, id, ok, value, code);
+        }
+      });
+  });
+
+  // Boot the core the way the core resource does
+  initRpc();
+  initDatabase();
+  initPermissions();
+  initCommands();
+  initScheduler();
+  initLogger();
+  initSessions(() => ({ clientPlugins: getClientPlugins(), revisions: {} }));
+  await initPluginManager();
+
+  const core = (globalThis as any).core as CoreAPI;
+  const permissions = createPermissionAPI();
+  const sessions = createSessionAPI();
+
+  // Every failed plugin fails the test, unless the test expects failures
+  const failed = getPluginStatuses().filter(
+    ({ status }) => status === 'failed'
+  );
+  if (failed.length > 0 && !options.allowFailedPlugins) {
+    await unloadAllPlugins();
+    throw new Error(
+      'Plugins failed to load:\n' +
+        failed.map(({ id, reason }) => `  ${id}: ${reason}`).join('\n')
+    );
+  }
+
+  const clientEvents = (
+    player?: alt.Player,
+    eventName?: string
+  ): alt.ClientEvent[] =>
+    alt.sentClientEvents.filter(
+      (event) =>
+        (!player || event.player === player) &&
+        (!eventName || event.eventName === eventName)
+    );
+
+  return {
+    core,
+    alt,
+    connectPlayer: async (name, cloudID) => {
+      const player = alt.connectPlayer(name, cloudID);
+      await flush();
+      return player;
+    },
+    disconnectPlayer: async (player, reason) => {
+      alt.disconnectPlayer(player, reason);
+      await flush();
+    },
+    chat: async (player, message) => {
+      alt.emit('chat:message', player, message);
+      await flush();
+    },
+    runCommand: async (command) => {
+      const [name, ...args] = command.trim().split(/\s+/);
+      alt.emit('consoleCommand', name, ...args);
+      await flush();
+    },
+    emitFromClient: async (player, eventName, ...args) => {
+      alt.emitFromClient(player, eventName, ...args);
+      await flush();
+    },
+    handleClientRpc: (name, procedure) => {
+      clientProcedures.set(name, procedure);
+    },
+    getSession: (player) => sessions.get(player as any),
+    getSessionData: <T>(player: alt.Player, key: string) =>
+      sessions.getData<T>(player as any, key),
+    grantRole: (player, role) => permissions.grantRole(player as any, role),
+    grantPermission: (player, permission) =>
+      permissions.grantPermission(player as any, permission),
+    advanceTime,
+    clientEvents,
+    assertClientEvent: (player, eventName, ...args) => {
+      const events = clientEvents(player);
+      const found = events.some(
+        (event) =>
+          event.eventName === eventName &&
+          (args.length === 0 || isDeepEqual(event.args, args))
+      );
+      if (!found) {
+        assert.fail(
+          `Expected ${player.name} to be sent ${eventName}` +
+            (args.length > 0 ? ` with ${JSON.stringify(args)}` : '') +
+            `, got:\n` +
+            (events
+              .map(
+                (event) => `  ${event.eventName} ${JSON.stringify(event.args)}`
+              )
+              .join('\n') || '  nothing')
+        );
+      }
+    },
+    logs: (level) =>
+      logs
+        .filter((entry) => !level || entry.level === level)
+        .map((entry) => entry.message.replace(/~\w+~/g, '')),
+    stop: async () => {
+      await unloadAllPlugins();
+      await closeDatabase();
+    },
+  };
+}
+
+/**
+ * Compare two values the way assert.deepStrictEqual does
+ */
+function isDeepEqual(actual: unknown, expected: unknown): boolean {
+  try {
+    assert.deepStrictEqual(actual, expected);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -3,6 +3,10 @@
 
 // Add any missing types or augmentations here if needed
 
+// True in development and debug builds, debug-only code is wrapped in
+// if (__DEBUG__) so production builds drop it (see scripts/build-engine.js)
+declare const __DEBUG__: boolean;
+
 // Example of augmenting existing modules if needed:
 // declare module 'alt-client' {
 //   // Add missing types here